@@ -0,0 +1,158 @@
+const { createEmailProvider } = require('./utils/email-provider');
+const { connectStore } = require('./utils/store');
+const { verifySignedToken } = require('./utils/signing');
+const { completeSignup, deletePendingSignup, getPendingSignup } = require('./utils/signup');
+const { markConfirmedSubscriber } = require('./utils/subscribers');
+const { recordConsent } = require('./utils/consent');
+const { createHandler } = require('./utils/http');
+
+// Page copy for the confirmation flow
+const MESSAGES = {
+    es: {
+        confirmTitle: 'Confirma tu suscripción',
+        confirmText: 'Haz clic en el botón para activar tus alertas de VuelosBaratos NYC.',
+        confirmButton: 'Confirmar mi email',
+        successTitle: '¡Suscripción confirmada! 🎉',
+        successText: 'Tus alertas ya están activas. Te avisaremos cuando encontremos vuelos baratos.',
+        expiredTitle: 'Enlace vencido o ya usado',
+        expiredText: 'Este enlace de confirmación ya no es válido. Vuelve a suscribirte para recibir uno nuevo.',
+        errorTitle: 'Algo salió mal',
+        errorText: 'No pudimos confirmar tu suscripción. Intenta de nuevo en unos minutos.',
+        backHome: 'Volver a VuelosBaratos NYC'
+    },
+    en: {
+        confirmTitle: 'Confirm your subscription',
+        confirmText: 'Click the button to activate your VuelosBaratos NYC alerts.',
+        confirmButton: 'Confirm my email',
+        successTitle: 'Subscription confirmed! 🎉',
+        successText: 'Your alerts are active. We will let you know when we find cheap flights.',
+        expiredTitle: 'Link expired or already used',
+        expiredText: 'This confirmation link is no longer valid. Sign up again to get a new one.',
+        errorTitle: 'Something went wrong',
+        errorText: 'We could not confirm your subscription. Please try again in a few minutes.',
+        backHome: 'Back to VuelosBaratos NYC'
+    }
+};
+
+exports.handler = createHandler({
+    name: 'Signup confirmation',
+    methods: ['GET', 'POST'],
+    cors: false,
+    bodyTypes: ['form'],
+    headers: {
+        'Content-Type': 'text/html; charset=utf-8',
+        'Cache-Control': 'no-store'
+    },
+    // Method, size and content-type rejections from the pipeline get the usual error page
+    renderError: () => renderPage('es', MESSAGES.es.errorTitle, MESSAGES.es.errorText)
+}, async (request, context) => {
+    const { event } = request;
+    const headers = request.responseHeaders;
+
+    connectStore(event);
+
+    // GET comes from the email link, POST from the button on the page we render for it.
+    // Only the POST confirms, so link scanners that prefetch URLs cannot confirm on the user's behalf.
+    const params = event.httpMethod === 'POST'
+        ? request.body
+        : request.query;
+    const token = params.token;
+
+    const payload = verifySignedToken('confirm', token);
+    const signup = payload ? await getPendingSignup(payload.id) : null;
+
+    if (!signup) {
+        return {
+            statusCode: 410,
+            headers,
+            body: renderPage('es', MESSAGES.es.expiredTitle, MESSAGES.es.expiredText)
+        };
+    }
+
+    const language = MESSAGES[signup.language] ? signup.language : 'es';
+    const copy = MESSAGES[language];
+
+    if (event.httpMethod === 'GET') {
+        return {
+            statusCode: 200,
+            headers,
+            body: renderPage(language, copy.confirmTitle, copy.confirmText, token)
+        };
+    }
+
+    // Email provider(s) picked by EMAIL_PROVIDER (Klaviyo unless configured otherwise)
+    const emailProvider = createEmailProvider({ context });
+
+    if (!emailProvider) {
+        return {
+            statusCode: 500,
+            headers,
+            body: renderPage(language, copy.errorTitle, copy.errorText)
+        };
+    }
+
+    // The subscriber record has to exist before completeSignup writes the newsletter flags to it
+    await markConfirmedSubscriber(signup.email);
+    await completeSignup(emailProvider, signup);
+    await recordConsent(signup.email, {
+        action: 'confirmed',
+        channels: signup.channels,
+        scope: signup.signupType,
+        endpoint: 'confirm',
+        form: signup.source,
+        language: signup.language,
+        phone: signup.phone,
+        textVersion: signup.consent_text_version
+    }, event);
+    await deletePendingSignup(payload.id);
+
+    return {
+        statusCode: 200,
+        headers,
+        body: renderPage(language, copy.successTitle, copy.successText)
+    };
+});
+
+// Helper function to render the small confirmation page
+function renderPage(language, title, text, token) {
+    const copy = MESSAGES[language];
+    const form = token
+        ? `<form method="POST" action="/.netlify/functions/confirm">
+                <input type="hidden" name="token" value="${escapeHtml(token)}">
+                <button type="submit" class="btn">${escapeHtml(copy.confirmButton)}</button>
+            </form>`
+        : `<a class="btn" href="/">${escapeHtml(copy.backHome)}</a>`;
+
+    return `<!DOCTYPE html>
+<html lang="${language}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex">
+    <title>${escapeHtml(title)} | VuelosBaratos NYC</title>
+    <style>
+        body { font-family: 'Inter', sans-serif; background: linear-gradient(135deg, #1e3a8a, #2563eb); color: #1f2937; margin: 0; min-height: 100vh; display: flex; align-items: center; justify-content: center; padding: 20px; box-sizing: border-box; }
+        .card { background: white; max-width: 480px; padding: 40px; border-radius: 25px; box-shadow: 0 20px 60px rgba(0, 0, 0, 0.2); text-align: center; }
+        h1 { font-size: 1.6rem; margin-bottom: 15px; }
+        p { color: #6b7280; line-height: 1.6; margin-bottom: 30px; }
+        .btn { display: inline-block; background: linear-gradient(135deg, #f59e0b, #d97706); color: white; padding: 15px 30px; border-radius: 50px; border: none; font-size: 16px; font-weight: 700; text-decoration: none; cursor: pointer; }
+    </style>
+</head>
+<body>
+    <div class="card">
+        <h1>${escapeHtml(title)}</h1>
+        <p>${escapeHtml(text)}</p>
+        ${form}
+    </div>
+</body>
+</html>`;
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
@@ -0,0 +1,48 @@
+const { connectStore } = require('./utils/store');
+const { isAdminRequest } = require('./utils/admin-auth');
+const { hashEmail } = require('./utils/signing');
+const { listConsentRecords, summarizeConsent } = require('./utils/consent');
+const { getValidationErrorResponse, validateRequest } = require('./utils/validation');
+const { createHandler } = require('./utils/http');
+
+// Operator endpoint for compliance reviews:
+//   GET ?email=...  -> where consent stands per channel, plus every ledger record for that email
+exports.handler = createHandler({
+    name: 'Consent lookup',
+    methods: ['GET'],
+    cors: false,
+    headers: { 'Cache-Control': 'no-store' },
+    errorMessage: 'Failed to read the consent ledger'
+}, async (request) => {
+    const { event } = request;
+    const headers = request.responseHeaders;
+
+    if (!isAdminRequest(event)) {
+        return {
+            statusCode: 401,
+            headers,
+            body: JSON.stringify({ error: 'Unauthorized' })
+        };
+    }
+
+    connectStore(event);
+
+    const validation = validateRequest('consent-lookup', request.query);
+    if (validation.errors.length) {
+        return getValidationErrorResponse(headers, validation.errors, 'en');
+    }
+    const email = validation.value.email;
+
+    const records = await listConsentRecords(email);
+
+    return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+            email,
+            email_hash: hashEmail(email),
+            channels: summarizeConsent(records),
+            records
+        })
+    };
+});
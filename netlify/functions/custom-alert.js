@@ -1,297 +1,139 @@
-const https = require('https');
-
-exports.handler = async (event, context) => {
-    // CORS headers
-    const headers = {
-        'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Headers': 'Content-Type',
-        'Access-Control-Allow-Methods': 'POST, OPTIONS',
-        'Content-Type': 'application/json'
-    };
-
-    // Handle preflight requests
-    if (event.httpMethod === 'OPTIONS') {
-        return {
-            statusCode: 200,
-            headers,
-            body: ''
-        };
+const { createEmailProvider } = require('./utils/email-provider');
+const { connectStore } = require('./utils/store');
+const { checkRateLimit, getClientIp, getRateLimitResponse } = require('./utils/rate-limit');
+const { processSignup } = require('./utils/signup');
+const { recordConsent } = require('./utils/consent');
+const { getValidationErrorResponse, validateRequest } = require('./utils/validation');
+const { createHandler } = require('./utils/http');
+const { protectSignup } = require('./utils/bot-protection');
+const { createPushToken } = require('./utils/push');
+const { prepareCustomAlert } = require('./utils/custom-alert');
+const { createSignupRedirect } = require('./utils/signup-results');
+
+exports.handler = createHandler({
+    name: 'Custom alert',
+    methods: ['POST'],
+    errorMessage: 'Failed to create custom alert',
+    // The form also works without JavaScript: a native post is redirected to a result page
+    formRedirect: createSignupRedirect('custom_alert')
+}, async (request, context) => {
+    const { event, body } = request;
+    const headers = request.responseHeaders;
+
+    connectStore(event);
+
+    // Check and normalize every field against the endpoint schema
+    const validation = validateRequest('custom-alert', body);
+    if (validation.errors.length) {
+        return getValidationErrorResponse(headers, validation.errors, body && body.language);
     }
+    const data = validation.value;
 
-    // Only allow POST requests
-    if (event.httpMethod !== 'POST') {
-        return {
-            statusCode: 405,
-            headers,
-            body: JSON.stringify({ error: 'Method not allowed' })
-        };
+    // Travel window, channels, destination and the records to store, from the validated fields
+    const prepared = prepareCustomAlert(data);
+    if (prepared.error) {
+        return getValidationErrorResponse(headers, [prepared.error], data.language);
     }
+    const { alert, properties, events, contact, travel } = prepared;
 
-    try {
-        // Parse request body
-        const data = JSON.parse(event.body);
-        
-        // Validate required fields
-        if (!data.email || !data.destination || !data.departure_airport || !data.target_price) {
-            return {
-                statusCode: 400,
-                headers,
-                body: JSON.stringify({ error: 'Missing required fields' })
-            };
-        }
-
-        // Klaviyo API configuration
-        const KLAVIYO_API_KEY = process.env.KLAVIYO_API_KEY;
-        const KLAVIYO_LIST_ID = process.env.KLAVIYO_LIST_ID;
-
-        if (!KLAVIYO_API_KEY || !KLAVIYO_LIST_ID) {
-            console.error('Missing Klaviyo configuration');
-            return {
-                statusCode: 500,
-                headers,
-                body: JSON.stringify({ error: 'Service configuration error' })
-            };
-        }
-
-        // Prepare Klaviyo profile data
-        const profileData = {
-            data: {
-                type: 'profile',
-                attributes: {
-                    email: data.email,
-                    properties: {
-                        // Custom search preferences
-                        destination: data.destination,
-                        departure_airport: data.departure_airport,
-                        timeframe: data.timeframe,
-                        travel_class: data.travel_class,
-                        target_price: parseFloat(data.target_price),
-                        
-                        // Alert settings
-                        alert_type: data.alert_type || 'custom_search',
-                        signup_source: data.signup_source || 'website',
-                        language: data.language || 'es',
-                        location: data.location || 'NYC',
-                        
-                        // Metadata
-                        signup_date: new Date().toISOString(),
-                        last_updated: new Date().toISOString(),
-                        
-                        // Segmentation tags
-                        has_custom_alert: true,
-                        preferred_departure: data.departure_airport,
-                        price_range: getPriceRange(data.target_price),
-                        destination_region: getDestinationRegion(data.destination)
-                    }
-                }
-            }
-        };
-
-        // Create or update profile in Klaviyo
-        const profileResponse = await makeKlaviyoRequest(
-            'POST',
-            '/api/profiles/',
-            profileData,
-            KLAVIYO_API_KEY
-        );
-
-        if (!profileResponse.success) {
-            throw new Error(`Klaviyo profile error: ${profileResponse.error}`);
-        }
-
-        // Add profile to list
-        const listData = {
-            data: [
-                {
-                    type: 'profile',
-                    id: profileResponse.data.data.id
-                }
-            ]
-        };
+    // Per-IP and per-email rate limiting
+    const rateLimit = await checkRateLimit('custom-alert', {
+        ip: getClientIp(event),
+        email: data.email
+    });
+    if (rateLimit.limited) {
+        return getRateLimitResponse(headers, rateLimit.retryAfterSeconds);
+    }
 
-        const listResponse = await makeKlaviyoRequest(
-            'POST',
-            `/api/lists/${KLAVIYO_LIST_ID}/relationships/profiles/`,
-            listData,
-            KLAVIYO_API_KEY
-        );
+    // Honeypot, fill time, captcha and email domain checks; bots are quarantined, not subscribed
+    const blocked = await protectSignup('custom-alert', request, data);
+    if (blocked) return blocked;
 
-        if (!listResponse.success) {
-            console.warn(`Warning: Could not add to list: ${listResponse.error}`);
-        }
+    // Email provider(s) picked by EMAIL_PROVIDER (Klaviyo unless configured otherwise)
+    const emailProvider = createEmailProvider({ context });
 
-        // Track custom event
-        const eventData = {
-            data: {
-                type: 'event',
-                attributes: {
-                    profile: {
-                        email: data.email
-                    },
-                    metric: {
-                        name: 'Custom Flight Alert Created'
-                    },
-                    properties: {
-                        destination: data.destination,
-                        departure_airport: data.departure_airport,
-                        target_price: parseFloat(data.target_price),
-                        travel_class: data.travel_class,
-                        timeframe: data.timeframe
-                    },
-                    time: new Date().toISOString()
-                }
-            }
+    if (!emailProvider) {
+        return {
+            statusCode: 500,
+            headers,
+            body: JSON.stringify({ error: 'Service configuration error' })
         };
+    }
 
-        await makeKlaviyoRequest(
-            'POST',
-            '/api/events/',
-            eventData,
-            KLAVIYO_API_KEY
-        );
+    // Subscribe right away if the email is already confirmed, otherwise send the confirmation email
+    const result = await processSignup(emailProvider, {
+        email: data.email,
+        phone: contact.phone,
+        channels: contact.channels,
+        signupType: 'custom_alert',
+        source: properties.signup_source,
+        language: properties.language,
+        properties,
+        events,
+        alert
+    });
 
+    // Proof of what the visitor agreed to, on the append-only consent ledger
+    await recordConsent(data.email, {
+        action: 'granted',
+        channels: contact.channels,
+        scope: 'custom_alert',
+        endpoint: 'custom-alert',
+        form: properties.signup_source,
+        language: properties.language,
+        phone: contact.phone
+    }, event);
+
+    // Lets the page offer browser notifications for this alert, on top of the emails. Not before the
+    // address is confirmed: whoever typed it in may not own it, and the alert is not live yet.
+    const pushToken = result.status === 'pending_confirmation'
+        ? null
+        : createPushToken(data.email, [result.alertId]);
+
+    // The email provider could not take it right now; the outbox replays it in the background
+    if (result.status === 'received') {
         return {
-            statusCode: 200,
+            statusCode: 202,
             headers,
             body: JSON.stringify({
                 success: true,
-                message: 'Custom alert created successfully',
-                profile_id: profileResponse.data.data.id
+                status: 'received',
+                message: 'Alert received, it will be activated shortly',
+                alert_id: result.alertId,
+                push_token: pushToken,
+                channels: contact.channels
             })
         };
+    }
 
-    } catch (error) {
-        console.error('Custom alert error:', error);
-        
+    if (result.status === 'pending_confirmation') {
         return {
-            statusCode: 500,
+            statusCode: 202,
             headers,
             body: JSON.stringify({
-                error: 'Failed to create custom alert',
-                message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+                success: true,
+                status: 'pending_confirmation',
+                message: 'Confirmation email sent',
+                alert_id: result.alertId,
+                channels: contact.channels,
+                expires_at: result.expiresAt,
+                travel_dates: travel.travelDates
             })
         };
     }
-};
-
-// Helper function to make Klaviyo API requests
-async function makeKlaviyoRequest(method, endpoint, data, apiKey) {
-    return new Promise((resolve) => {
-        const postData = JSON.stringify(data);
-        
-        const options = {
-            hostname: 'a.klaviyo.com',
-            path: endpoint,
-            method: method,
-            headers: {
-                'Authorization': `Klaviyo-API-Key ${apiKey}`,
-                'Content-Type': 'application/json',
-                'Content-Length': Buffer.byteLength(postData),
-                'revision': '2024-10-15'
-            }
-        };
-
-        const req = https.request(options, (res) => {
-            let responseData = '';
-
-            res.on('data', (chunk) => {
-                responseData += chunk;
-            });
-
-            res.on('end', () => {
-                try {
-                    const parsed = responseData ? JSON.parse(responseData) : {};
-                    
-                    if (res.statusCode >= 200 && res.statusCode < 300) {
-                        resolve({
-                            success: true,
-                            data: parsed,
-                            statusCode: res.statusCode
-                        });
-                    } else {
-                        resolve({
-                            success: false,
-                            error: parsed.errors ? parsed.errors[0].detail : `HTTP ${res.statusCode}`,
-                            statusCode: res.statusCode,
-                            data: parsed
-                        });
-                    }
-                } catch (parseError) {
-                    resolve({
-                        success: false,
-                        error: `Parse error: ${parseError.message}`,
-                        statusCode: res.statusCode,
-                        rawResponse: responseData
-                    });
-                }
-            });
-        });
 
-        req.on('error', (error) => {
-            resolve({
-                success: false,
-                error: `Request error: ${error.message}`
-            });
-        });
-
-        req.write(postData);
-        req.end();
-    });
-}
-
-// Helper function to determine price range category
-function getPriceRange(price) {
-    const p = parseFloat(price);
-    if (p <= 400) return 'budget';
-    if (p <= 800) return 'mid-range';
-    if (p <= 1500) return 'premium';
-    return 'luxury';
-}
-
-// Helper function to determine destination region
-function getDestinationRegion(destination) {
-    const dest = destination.toLowerCase();
-    
-    // Latin America
-    if (dest.includes('dominicana') || dest.includes('colombia') || dest.includes('méxico') || 
-        dest.includes('mexico') || dest.includes('argentina') || dest.includes('perú') ||
-        dest.includes('peru') || dest.includes('ecuador') || dest.includes('brasil') ||
-        dest.includes('brazil') || dest.includes('chile') || dest.includes('venezuela') ||
-        dest.includes('guatemala') || dest.includes('costa rica') || dest.includes('panamá') ||
-        dest.includes('panama') || dest.includes('cuba') || dest.includes('puerto rico')) {
-        return 'latin_america';
-    }
-    
-    // Europe
-    if (dest.includes('españa') || dest.includes('spain') || dest.includes('francia') ||
-        dest.includes('france') || dest.includes('parís') || dest.includes('paris') ||
-        dest.includes('londres') || dest.includes('london') || dest.includes('italia') ||
-        dest.includes('italy') || dest.includes('roma') || dest.includes('rome') ||
-        dest.includes('grecia') || dest.includes('greece') || dest.includes('turquía') ||
-        dest.includes('turkey')) {
-        return 'europe';
-    }
-    
-    // Asia
-    if (dest.includes('japón') || dest.includes('japan') || dest.includes('tokio') ||
-        dest.includes('tokyo') || dest.includes('china') || dest.includes('india') ||
-        dest.includes('tailandia') || dest.includes('thailand') || dest.includes('singapur') ||
-        dest.includes('singapore') || dest.includes('corea') || dest.includes('korea') ||
-        dest.includes('filipinas') || dest.includes('philippines')) {
-        return 'asia';
-    }
-    
-    // Middle East & Africa
-    if (dest.includes('dubai') || dest.includes('egipto') || dest.includes('egypt') ||
-        dest.includes('marruecos') || dest.includes('morocco') || dest.includes('sudáfrica') ||
-        dest.includes('south africa') || dest.includes('nigeria')) {
-        return 'middle_east_africa';
-    }
-    
-    // Oceania
-    if (dest.includes('australia') || dest.includes('nueva zelanda') || dest.includes('new zealand')) {
-        return 'oceania';
-    }
-    
-    return 'other';
-}
+    return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+            success: true,
+            status: 'subscribed',
+            message: 'Custom alert created successfully',
+            profile_id: result.profileId,
+            alert_id: result.alertId,
+            push_token: pushToken,
+            channels: contact.channels,
+            travel_dates: travel.travelDates
+        })
+    };
+});
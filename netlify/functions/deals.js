@@ -0,0 +1,112 @@
+const { connectStore } = require('./utils/store');
+const { isAdminRequest } = require('./utils/admin-auth');
+const { getSiteUrl } = require('./utils/signing');
+const { deleteDeal, listDeals, saveDeal } = require('./utils/deals');
+const { FEED_CONTENT_TYPES, formatDealFeed } = require('./utils/deal-feeds');
+const { getValidationErrorResponse, validateRequest } = require('./utils/validation');
+const { createHandler } = require('./utils/http');
+
+const DEFAULT_FEED_LIMIT = 50;
+
+// Curated deals, one source for syndication, the site and the emails:
+//   GET ?format=json|rss|atom&region=<region>&departure_airport=JFK|LGA|EWR&limit=<n>
+//                          -> the live deals as JSON Feed (default), RSS or Atom; public
+//   POST { ...deal }       -> publish a deal, or replace it when the body has its id (admin)
+//   DELETE ?id=deal_...    -> take a deal down before it expires (admin)
+exports.handler = createHandler({
+    name: 'Deals',
+    methods: ['GET', 'POST', 'DELETE'],
+    bodyTypes: ['json'],
+    errorMessage: 'Failed to load the deals'
+}, async (request) => {
+    const { event } = request;
+    const headers = request.responseHeaders;
+
+    connectStore(event);
+
+    if (request.method === 'GET') {
+        const validation = validateRequest('deals-feed', request.query);
+        if (validation.errors.length) {
+            return getValidationErrorResponse(headers, validation.errors, 'en');
+        }
+        const params = validation.value;
+
+        const deals = await listDeals({ region: params.region, departureAirport: params.departure_airport });
+
+        return {
+            statusCode: 200,
+            headers: {
+                ...headers,
+                'Content-Type': FEED_CONTENT_TYPES[params.format],
+                // Short enough that an expired deal leaves readers within minutes
+                'Cache-Control': 'public, max-age=300'
+            },
+            body: formatDealFeed(params.format, deals.slice(0, params.limit || DEFAULT_FEED_LIMIT), getFeedUrl(params))
+        };
+    }
+
+    if (!isAdminRequest(event)) {
+        return {
+            statusCode: 401,
+            headers,
+            body: JSON.stringify({ error: 'Unauthorized' })
+        };
+    }
+
+    if (request.method === 'DELETE') {
+        const id = String(request.query.id || '');
+        if (!/^deal_[a-f0-9]{16}$/.test(id)) {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({ error: 'Pass ?id=<deal id>' })
+            };
+        }
+
+        const deleted = await deleteDeal(id);
+        return {
+            statusCode: deleted ? 200 : 404,
+            headers,
+            body: JSON.stringify(deleted ? { deleted: id } : { error: 'Not found' })
+        };
+    }
+
+    const validation = validateRequest('deal', request.body);
+    const data = validation.value;
+    const errors = validation.errors.slice();
+
+    if (!errors.length && Date.parse(data.expires_at) <= Date.now()) {
+        errors.push({ field: 'expires_at', code: 'date_in_past' });
+    }
+    if (!errors.length && data.travel_to && data.travel_to < data.travel_from) {
+        errors.push({ field: 'travel_to', code: 'range_reversed' });
+    }
+    if (errors.length) {
+        return getValidationErrorResponse(headers, errors, 'en');
+    }
+
+    const deal = await saveDeal(data);
+    if (!deal) {
+        return {
+            statusCode: 404,
+            headers,
+            body: JSON.stringify({ error: 'Not found' })
+        };
+    }
+
+    return {
+        statusCode: data.id ? 200 : 201,
+        headers,
+        body: JSON.stringify(deal)
+    };
+});
+
+// Helper function to rebuild the canonical URL of the feed being served, filters included
+function getFeedUrl(params) {
+    const query = new URLSearchParams();
+    ['format', 'region', 'departure_airport', 'limit'].forEach((name) => {
+        if (params[name] !== undefined) query.set(name, params[name]);
+    });
+
+    return `${getSiteUrl()}/.netlify/functions/deals?${query.toString()}`;
+}
@@ -0,0 +1,45 @@
+const { searchDestinations } = require('./utils/destinations');
+const { createHandler } = require('./utils/http');
+
+const DEFAULT_LIMIT = 8;
+const MAX_LIMIT = 15;
+const MAX_QUERY_LENGTH = 64;
+
+exports.handler = createHandler({
+    name: 'Destination search',
+    methods: ['GET']
+}, async (request) => {
+    const headers = request.responseHeaders;
+
+    const params = request.query;
+    const query = String(params.q || '').substring(0, MAX_QUERY_LENGTH);
+    const requestedLimit = parseInt(params.limit, 10);
+    const limit = Number.isNaN(requestedLimit)
+        ? DEFAULT_LIMIT
+        : Math.min(Math.max(requestedLimit, 1), MAX_LIMIT);
+
+    const suggestions = searchDestinations(query, limit).map((destination) => ({
+        code: destination.code,
+        city: destination.city,
+        city_en: destination.cityEn,
+        country: destination.country,
+        country_en: destination.countryEn,
+        country_code: destination.countryCode,
+        airports: destination.airports,
+        region: destination.region,
+        label: destination.displayName
+    }));
+
+    return {
+        statusCode: 200,
+        headers: {
+            ...headers,
+            // The catalog only changes on deploy, so let browsers and the CDN cache suggestions
+            'Cache-Control': 'public, max-age=3600'
+        },
+        body: JSON.stringify({
+            query: query,
+            results: suggestions
+        })
+    };
+});
@@ -0,0 +1,36 @@
+const { connectStore, getStore } = require('./utils/store');
+const { PENDING_NAMESPACE } = require('./utils/signup');
+const { DEALS_NAMESPACE } = require('./utils/deals');
+const { USED_TOKENS_NAMESPACE } = require('./utils/bot-protection');
+const { installLogRedaction } = require('./utils/log-redaction');
+
+installLogRedaction();
+
+// Scheduled daily (see netlify.toml): drop signups whose confirmation link was never clicked,
+// deals past their expiry (the feeds already skip those) and spent form tokens that expired anyway
+exports.handler = async (event) => {
+    try {
+        connectStore(event);
+
+        const purged = await getStore(PENDING_NAMESPACE).purgeExpired();
+        console.log(`Expired ${purged} unconfirmed signup(s)`);
+
+        const dealsPurged = await getStore(DEALS_NAMESPACE).purgeExpired();
+        console.log(`Removed ${dealsPurged} expired deal(s)`);
+
+        const tokensPurged = await getStore(USED_TOKENS_NAMESPACE).purgeExpired();
+        console.log(`Removed ${tokensPurged} spent form token(s)`);
+
+        return {
+            statusCode: 200,
+            body: JSON.stringify({ purged, deals_purged: dealsPurged, form_tokens_purged: tokensPurged })
+        };
+    } catch (error) {
+        console.error('Pending signup cleanup error:', error);
+
+        return {
+            statusCode: 500,
+            body: JSON.stringify({ error: 'Failed to expire pending signups' })
+        };
+    }
+};
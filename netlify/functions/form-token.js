@@ -0,0 +1,20 @@
+const { createFormToken, getCaptchaConfig, getMinFillSeconds } = require('./utils/bot-protection');
+const { createHandler } = require('./utils/http');
+
+// The page fetches this for each form when it loads and after every submission: the signed,
+// single-use fill-time token sent back with the signup, and which captcha widget (if any) to render
+exports.handler = createHandler({
+    name: 'Form token',
+    methods: ['GET'],
+    headers: { 'Cache-Control': 'no-store' }
+}, async (request) => {
+    return {
+        statusCode: 200,
+        headers: request.responseHeaders,
+        body: JSON.stringify({
+            token: createFormToken(),
+            min_fill_seconds: getMinFillSeconds(),
+            captcha: getCaptchaConfig()
+        })
+    };
+});
@@ -0,0 +1,44 @@
+const { createEmailProvider } = require('./utils/email-provider');
+const { connectStore } = require('./utils/store');
+const { getFareProvider } = require('./utils/fares');
+const { runFareMonitor } = require('./utils/fare-monitor');
+const { installLogRedaction } = require('./utils/log-redaction');
+
+installLogRedaction();
+
+// Scheduled functions may run for 30 seconds; keep some headroom for logging and retries
+const RUN_BUDGET_MS = 25000;
+
+// Scheduled every 30 minutes (see netlify.toml): check fares for every active alert
+exports.handler = async (event, context) => {
+    try {
+        connectStore(event);
+
+        const emailProvider = createEmailProvider({ timeBudgetMs: RUN_BUDGET_MS });
+        if (!emailProvider) {
+            return { statusCode: 500, body: JSON.stringify({ error: 'Service configuration error' }) };
+        }
+
+        const deadline = Date.now() + RUN_BUDGET_MS;
+        const provider = getFareProvider({ deadline });
+        if (!provider) {
+            console.warn('Fare monitor skipped: FARE_PROVIDER is not configured');
+            return { statusCode: 200, body: JSON.stringify({ skipped: true }) };
+        }
+
+        const summary = await runFareMonitor({ provider, emailProvider, deadline });
+        console.log(`Fare monitor (${provider.name}):`, JSON.stringify(summary));
+
+        return {
+            statusCode: 200,
+            body: JSON.stringify(summary)
+        };
+    } catch (error) {
+        console.error('Fare monitor error:', error);
+
+        return {
+            statusCode: 500,
+            body: JSON.stringify({ error: 'Fare monitor failed' })
+        };
+    }
+};
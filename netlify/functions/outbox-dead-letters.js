@@ -0,0 +1,83 @@
+const { connectStore } = require('./utils/store');
+const { isAdminRequest } = require('./utils/admin-auth');
+const { getDeadLetter, getEntryEmail, listDeadLetters, listQueued, purgeDeadLetters } = require('./utils/outbox');
+const { createHandler } = require('./utils/http');
+
+// Operator endpoint for the signup outbox:
+//   GET                 -> dead letters plus a count of entries still queued
+//   GET ?id=obx_...     -> one dead letter, payload included
+//   DELETE ?id=obx_...  -> purge one dead letter
+//   DELETE ?all=true    -> purge every dead letter
+exports.handler = createHandler({
+    name: 'Outbox inspection',
+    methods: ['GET', 'DELETE'],
+    cors: false,
+    headers: { 'Cache-Control': 'no-store' },
+    errorMessage: 'Failed to read the outbox'
+}, async (request) => {
+    const { event } = request;
+    const headers = request.responseHeaders;
+
+    if (!isAdminRequest(event)) {
+        return {
+            statusCode: 401,
+            headers,
+            body: JSON.stringify({ error: 'Unauthorized' })
+        };
+    }
+
+    connectStore(event);
+
+    const params = request.query;
+
+    if (event.httpMethod === 'DELETE') {
+        if (!params.id && params.all !== 'true') {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({ error: 'Pass ?id=<entry id> or ?all=true' })
+            };
+        }
+
+        const purged = await purgeDeadLetters(params.id);
+        return {
+            statusCode: params.id && !purged ? 404 : 200,
+            headers,
+            body: JSON.stringify({ purged })
+        };
+    }
+
+    if (params.id) {
+        const entry = await getDeadLetter(params.id);
+        return entry
+            ? { statusCode: 200, headers, body: JSON.stringify(entry) }
+            : { statusCode: 404, headers, body: JSON.stringify({ error: 'Not found' }) };
+    }
+
+    const [deadLetters, queued] = await Promise.all([listDeadLetters(), listQueued()]);
+
+    return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+            queued: queued.length,
+            dead_letters: deadLetters.map(summarizeEntry)
+        })
+    };
+});
+
+// Helper function to list entries without dumping whole payloads
+function summarizeEntry(entry) {
+    const payload = entry.payload || {};
+
+    return {
+        id: entry.id,
+        type: entry.type,
+        email: getEntryEmail(entry),
+        steps: payload.steps || null,
+        attempts: entry.attempts,
+        last_error: entry.last_error,
+        created_at: entry.created_at,
+        dead_lettered_at: entry.dead_lettered_at
+    };
+}
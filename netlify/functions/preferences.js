@@ -0,0 +1,614 @@
+const querystring = require('querystring');
+const { createEmailProvider } = require('./utils/email-provider');
+const { connectStore } = require('./utils/store');
+const { verifySignedToken } = require('./utils/signing');
+const { checkRateLimit, getClientIp } = require('./utils/rate-limit');
+const { isConfirmedSubscriber } = require('./utils/subscribers');
+const { recordConsent } = require('./utils/consent');
+const { CHANNELS } = require('./utils/channels');
+const { PUSH_CHANNEL } = require('./utils/push');
+const { LANGUAGES, formatMessage, validateRequest } = require('./utils/validation');
+const { TIMEFRAMES } = require('./utils/travel-dates');
+const { CABIN_CLASSES } = require('./utils/fares');
+const {
+    createPreferencesUrl,
+    getPreferences,
+    removeAlert,
+    setAlertStatus,
+    setLanguage,
+    setNewsletter,
+    syncSubscriberProfile,
+    unsubscribeEverything,
+    updateAlertSettings
+} = require('./utils/preferences');
+const { createHandler } = require('./utils/http');
+
+const PAGE_PATH = '/.netlify/functions/preferences';
+
+// How each form action shows up on the consent ledger
+const CONSENT_CHANGES = {
+    subscribe_newsletter: { action: 'granted', scope: 'newsletter' },
+    unsubscribe_newsletter: { action: 'withdrawn', scope: 'newsletter' },
+    unsubscribe_all: { action: 'withdrawn', scope: 'all', channels: CHANNELS.concat(PUSH_CHANNEL) },
+    update_alert: { action: 'updated', scope: 'alerts' },
+    pause_alert: { action: 'updated', scope: 'alerts' },
+    resume_alert: { action: 'updated', scope: 'alerts' },
+    delete_alert: { action: 'updated', scope: 'alerts' },
+    set_language: { action: 'updated', scope: 'all' }
+};
+
+// Page copy for the preference center
+const MESSAGES = {
+    es: {
+        title: 'Tus alertas y preferencias',
+        intro: 'Administra las alertas de vuelos de',
+        alertsTitle: 'Tus alertas',
+        noAlerts: 'No tienes alertas activas. Crea una nueva desde la página principal.',
+        statusActive: 'Activa',
+        statusPaused: 'Pausada',
+        targetPrice: 'Precio objetivo (USD)',
+        departure: 'Aeropuerto de salida',
+        travelClass: 'Clase',
+        timeframe: 'Fechas',
+        exactDates: 'Fechas exactas',
+        save: 'Guardar cambios',
+        pause: 'Pausar',
+        resume: 'Reanudar',
+        remove: 'Eliminar',
+        languageTitle: 'Idioma de los emails',
+        languageSave: 'Cambiar idioma',
+        newsletterTitle: 'Newsletter semanal',
+        newsletterOn: 'Recibes nuestro newsletter con las mejores ofertas de la semana.',
+        newsletterOff: 'No recibes el newsletter. Tus alertas de precio siguen funcionando.',
+        newsletterUnsubscribe: 'Cancelar newsletter',
+        newsletterSubscribe: 'Volver a recibir el newsletter',
+        unsubscribeTitle: 'Darme de baja de todo',
+        unsubscribeText: 'Dejarás de recibir todos nuestros emails y tus alertas quedarán pausadas.',
+        unsubscribeButton: 'Darme de baja',
+        unsubscribedText: 'Te diste de baja de todos nuestros emails. Para volver, crea una alerta o suscríbete desde la página principal.',
+        linkNote: 'Este enlace es personal y vence en 30 días. No lo compartas.',
+        requestTitle: 'Administra tus alertas',
+        requestText: 'Ingresa tu email y te enviaremos un enlace para ver y cambiar tus alertas.',
+        expiredText: 'Este enlace venció o no es válido. Ingresa tu email y te enviaremos uno nuevo.',
+        emailLabel: 'Tu email',
+        requestButton: 'Enviarme el enlace',
+        rateLimited: 'Demasiados intentos. Espera unos minutos antes de intentarlo de nuevo.',
+        errorTitle: 'Algo salió mal',
+        errorText: 'No pudimos guardar los cambios. Intenta de nuevo en unos minutos.',
+        backHome: 'Volver a VuelosBaratos NYC',
+        privacyLink: 'Descarga o borra todos tus datos',
+        notices: {
+            alert_updated: 'Guardamos los cambios de tu alerta.',
+            alert_paused: 'Pausamos la alerta. Puedes reanudarla cuando quieras.',
+            alert_resumed: 'La alerta está activa de nuevo.',
+            alert_deleted: 'Eliminamos la alerta.',
+            alert_missing: 'Esa alerta ya no existe.',
+            language_updated: 'Te escribiremos en español.',
+            newsletter_unsubscribed: 'Ya no recibirás el newsletter.',
+            newsletter_subscribed: 'Volverás a recibir el newsletter.',
+            unsubscribed: 'Te diste de baja de todos nuestros emails.',
+            link_sent: 'Si ese email tiene alertas con nosotros, te enviamos un enlace nuevo. Revisa tu bandeja de entrada.'
+        }
+    },
+    en: {
+        title: 'Your alerts and preferences',
+        intro: 'Manage the flight alerts for',
+        alertsTitle: 'Your alerts',
+        noAlerts: 'You have no active alerts. Create a new one from the home page.',
+        statusActive: 'Active',
+        statusPaused: 'Paused',
+        targetPrice: 'Target price (USD)',
+        departure: 'Departure airport',
+        travelClass: 'Class',
+        timeframe: 'Dates',
+        exactDates: 'Exact dates',
+        save: 'Save changes',
+        pause: 'Pause',
+        resume: 'Resume',
+        remove: 'Delete',
+        languageTitle: 'Email language',
+        languageSave: 'Change language',
+        newsletterTitle: 'Weekly newsletter',
+        newsletterOn: 'You get our newsletter with the best deals of the week.',
+        newsletterOff: 'You do not get the newsletter. Your price alerts keep working.',
+        newsletterUnsubscribe: 'Stop the newsletter',
+        newsletterSubscribe: 'Get the newsletter again',
+        unsubscribeTitle: 'Unsubscribe from everything',
+        unsubscribeText: 'You will stop getting all of our emails and your alerts will be paused.',
+        unsubscribeButton: 'Unsubscribe',
+        unsubscribedText: 'You unsubscribed from all of our emails. To come back, create an alert or sign up from the home page.',
+        linkNote: 'This link is personal and expires in 30 days. Do not share it.',
+        requestTitle: 'Manage your alerts',
+        requestText: 'Enter your email and we will send you a link to see and change your alerts.',
+        expiredText: 'This link expired or is not valid. Enter your email and we will send you a new one.',
+        emailLabel: 'Your email',
+        requestButton: 'Send me the link',
+        rateLimited: 'Too many attempts. Please wait a few minutes before trying again.',
+        errorTitle: 'Something went wrong',
+        errorText: 'We could not save your changes. Please try again in a few minutes.',
+        backHome: 'Back to VuelosBaratos NYC',
+        privacyLink: 'Download or delete all your data',
+        notices: {
+            alert_updated: 'Your alert changes are saved.',
+            alert_paused: 'The alert is paused. You can resume it any time.',
+            alert_resumed: 'The alert is active again.',
+            alert_deleted: 'The alert was deleted.',
+            alert_missing: 'That alert no longer exists.',
+            language_updated: 'We will write to you in English.',
+            newsletter_unsubscribed: 'You will no longer get the newsletter.',
+            newsletter_subscribed: 'You will get the newsletter again.',
+            unsubscribed: 'You unsubscribed from all of our emails.',
+            link_sent: 'If that email has alerts with us, we sent it a new link. Check your inbox.'
+        }
+    }
+};
+
+const LABELS = {
+    es: {
+        languages: { es: 'Español', en: 'English' },
+        airports: { ALL: 'Cualquier aeropuerto NYC', JFK: 'JFK (John F. Kennedy)', LGA: 'LaGuardia (LGA)', EWR: 'Newark (EWR)' },
+        classes: { economy: 'Económica', premium: 'Premium Economy', business: 'Business', first: 'Primera Clase' },
+        timeframes: { '1month': 'Próximo mes', '3months': 'Próximos 3 meses', '6months': 'Próximos 6 meses', '1year': 'Próximo año', flexible: 'Fechas flexibles' }
+    },
+    en: {
+        languages: { es: 'Español', en: 'English' },
+        airports: { ALL: 'Any NYC airport', JFK: 'JFK (John F. Kennedy)', LGA: 'LaGuardia (LGA)', EWR: 'Newark (EWR)' },
+        classes: { economy: 'Economy', premium: 'Premium Economy', business: 'Business', first: 'First' },
+        timeframes: { '1month': 'Next month', '3months': 'Next 3 months', '6months': 'Next 6 months', '1year': 'Next year', flexible: 'Flexible dates' }
+    }
+};
+
+exports.handler = createHandler({
+    name: 'Preference center',
+    methods: ['GET', 'POST'],
+    cors: false,
+    bodyTypes: ['form'],
+    headers: {
+        'Content-Type': 'text/html; charset=utf-8',
+        'Cache-Control': 'no-store',
+        // The token in the URL must not leak to other sites through the Referer header
+        'Referrer-Policy': 'no-referrer'
+    },
+    // Method, size and content-type rejections from the pipeline get the usual error page
+    renderError: (statusCode, message, request) => {
+        const language = LANGUAGES.includes(request.query.lang) ? request.query.lang : 'es';
+        return renderMessagePage(language, MESSAGES[language].errorTitle, MESSAGES[language].errorText);
+    }
+}, async (request, context) => {
+    const { event } = request;
+    const headers = request.responseHeaders;
+
+    const query = request.query;
+    let language = LANGUAGES.includes(query.lang) ? query.lang : 'es';
+
+    try {
+        connectStore(event);
+
+        const params = event.httpMethod === 'POST'
+            ? request.body
+            : query;
+        if (LANGUAGES.includes(params.lang)) language = params.lang;
+
+        if (event.httpMethod === 'POST' && params.action === 'request_link') {
+            return await handleLinkRequest(event, context, headers, params, language);
+        }
+
+        const token = typeof params.token === 'string' ? params.token : '';
+        const payload = verifySignedToken('preferences', token);
+
+        // No link at all: ask for the email. A stale or tampered one: say so, then ask.
+        if (!payload) {
+            return {
+                statusCode: token ? 410 : 200,
+                headers,
+                body: renderRequestPage(language, { expired: Boolean(token) })
+            };
+        }
+
+        const email = payload.email;
+
+        if (event.httpMethod === 'GET') {
+            const preferences = await getPreferences(email);
+            if (!LANGUAGES.includes(query.lang)) language = preferences.language;
+
+            return {
+                statusCode: 200,
+                headers,
+                body: renderPreferencesPage(language, token, email, preferences, MESSAGES[language].notices[query.notice])
+            };
+        }
+
+        const result = await applyAction(context, email, params);
+
+        if (result.errors) {
+            const preferences = await getPreferences(email);
+            return {
+                statusCode: 400,
+                headers,
+                body: renderPreferencesPage(language, token, email, preferences, null, result.errors.map((error) => formatMessage(error, language)))
+            };
+        }
+
+        const viewLanguage = result.language || language;
+
+        if (result.notice !== 'alert_missing') {
+            const change = CONSENT_CHANGES[params.action];
+            await recordConsent(email, {
+                action: change.action,
+                channels: change.channels || ['email'],
+                scope: change.scope,
+                change: params.action,
+                endpoint: 'preferences',
+                form: 'preference_center',
+                language: viewLanguage
+            }, event);
+        }
+
+        // Post/Redirect/Get so a refresh does not submit the form twice
+        return {
+            statusCode: 303,
+            headers: {
+                ...headers,
+                'Location': `${PAGE_PATH}?${querystring.stringify({ token, lang: viewLanguage, notice: result.notice })}`
+            },
+            body: ''
+        };
+
+    } catch (error) {
+        console.error('Preference center error:', error);
+
+        return {
+            statusCode: 500,
+            headers,
+            body: renderMessagePage(language, MESSAGES[language].errorTitle, MESSAGES[language].errorText)
+        };
+    }
+});
+
+// Helper function to run one form action; returns { notice, language } or { errors }
+async function applyAction(context, email, params) {
+    const alertId = typeof params.alert_id === 'string' ? params.alert_id : '';
+    let notice;
+    let language;
+
+    switch (params.action) {
+        case 'update_alert': {
+            const validation = validateRequest('preferences-alert', params);
+            if (validation.errors.length) return { errors: validation.errors };
+
+            const updated = await updateAlertSettings(email, validation.value.alert_id, validation.value);
+            if (updated && updated.error) return { errors: [updated.error] };
+            notice = updated ? 'alert_updated' : 'alert_missing';
+            break;
+        }
+
+        case 'pause_alert':
+        case 'resume_alert': {
+            const updated = await setAlertStatus(email, alertId, params.action === 'pause_alert' ? 'paused' : 'active');
+            notice = updated ? (params.action === 'pause_alert' ? 'alert_paused' : 'alert_resumed') : 'alert_missing';
+            break;
+        }
+
+        case 'delete_alert':
+            notice = (await removeAlert(email, alertId)) ? 'alert_deleted' : 'alert_missing';
+            break;
+
+        case 'set_language': {
+            const validation = validateRequest('preferences-language', params);
+            if (validation.errors.length) return { errors: validation.errors };
+
+            language = validation.value.language;
+            await setLanguage(email, language);
+            notice = 'language_updated';
+            break;
+        }
+
+        case 'unsubscribe_newsletter':
+        case 'subscribe_newsletter':
+            await setNewsletter(email, params.action === 'subscribe_newsletter');
+            notice = params.action === 'subscribe_newsletter' ? 'newsletter_subscribed' : 'newsletter_unsubscribed';
+            break;
+
+        case 'unsubscribe_all':
+            await unsubscribeEverything(createEmailProvider({ context }), email);
+            return { notice: 'unsubscribed' };
+
+        default:
+            return { errors: [{ field: 'action', code: 'invalid_option' }] };
+    }
+
+    // The provider keeps a copy of the alerts and preferences for segmentation and email content
+    if (notice !== 'alert_missing') {
+        await syncSubscriberProfile(createEmailProvider({ context }), email);
+    }
+
+    return { notice, language };
+}
+
+// Helper function to email a fresh link. The answer is the same whether or not the email is
+// subscribed, so the form cannot be used to find out who is.
+async function handleLinkRequest(event, context, headers, params, language) {
+    const validation = validateRequest('preferences-link', params);
+    if (validation.errors.length) {
+        return {
+            statusCode: 400,
+            headers,
+            body: renderRequestPage(language, { errors: validation.errors.map((error) => formatMessage(error, language)) })
+        };
+    }
+    const email = validation.value.email;
+
+    const rateLimit = await checkRateLimit('preferences', { ip: getClientIp(event), email });
+    if (rateLimit.limited) {
+        return {
+            statusCode: 429,
+            headers: { ...headers, 'Retry-After': String(rateLimit.retryAfterSeconds) },
+            body: renderRequestPage(language, { errors: [MESSAGES[language].rateLimited] })
+        };
+    }
+
+    if (await isConfirmedSubscriber(email)) {
+        const emailProvider = createEmailProvider({ context });
+
+        try {
+            if (!emailProvider) throw new Error('Email provider is not configured');
+            await emailProvider.trackEvent({
+                email,
+                name: 'Preferences Link Requested',
+                properties: {
+                    preferences_url: createPreferencesUrl(email),
+                    language
+                }
+            });
+        } catch (error) {
+            // The visitor can ask again; nothing is lost
+            console.error('Preferences link email failed:', error.message);
+        }
+    }
+
+    return {
+        statusCode: 200,
+        headers,
+        body: renderRequestPage(language, { notice: MESSAGES[language].notices.link_sent })
+    };
+}
+
+// Helper function to render the preference center itself
+function renderPreferencesPage(language, token, email, preferences, notice, errors) {
+    const copy = MESSAGES[language];
+    const labels = LABELS[language];
+    const hidden = (action, extra = {}) => hiddenFields({ token, lang: language, action, ...extra });
+
+    const alerts = preferences.alerts.length
+        ? preferences.alerts.map((alert) => renderAlert(language, alert, hidden)).join('')
+        : `<p class="muted">${escapeHtml(copy.noAlerts)}</p>`;
+
+    const newsletter = preferences.unsubscribed
+        ? `<p class="muted">${escapeHtml(copy.unsubscribedText)}</p>`
+        : `<p class="muted">${escapeHtml(preferences.newsletter ? copy.newsletterOn : copy.newsletterOff)}</p>
+            <form method="POST" action="${PAGE_PATH}">
+                ${hidden(preferences.newsletter ? 'unsubscribe_newsletter' : 'subscribe_newsletter')}
+                <button type="submit" class="btn secondary">${escapeHtml(preferences.newsletter ? copy.newsletterUnsubscribe : copy.newsletterSubscribe)}</button>
+            </form>`;
+
+    const unsubscribe = preferences.unsubscribed
+        ? ''
+        : `<section class="card">
+            <h2>${escapeHtml(copy.unsubscribeTitle)}</h2>
+            <p class="muted">${escapeHtml(copy.unsubscribeText)}</p>
+            <form method="POST" action="${PAGE_PATH}">
+                ${hidden('unsubscribe_all')}
+                <button type="submit" class="btn danger">${escapeHtml(copy.unsubscribeButton)}</button>
+            </form>
+        </section>`;
+
+    const body = `
+        <header class="card">
+            ${renderLanguageToggle(language, token)}
+            <h1>${escapeHtml(copy.title)}</h1>
+            <p class="muted">${escapeHtml(copy.intro)} <strong>${escapeHtml(email)}</strong></p>
+            ${notice ? `<p class="notice" role="status">${escapeHtml(notice)}</p>` : ''}
+            ${errors && errors.length ? `<ul class="errors" role="alert">${errors.map((error) => `<li>${escapeHtml(error)}</li>`).join('')}</ul>` : ''}
+        </header>
+
+        <section class="card">
+            <h2>${escapeHtml(copy.alertsTitle)}</h2>
+            ${alerts}
+        </section>
+
+        <section class="card">
+            <h2>${escapeHtml(copy.languageTitle)}</h2>
+            <form method="POST" action="${PAGE_PATH}" class="inline">
+                ${hidden('set_language')}
+                <select name="language" aria-label="${escapeHtml(copy.languageTitle)}">
+                    ${renderOptions(labels.languages, preferences.language)}
+                </select>
+                <button type="submit" class="btn secondary">${escapeHtml(copy.languageSave)}</button>
+            </form>
+        </section>
+
+        <section class="card">
+            <h2>${escapeHtml(copy.newsletterTitle)}</h2>
+            ${newsletter}
+        </section>
+
+        ${unsubscribe}
+
+        <p class="footnote">${escapeHtml(copy.linkNote)}</p>
+        <p class="footnote"><a href="/.netlify/functions/privacy?lang=${language}">${escapeHtml(copy.privacyLink)}</a></p>`;
+
+    return renderLayout(language, copy.title, body);
+}
+
+// Helper function to render one alert with its edit form and pause/delete buttons
+function renderAlert(language, alert, hidden) {
+    const copy = MESSAGES[language];
+    const labels = LABELS[language];
+    const dates = alert.travel_dates;
+    const isExact = Boolean(dates && dates.source === 'exact');
+    const isPaused = alert.status === 'paused';
+    const fieldId = (name) => `${alert.id}-${name}`;
+
+    const timeframeOptions = (isExact
+        ? `<option value="" selected>${escapeHtml(`${copy.exactDates}: ${formatDateRange(language, dates.departure_from, dates.departure_to)}`)}</option>`
+        : '') + renderOptions(pick(labels.timeframes, TIMEFRAMES), isExact ? null : alert.timeframe);
+
+    return `
+            <article class="alert${isPaused ? ' paused' : ''}">
+                <div class="alert-head">
+                    <h3>${escapeHtml(alert.destination.name)}${alert.destination.code && alert.destination.code !== 'OTHER' ? ` (${escapeHtml(alert.destination.code)})` : ''}</h3>
+                    <span class="badge">${escapeHtml(isPaused ? copy.statusPaused : copy.statusActive)}</span>
+                </div>
+                <form method="POST" action="${PAGE_PATH}" class="alert-form">
+                    ${hidden('update_alert', { alert_id: alert.id })}
+                    <label for="${fieldId('price')}">${escapeHtml(copy.targetPrice)}</label>
+                    <input type="number" id="${fieldId('price')}" name="target_price" min="50" max="20000" step="1" value="${escapeHtml(Math.round(alert.target_price))}" required>
+                    <label for="${fieldId('departure')}">${escapeHtml(copy.departure)}</label>
+                    <select id="${fieldId('departure')}" name="departure_airport">${renderOptions(labels.airports, alert.departure_airport)}</select>
+                    <label for="${fieldId('class')}">${escapeHtml(copy.travelClass)}</label>
+                    <select id="${fieldId('class')}" name="travel_class">${renderOptions(pick(labels.classes, CABIN_CLASSES), alert.travel_class)}</select>
+                    <label for="${fieldId('timeframe')}">${escapeHtml(copy.timeframe)}</label>
+                    <select id="${fieldId('timeframe')}" name="timeframe">${timeframeOptions}</select>
+                    <button type="submit" class="btn">${escapeHtml(copy.save)}</button>
+                </form>
+                <div class="alert-actions">
+                    <form method="POST" action="${PAGE_PATH}">
+                        ${hidden(isPaused ? 'resume_alert' : 'pause_alert', { alert_id: alert.id })}
+                        <button type="submit" class="btn secondary">${escapeHtml(isPaused ? copy.resume : copy.pause)}</button>
+                    </form>
+                    <form method="POST" action="${PAGE_PATH}">
+                        ${hidden('delete_alert', { alert_id: alert.id })}
+                        <button type="submit" class="btn danger">${escapeHtml(copy.remove)}</button>
+                    </form>
+                </div>
+            </article>`;
+}
+
+// Helper function to render the "email me a link" page
+function renderRequestPage(language, { expired, notice, errors } = {}) {
+    const copy = MESSAGES[language];
+
+    const body = `
+        <section class="card">
+            ${renderLanguageToggle(language)}
+            <h1>${escapeHtml(copy.requestTitle)}</h1>
+            <p class="muted">${escapeHtml(expired ? copy.expiredText : copy.requestText)}</p>
+            ${notice ? `<p class="notice" role="status">${escapeHtml(notice)}</p>` : ''}
+            ${errors && errors.length ? `<ul class="errors" role="alert">${errors.map((error) => `<li>${escapeHtml(error)}</li>`).join('')}</ul>` : ''}
+            <form method="POST" action="${PAGE_PATH}" class="inline">
+                ${hiddenFields({ action: 'request_link', lang: language })}
+                <input type="email" name="email" aria-label="${escapeHtml(copy.emailLabel)}" placeholder="tu@email.com" autocomplete="email" required>
+                <input type="hidden" name="language" value="${escapeHtml(language)}">
+                <button type="submit" class="btn">${escapeHtml(copy.requestButton)}</button>
+            </form>
+            <p><a href="/">${escapeHtml(copy.backHome)}</a></p>
+        </section>`;
+
+    return renderLayout(language, copy.requestTitle, body);
+}
+
+function renderMessagePage(language, title, text) {
+    const copy = MESSAGES[language];
+
+    return renderLayout(language, title, `
+        <section class="card">
+            <h1>${escapeHtml(title)}</h1>
+            <p class="muted">${escapeHtml(text)}</p>
+            <a class="btn" href="/">${escapeHtml(copy.backHome)}</a>
+        </section>`);
+}
+
+// Helper function for the Español / English switch (view only; the saved language is a form below)
+function renderLanguageToggle(language, token) {
+    const links = LANGUAGES.map((code) => {
+        const href = `${PAGE_PATH}?${querystring.stringify(token ? { token, lang: code } : { lang: code })}`;
+        return code === language
+            ? `<strong aria-current="page">${escapeHtml(LABELS[language].languages[code])}</strong>`
+            : `<a href="${escapeHtml(href)}" hreflang="${code}" lang="${code}">${escapeHtml(LABELS[language].languages[code])}</a>`;
+    });
+
+    return `<nav class="lang-toggle">${links.join(' | ')}</nav>`;
+}
+
+function renderLayout(language, title, body) {
+    return `<!DOCTYPE html>
+<html lang="${language}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex">
+    <title>${escapeHtml(title)} | VuelosBaratos NYC</title>
+    <style>
+        body { font-family: 'Inter', sans-serif; background: linear-gradient(135deg, #1e3a8a, #2563eb); color: #1f2937; margin: 0; min-height: 100vh; padding: 30px 20px; box-sizing: border-box; }
+        main { max-width: 640px; margin: 0 auto; }
+        .card { background: white; padding: 30px; border-radius: 25px; box-shadow: 0 20px 60px rgba(0, 0, 0, 0.2); margin-bottom: 20px; }
+        h1 { font-size: 1.6rem; margin: 0 0 10px; }
+        h2 { font-size: 1.2rem; margin: 0 0 15px; }
+        h3 { font-size: 1.05rem; margin: 0; }
+        .muted { color: #6b7280; line-height: 1.6; }
+        .lang-toggle { text-align: right; font-size: 0.9rem; margin-bottom: 10px; }
+        .lang-toggle a { color: #2563eb; }
+        .notice { background: #ecfdf5; color: #065f46; padding: 12px 16px; border-radius: 12px; }
+        .errors { background: #fef2f2; color: #b91c1c; padding: 12px 16px 12px 32px; border-radius: 12px; }
+        .alert { border: 2px solid #e5e7eb; border-radius: 16px; padding: 20px; margin-bottom: 15px; }
+        .alert.paused { background: #f9fafb; }
+        .alert-head { display: flex; justify-content: space-between; align-items: center; gap: 10px; margin-bottom: 15px; }
+        .badge { font-size: 0.8rem; font-weight: 700; color: #2563eb; background: #dbeafe; padding: 4px 10px; border-radius: 8px; }
+        .alert.paused .badge { color: #6b7280; background: #e5e7eb; }
+        .alert-form { display: grid; grid-template-columns: 1fr 1fr; gap: 8px 12px; align-items: center; }
+        .alert-form .btn { grid-column: 1 / -1; justify-self: start; margin-top: 8px; }
+        .alert-actions { display: flex; gap: 10px; margin-top: 12px; }
+        .inline { display: flex; flex-wrap: wrap; gap: 10px; }
+        input, select { padding: 10px 14px; border: 2px solid #e5e7eb; border-radius: 12px; font-size: 16px; background: white; }
+        .btn { display: inline-block; background: linear-gradient(135deg, #f59e0b, #d97706); color: white; padding: 12px 24px; border-radius: 50px; border: none; font-size: 15px; font-weight: 700; text-decoration: none; cursor: pointer; }
+        .btn.secondary { background: #e5e7eb; color: #1f2937; }
+        .btn.danger { background: #dc2626; }
+        .footnote { color: #dbeafe; font-size: 0.85rem; text-align: center; }
+        @media (max-width: 520px) { .alert-form { grid-template-columns: 1fr; } }
+    </style>
+</head>
+<body>
+    <main>
+        ${body}
+    </main>
+</body>
+</html>`;
+}
+
+function hiddenFields(fields) {
+    return Object.entries(fields)
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([name, value]) => `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`)
+        .join('\n                    ');
+}
+
+function renderOptions(labels, selected) {
+    return Object.entries(labels)
+        .map(([value, label]) => `<option value="${escapeHtml(value)}"${value === selected ? ' selected' : ''}>${escapeHtml(label)}</option>`)
+        .join('');
+}
+
+// Helper function to keep a label map in the order of the list of allowed values
+function pick(labels, values) {
+    const picked = {};
+    values.forEach((value) => {
+        picked[value] = labels[value] || value;
+    });
+    return picked;
+}
+
+function formatDateRange(language, from, to) {
+    const format = (value) => new Date(`${value}T00:00:00Z`).toLocaleDateString(language === 'en' ? 'en-US' : 'es-ES', {
+        day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC'
+    });
+    return from === to ? format(from) : `${format(from)} – ${format(to)}`;
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
@@ -0,0 +1,318 @@
+const querystring = require('querystring');
+const { createEmailProvider } = require('./utils/email-provider');
+const { connectStore } = require('./utils/store');
+const { verifySignedToken } = require('./utils/signing');
+const { checkRateLimit, getClientIp } = require('./utils/rate-limit');
+const { listAlerts } = require('./utils/alerts');
+const { isConfirmedSubscriber } = require('./utils/subscribers');
+const { LANGUAGES, formatMessage, validateRequest } = require('./utils/validation');
+const {
+    PRIVACY_REQUESTS,
+    collectPersonalData,
+    createPrivacyUrl,
+    deletePersonalData
+} = require('./utils/privacy');
+const { createHandler } = require('./utils/http');
+
+const PAGE_PATH = '/.netlify/functions/privacy';
+
+// Page copy for data export and deletion requests
+const MESSAGES = {
+    es: {
+        requestTitle: 'Tus datos personales',
+        requestText: 'Puedes descargar una copia de todos los datos que guardamos sobre ti o pedir que los borremos. Te enviaremos un enlace a tu email para confirmar que eres tú.',
+        emailLabel: 'Tu email',
+        exportOption: 'Descargar mis datos',
+        deleteOption: 'Borrar mis datos',
+        requestButton: 'Enviarme el enlace',
+        requestSent: 'Si tenemos datos asociados a ese email, te enviamos un enlace para confirmar. Vence en 24 horas.',
+        rateLimited: 'Demasiados intentos. Espera un rato antes de intentarlo de nuevo.',
+        expiredText: 'Este enlace venció o no es válido. Pide uno nuevo abajo.',
+        exportTitle: 'Descarga tus datos',
+        exportText: 'Descargarás un archivo JSON con tus alertas, preferencias y los datos que guarda nuestro proveedor de email sobre',
+        exportButton: 'Descargar mis datos',
+        deleteTitle: 'Borra tus datos',
+        deleteText: 'Borraremos definitivamente tus alertas, tus preferencias y tu perfil en nuestro proveedor de email para',
+        deleteWarning: 'No se puede deshacer. Dejarás de recibir todas las alertas.',
+        deleteButton: 'Borrar mis datos definitivamente',
+        deletedTitle: 'Borramos tus datos',
+        deletedText: 'Eliminamos tus datos de nuestros sistemas. El borrado en nuestro proveedor de email puede tardar unos días en completarse.',
+        errorTitle: 'Algo salió mal',
+        errorText: 'No pudimos completar tu solicitud. Intenta de nuevo en unos minutos.',
+        backHome: 'Volver a VuelosBaratos NYC'
+    },
+    en: {
+        requestTitle: 'Your personal data',
+        requestText: 'You can download a copy of all the data we keep about you or ask us to delete it. We will email you a link to confirm it is you.',
+        emailLabel: 'Your email',
+        exportOption: 'Download my data',
+        deleteOption: 'Delete my data',
+        requestButton: 'Send me the link',
+        requestSent: 'If we hold data for that email, we sent it a confirmation link. It expires in 24 hours.',
+        rateLimited: 'Too many attempts. Please wait a while before trying again.',
+        expiredText: 'This link expired or is not valid. Ask for a new one below.',
+        exportTitle: 'Download your data',
+        exportText: 'You will download a JSON file with your alerts, preferences and the data our email provider keeps about',
+        exportButton: 'Download my data',
+        deleteTitle: 'Delete your data',
+        deleteText: 'We will permanently delete your alerts, your preferences and your profile at our email provider for',
+        deleteWarning: 'This cannot be undone. You will stop getting all alerts.',
+        deleteButton: 'Permanently delete my data',
+        deletedTitle: 'Your data was deleted',
+        deletedText: 'We removed your data from our systems. The deletion at our email provider can take a few days to complete.',
+        errorTitle: 'Something went wrong',
+        errorText: 'We could not complete your request. Please try again in a few minutes.',
+        backHome: 'Back to VuelosBaratos NYC'
+    }
+};
+
+exports.handler = createHandler({
+    name: 'Privacy request',
+    methods: ['GET', 'POST'],
+    cors: false,
+    bodyTypes: ['form'],
+    headers: {
+        'Content-Type': 'text/html; charset=utf-8',
+        'Cache-Control': 'no-store',
+        'Referrer-Policy': 'no-referrer'
+    },
+    // Method, size and content-type rejections from the pipeline get the usual error page
+    renderError: (statusCode, message, request) => {
+        const language = LANGUAGES.includes(request.query.lang) ? request.query.lang : 'es';
+        return renderMessagePage(language, MESSAGES[language].errorTitle, MESSAGES[language].errorText);
+    }
+}, async (request, context) => {
+    const { event } = request;
+    const headers = request.responseHeaders;
+
+    const query = request.query;
+    let language = LANGUAGES.includes(query.lang) ? query.lang : 'es';
+
+    try {
+        connectStore(event);
+
+        const params = event.httpMethod === 'POST'
+            ? request.body
+            : query;
+        if (LANGUAGES.includes(params.lang)) language = params.lang;
+        const copy = MESSAGES[language];
+
+        if (event.httpMethod === 'POST' && params.action === 'request') {
+            return await handleRequest(event, context, headers, params, language);
+        }
+
+        const token = typeof params.token === 'string' ? params.token : '';
+        const payload = verifySignedToken('privacy', token);
+
+        if (!payload || !PRIVACY_REQUESTS.includes(payload.request)) {
+            return {
+                statusCode: token ? 410 : 200,
+                headers,
+                body: renderRequestPage(language, { notice: token ? copy.expiredText : null })
+            };
+        }
+
+        // Like the confirmation link: GET only shows the button, so link scanners cannot act on it
+        if (event.httpMethod === 'GET' || params.action !== 'confirm') {
+            return {
+                statusCode: 200,
+                headers,
+                body: renderConfirmPage(language, token, payload)
+            };
+        }
+
+        const emailProvider = createEmailProvider({ context });
+
+        if (payload.request === 'export') {
+            const data = await collectPersonalData(emailProvider, payload.email);
+
+            return {
+                statusCode: 200,
+                headers: {
+                    'Content-Type': 'application/json; charset=utf-8',
+                    'Content-Disposition': 'attachment; filename="vuelosbaratos-nyc-mis-datos.json"',
+                    'Cache-Control': 'no-store',
+                    'Referrer-Policy': 'no-referrer'
+                },
+                body: JSON.stringify(data, null, 2)
+            };
+        }
+
+        await deletePersonalData(emailProvider, payload.email, event);
+
+        return {
+            statusCode: 200,
+            headers,
+            body: renderMessagePage(language, copy.deletedTitle, copy.deletedText)
+        };
+
+    } catch (error) {
+        console.error('Privacy request error:', error);
+
+        return {
+            statusCode: 500,
+            headers,
+            body: renderMessagePage(language, MESSAGES[language].errorTitle, MESSAGES[language].errorText)
+        };
+    }
+});
+
+// Helper function to email the verification link. The answer is the same whether or not we know
+// the email, so the form cannot be used to find out who subscribed.
+async function handleRequest(event, context, headers, params, language) {
+    const copy = MESSAGES[language];
+
+    const validation = validateRequest('privacy-request', params);
+    if (validation.errors.length) {
+        return {
+            statusCode: 400,
+            headers,
+            body: renderRequestPage(language, { errors: validation.errors.map((error) => formatMessage(error, language)) })
+        };
+    }
+    const { email, request } = validation.value;
+
+    const rateLimit = await checkRateLimit('privacy', { ip: getClientIp(event), email });
+    if (rateLimit.limited) {
+        return {
+            statusCode: 429,
+            headers: { ...headers, 'Retry-After': String(rateLimit.retryAfterSeconds) },
+            body: renderRequestPage(language, { errors: [copy.rateLimited] })
+        };
+    }
+
+    // An event for an unknown address would create a contact at the provider, the opposite of what we want
+    const known = await isConfirmedSubscriber(email) || (await listAlerts(email)).length > 0;
+
+    if (known) {
+        const emailProvider = createEmailProvider({ context });
+
+        try {
+            if (!emailProvider) throw new Error('Email provider is not configured');
+            await emailProvider.trackEvent({
+                email,
+                name: 'Privacy Request Verification',
+                properties: {
+                    request_type: request,
+                    privacy_url: createPrivacyUrl(email, request),
+                    language
+                }
+            });
+        } catch (error) {
+            // The visitor can ask again; nothing is lost
+            console.error('Privacy verification email failed:', error.message);
+        }
+    }
+
+    return {
+        statusCode: 200,
+        headers,
+        body: renderRequestPage(language, { notice: copy.requestSent })
+    };
+}
+
+// Helper function to render the "email me a link" page
+function renderRequestPage(language, { notice, errors } = {}) {
+    const copy = MESSAGES[language];
+
+    return renderLayout(language, copy.requestTitle, `
+            ${renderLanguageToggle(language)}
+            <h1>${escapeHtml(copy.requestTitle)}</h1>
+            <p>${escapeHtml(copy.requestText)}</p>
+            ${notice ? `<p class="notice" role="status">${escapeHtml(notice)}</p>` : ''}
+            ${errors && errors.length ? `<ul class="errors" role="alert">${errors.map((error) => `<li>${escapeHtml(error)}</li>`).join('')}</ul>` : ''}
+            <form method="POST" action="${PAGE_PATH}">
+                <input type="hidden" name="action" value="request">
+                <input type="hidden" name="lang" value="${escapeHtml(language)}">
+                <input type="hidden" name="language" value="${escapeHtml(language)}">
+                <input type="email" name="email" aria-label="${escapeHtml(copy.emailLabel)}" placeholder="tu@email.com" autocomplete="email" required>
+                <fieldset>
+                    <label><input type="radio" name="request" value="export" checked> ${escapeHtml(copy.exportOption)}</label>
+                    <label><input type="radio" name="request" value="delete"> ${escapeHtml(copy.deleteOption)}</label>
+                </fieldset>
+                <button type="submit" class="btn">${escapeHtml(copy.requestButton)}</button>
+            </form>
+            <p><a href="/">${escapeHtml(copy.backHome)}</a></p>`);
+}
+
+// Helper function to render the page behind the emailed link, with the one button that acts
+function renderConfirmPage(language, token, payload) {
+    const copy = MESSAGES[language];
+    const isDelete = payload.request === 'delete';
+
+    return renderLayout(language, isDelete ? copy.deleteTitle : copy.exportTitle, `
+            ${renderLanguageToggle(language, token)}
+            <h1>${escapeHtml(isDelete ? copy.deleteTitle : copy.exportTitle)}</h1>
+            <p>${escapeHtml(isDelete ? copy.deleteText : copy.exportText)} <strong>${escapeHtml(payload.email)}</strong>.</p>
+            ${isDelete ? `<p class="warning">${escapeHtml(copy.deleteWarning)}</p>` : ''}
+            <form method="POST" action="${PAGE_PATH}">
+                <input type="hidden" name="action" value="confirm">
+                <input type="hidden" name="token" value="${escapeHtml(token)}">
+                <input type="hidden" name="lang" value="${escapeHtml(language)}">
+                <button type="submit" class="btn${isDelete ? ' danger' : ''}">${escapeHtml(isDelete ? copy.deleteButton : copy.exportButton)}</button>
+            </form>`);
+}
+
+function renderMessagePage(language, title, text) {
+    const copy = MESSAGES[language];
+
+    return renderLayout(language, title, `
+            <h1>${escapeHtml(title)}</h1>
+            <p>${escapeHtml(text)}</p>
+            <a class="btn" href="/">${escapeHtml(copy.backHome)}</a>`);
+}
+
+// Helper function for the Español / English switch
+function renderLanguageToggle(language, token) {
+    const names = { es: 'Español', en: 'English' };
+    const links = LANGUAGES.map((code) => {
+        const href = `${PAGE_PATH}?${querystring.stringify(token ? { token, lang: code } : { lang: code })}`;
+        return code === language
+            ? `<strong aria-current="page">${names[code]}</strong>`
+            : `<a href="${escapeHtml(href)}" hreflang="${code}" lang="${code}">${names[code]}</a>`;
+    });
+
+    return `<nav class="lang-toggle">${links.join(' | ')}</nav>`;
+}
+
+function renderLayout(language, title, content) {
+    return `<!DOCTYPE html>
+<html lang="${language}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex">
+    <title>${escapeHtml(title)} | VuelosBaratos NYC</title>
+    <style>
+        body { font-family: 'Inter', sans-serif; background: linear-gradient(135deg, #1e3a8a, #2563eb); color: #1f2937; margin: 0; min-height: 100vh; display: flex; align-items: center; justify-content: center; padding: 20px; box-sizing: border-box; }
+        .card { background: white; max-width: 520px; padding: 40px; border-radius: 25px; box-shadow: 0 20px 60px rgba(0, 0, 0, 0.2); }
+        h1 { font-size: 1.6rem; margin-bottom: 15px; }
+        p { color: #6b7280; line-height: 1.6; }
+        .lang-toggle { text-align: right; font-size: 0.9rem; }
+        .lang-toggle a { color: #2563eb; }
+        .notice { background: #ecfdf5; color: #065f46; padding: 12px 16px; border-radius: 12px; }
+        .warning { color: #b91c1c; font-weight: 600; }
+        .errors { background: #fef2f2; color: #b91c1c; padding: 12px 16px 12px 32px; border-radius: 12px; }
+        form { display: flex; flex-direction: column; gap: 15px; margin: 20px 0; }
+        fieldset { border: none; padding: 0; margin: 0; display: flex; flex-direction: column; gap: 8px; }
+        input[type="email"] { padding: 12px 16px; border: 2px solid #e5e7eb; border-radius: 12px; font-size: 16px; }
+        .btn { display: inline-block; background: linear-gradient(135deg, #f59e0b, #d97706); color: white; padding: 15px 30px; border-radius: 50px; border: none; font-size: 16px; font-weight: 700; text-decoration: none; cursor: pointer; text-align: center; }
+        .btn.danger { background: #dc2626; }
+    </style>
+</head>
+<body>
+    <div class="card">
+        ${content}
+    </div>
+</body>
+</html>`;
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
@@ -0,0 +1,140 @@
+const { connectStore } = require('./utils/store');
+const { verifySignedToken } = require('./utils/signing');
+const { getAlert } = require('./utils/alerts');
+const { checkRateLimit, getClientIp, getRateLimitResponse } = require('./utils/rate-limit');
+const { recordConsent } = require('./utils/consent');
+const { getValidationErrorResponse, validateRequest } = require('./utils/validation');
+const { getVapidPublicKey, isValidEndpoint, isValidSubscriptionKeys, isVapidConfigured } = require('./utils/web-push');
+const { PUSH_CHANNEL, removePushEndpoint, renewPushSubscription, savePushSubscription } = require('./utils/push');
+const { HttpError, createHandler } = require('./utils/http');
+
+// Browser notifications for deal alerts:
+//   GET                                                   -> { public_key } for pushManager.subscribe()
+//   POST { token, subscription, language }                -> link this browser to the alerts in the push token
+//   POST { old_endpoint, subscription }                   -> the service worker got a new subscription
+//   DELETE { endpoint }                                   -> the browser turned notifications off
+exports.handler = createHandler({
+    name: 'Push subscription',
+    methods: ['GET', 'POST', 'DELETE'],
+    errorMessage: 'Failed to update the push subscription'
+}, async (request) => {
+    const { event, body } = request;
+    const headers = request.responseHeaders;
+
+    if (!isVapidConfigured()) {
+        throw new HttpError(503, 'Push notifications are not configured', { code: 'push_unavailable' });
+    }
+
+    if (request.method === 'GET') {
+        return {
+            statusCode: 200,
+            headers: { ...headers, 'Cache-Control': 'public, max-age=3600' },
+            body: JSON.stringify({ public_key: getVapidPublicKey() })
+        };
+    }
+
+    connectStore(event);
+
+    const rateLimit = await checkRateLimit('push-subscription', { ip: getClientIp(event) });
+    if (rateLimit.limited) {
+        return getRateLimitResponse(headers, rateLimit.retryAfterSeconds);
+    }
+
+    if (request.method === 'DELETE') {
+        const validation = validateRequest('push-unsubscribe', body);
+        if (validation.errors.length) {
+            return getValidationErrorResponse(headers, validation.errors, 'es');
+        }
+
+        const removed = await removePushEndpoint(validation.value.endpoint);
+        for (const record of removed) {
+            await recordPushConsent(record.email, 'withdrawn', record.language, event);
+        }
+
+        return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify({ success: true, status: 'unsubscribed', removed: removed.length })
+        };
+    }
+
+    // PushSubscription.toJSON() nests the keys; the schema takes them flat
+    const subscription = (body && body.subscription) || {};
+    const validation = validateRequest('push-subscription', {
+        endpoint: subscription.endpoint,
+        p256dh: subscription.keys && subscription.keys.p256dh,
+        auth: subscription.keys && subscription.keys.auth,
+        old_endpoint: body && body.old_endpoint,
+        language: body && body.language
+    });
+    const data = validation.value;
+    const errors = validation.errors.slice();
+
+    if (!errors.length && !isValidEndpoint(data.endpoint)) {
+        errors.push({ field: 'endpoint', code: 'invalid_format' });
+    }
+    if (!errors.length && !isValidSubscriptionKeys({ p256dh: data.p256dh, auth: data.auth })) {
+        errors.push({ field: 'p256dh', code: 'invalid_format' });
+    }
+    if (errors.length) {
+        return getValidationErrorResponse(headers, errors, data.language);
+    }
+
+    const browserSubscription = { endpoint: data.endpoint, keys: { p256dh: data.p256dh, auth: data.auth } };
+
+    if (data.old_endpoint && !body.token) {
+        const renewed = await renewPushSubscription(data.old_endpoint, browserSubscription);
+        if (!renewed.length) {
+            throw new HttpError(404, 'Subscription not found', { code: 'subscription_not_found' });
+        }
+
+        return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify({ success: true, status: 'renewed' })
+        };
+    }
+
+    const payload = verifySignedToken('push', body.token);
+    if (!payload) {
+        throw new HttpError(403, 'Invalid or expired push token', { code: 'invalid_token' });
+    }
+
+    // Alerts deleted since the signup are not worth following
+    const alertIds = [];
+    for (const alertId of payload.alert_ids || []) {
+        if (await getAlert(payload.email, alertId)) alertIds.push(alertId);
+    }
+    if (!alertIds.length) {
+        throw new HttpError(404, 'Alert not found', { code: 'alert_not_found' });
+    }
+
+    const record = await savePushSubscription(payload.email, browserSubscription, {
+        alertIds,
+        language: data.language
+    });
+    await recordPushConsent(payload.email, 'granted', data.language, event);
+
+    return {
+        statusCode: 201,
+        headers,
+        body: JSON.stringify({
+            success: true,
+            status: 'subscribed',
+            subscription_id: record.id,
+            alert_ids: record.alert_ids
+        })
+    };
+});
+
+// Helper function to put the browser permission on the consent ledger next to the email consent
+async function recordPushConsent(email, action, language, event) {
+    await recordConsent(email, {
+        action,
+        channels: [PUSH_CHANNEL],
+        scope: 'alerts',
+        endpoint: 'push-subscription',
+        form: 'browser_notification_permission',
+        language
+    }, event);
+}
@@ -1,365 +1,238 @@
-const https = require('https');
-
-exports.handler = async (event, context) => {
-    // CORS headers
-    const headers = {
-        'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Headers': 'Content-Type',
-        'Access-Control-Allow-Methods': 'POST, OPTIONS',
-        'Content-Type': 'application/json'
-    };
+const { createEmailProvider } = require('./utils/email-provider');
+const { normalizeDestination } = require('./utils/destinations');
+const { connectStore } = require('./utils/store');
+const { checkRateLimit, getClientIp, getRateLimitResponse } = require('./utils/rate-limit');
+const { processSignup } = require('./utils/signup');
+const { recordConsent } = require('./utils/consent');
+const { getValidationErrorResponse, validateRequest } = require('./utils/validation');
+const { resolveTravelDates } = require('./utils/travel-dates');
+const { getChannelProfileProperties, resolveChannels } = require('./utils/channels');
+const { createHandler } = require('./utils/http');
+const { protectSignup } = require('./utils/bot-protection');
+const { createPushToken } = require('./utils/push');
+const { getPriceRange } = require('./utils/alerts');
+
+exports.handler = createHandler({
+    name: 'Quick alert',
+    methods: ['POST'],
+    errorMessage: 'Failed to create quick alert'
+}, async (request, context) => {
+    const { event, body } = request;
+    const headers = request.responseHeaders;
+
+    connectStore(event);
+
+    // Check and normalize every field against the endpoint schema
+    const validation = validateRequest('quick-alert', body);
+    if (validation.errors.length) {
+        return getValidationErrorResponse(headers, validation.errors, body && body.language);
+    }
+    const data = validation.value;
 
-    // Handle preflight requests
-    if (event.httpMethod === 'OPTIONS') {
-        return {
-            statusCode: 200,
-            headers,
-            body: ''
-        };
+    // Turn the timeframe bucket (or the exact dates picked) into a concrete travel window
+    const travel = resolveTravelDates(data);
+    if (travel.error) {
+        return getValidationErrorResponse(headers, [travel.error], data.language);
     }
 
-    // Only allow POST requests
-    if (event.httpMethod !== 'POST') {
-        return {
-            statusCode: 405,
-            headers,
-            body: JSON.stringify({ error: 'Method not allowed' })
-        };
+    // Optional phone for SMS/WhatsApp alerts, only kept with explicit consent for a channel
+    const contact = resolveChannels(data, {
+        source: data.signup_source || 'website_destination_card',
+        language: data.language
+    });
+    if (contact.error) {
+        return getValidationErrorResponse(headers, [contact.error], data.language);
     }
 
-    try {
-        // Parse request body
-        const data = JSON.parse(event.body);
-        
-        // Validate required fields
-        if (!data.email || !data.destination || !data.target_price) {
-            return {
-                statusCode: 400,
-                headers,
-                body: JSON.stringify({ error: 'Missing required fields' })
-            };
-        }
+    // Per-IP and per-email rate limiting
+    const rateLimit = await checkRateLimit('quick-alert', {
+        ip: getClientIp(event),
+        email: data.email
+    });
+    if (rateLimit.limited) {
+        return getRateLimitResponse(headers, rateLimit.retryAfterSeconds);
+    }
 
-        // Klaviyo API configuration
-        const KLAVIYO_API_KEY = process.env.KLAVIYO_API_KEY;
-        const KLAVIYO_LIST_ID = process.env.KLAVIYO_LIST_ID;
+    // Honeypot, fill time, captcha and email domain checks; bots are quarantined, not subscribed
+    const blocked = await protectSignup('quick-alert', request, data);
+    if (blocked) return blocked;
 
-        if (!KLAVIYO_API_KEY || !KLAVIYO_LIST_ID) {
-            console.error('Missing Klaviyo configuration');
-            return {
-                statusCode: 500,
-                headers,
-                body: JSON.stringify({ error: 'Service configuration error' })
-            };
-        }
+    // Email provider(s) picked by EMAIL_PROVIDER (Klaviyo unless configured otherwise)
+    const emailProvider = createEmailProvider({ context });
 
-        // Prepare Klaviyo profile data with quick alert defaults
-        const profileData = {
-            data: {
-                type: 'profile',
-                attributes: {
-                    email: data.email,
-                    properties: {
-                        // Quick alert preferences (using smart defaults)
-                        destination: data.destination,
-                        departure_airport: data.departure_airport || 'ALL',
-                        timeframe: data.timeframe || 'flexible',
-                        travel_class: data.travel_class || 'economy',
-                        target_price: parseFloat(data.target_price),
-                        
-                        // Alert settings
-                        alert_type: data.alert_type || 'quick_alert',
-                        signup_source: data.signup_source || 'website_destination_card',
-                        language: data.language || 'es',
-                        location: data.location || 'NYC',
-                        
-                        // Metadata
-                        signup_date: new Date().toISOString(),
-                        last_updated: new Date().toISOString(),
-                        
-                        // Quick alert specific tags
-                        has_quick_alert: true,
-                        quick_alert_destination: getDestinationCode(data.destination),
-                        preferred_departure: data.departure_airport || 'ALL',
-                        price_range: getPriceRange(data.target_price),
-                        destination_region: getDestinationRegion(data.destination),
-                        
-                        // Popular destination tracking
-                        popular_destination: true,
-                        destination_popularity: getDestinationPopularity(data.destination)
-                    }
-                }
-            }
+    if (!emailProvider) {
+        return {
+            statusCode: 500,
+            headers,
+            body: JSON.stringify({ error: 'Service configuration error' })
         };
+    }
 
-        // Create or update profile in Klaviyo
-        const profileResponse = await makeKlaviyoRequest(
-            'POST',
-            '/api/profiles/',
-            profileData,
-            KLAVIYO_API_KEY
-        );
-
-        if (!profileResponse.success) {
-            throw new Error(`Klaviyo profile error: ${profileResponse.error}`);
-        }
+    // Resolve the card's "City, Country" label against the catalog
+    const destination = normalizeDestination(data.destination);
+    if (!destination.matched) {
+        console.warn(`Unmatched destination: "${data.destination}"`);
+    }
 
-        // Add profile to main list
-        const listData = {
-            data: [
-                {
-                    type: 'profile',
-                    id: profileResponse.data.data.id
-                }
-            ]
-        };
+    // The alert itself is stored as its own record (using smart defaults)
+    const alert = {
+        type: 'quick',
+        destination: {
+            name: destination.displayName,
+            input: data.destination,
+            code: destination.code,
+            airports: destination.airports,
+            country_code: destination.countryCode,
+            region: destination.region
+        },
+        departure_airport: data.departure_airport || 'ALL',
+        timeframe: travel.timeframe,
+        travel_dates: travel.travelDates,
+        channels: contact.channels,
+        travel_class: data.travel_class || 'economy',
+        target_price: parseFloat(data.target_price),
+        language: data.language || 'es',
+        signup_source: data.signup_source || 'website_destination_card'
+    };
 
-        const listResponse = await makeKlaviyoRequest(
-            'POST',
-            `/api/lists/${KLAVIYO_LIST_ID}/relationships/profiles/`,
-            listData,
-            KLAVIYO_API_KEY
-        );
+    // Profile-level settings written to the email provider once the email is confirmed
+    const properties = {
+        // Alert settings
+        alert_type: data.alert_type || 'quick_alert',
+        signup_source: data.signup_source || 'website_destination_card',
+        language: data.language || 'es',
+        location: data.location || 'NYC',
 
-        if (!listResponse.success) {
-            console.warn(`Warning: Could not add to list: ${listResponse.error}`);
-        }
+        // SMS/WhatsApp opt-ins and their consent metadata
+        ...getChannelProfileProperties(contact),
+        
+        // Metadata
+        signup_date: new Date().toISOString(),
+        last_updated: new Date().toISOString(),
+        
+        // Quick alert specific tags
+        has_quick_alert: true,
+        quick_alert_destination: destination.code,
+        preferred_departure: data.departure_airport || 'ALL',
+        price_range: getPriceRange(data.target_price),
+        destination_region: destination.region,
+        
+        // Popular destination tracking
+        popular_destination: true,
+        destination_popularity: destination.popularity
+    };
 
+    const events = [
         // Track quick alert event
-        const eventData = {
-            data: {
-                type: 'event',
-                attributes: {
-                    profile: {
-                        email: data.email
-                    },
-                    metric: {
-                        name: 'Quick Flight Alert Created'
-                    },
-                    properties: {
-                        destination: data.destination,
-                        target_price: parseFloat(data.target_price),
-                        destination_code: getDestinationCode(data.destination),
-                        destination_region: getDestinationRegion(data.destination),
-                        signup_method: 'destination_card_click',
-                        is_popular_destination: true
-                    },
-                    time: new Date().toISOString()
-                }
+        {
+            name: 'Quick Flight Alert Created',
+            properties: {
+                destination: destination.displayName,
+                target_price: parseFloat(data.target_price),
+                destination_code: destination.code,
+                destination_airports: destination.airports,
+                destination_region: destination.region,
+                departure_from: travel.travelDates.departure_from,
+                departure_to: travel.travelDates.departure_to,
+                signup_method: 'destination_card_click',
+                is_popular_destination: true,
+                channels: contact.channels
+            }
+        },
+        // Destination-specific segment/tag
+        {
+            name: `Interest: ${destination.displayName}`,
+            properties: {
+                destination: destination.displayName,
+                destination_code: destination.code,
+                interest_level: 'high',
+                source: 'quick_alert'
             }
-        };
-
-        await makeKlaviyoRequest(
-            'POST',
-            '/api/events/',
-            eventData,
-            KLAVIYO_API_KEY
-        );
-
-        // Try to create destination-specific segment/tag
-        try {
-            const segmentEventData = {
-                data: {
-                    type: 'event',
-                    attributes: {
-                        profile: {
-                            email: data.email
-                        },
-                        metric: {
-                            name: `Interest: ${data.destination}`
-                        },
-                        properties: {
-                            destination: data.destination,
-                            interest_level: 'high',
-                            source: 'quick_alert'
-                        },
-                        time: new Date().toISOString()
-                    }
-                }
-            };
-
-            await makeKlaviyoRequest(
-                'POST',
-                '/api/events/',
-                segmentEventData,
-                KLAVIYO_API_KEY
-            );
-        } catch (segmentError) {
-            console.warn('Could not create destination segment event:', segmentError);
         }
+    ];
+
+    // Subscribe right away if the email is already confirmed, otherwise send the confirmation email
+    const result = await processSignup(emailProvider, {
+        email: data.email,
+        phone: contact.phone,
+        channels: contact.channels,
+        signupType: 'quick_alert',
+        source: properties.signup_source,
+        language: properties.language,
+        properties,
+        events,
+        alert
+    });
 
+    // Proof of what the visitor agreed to, on the append-only consent ledger
+    await recordConsent(data.email, {
+        action: 'granted',
+        channels: contact.channels,
+        scope: 'quick_alert',
+        endpoint: 'quick-alert',
+        form: properties.signup_source,
+        language: properties.language,
+        phone: contact.phone
+    }, event);
+
+    // Lets the page offer browser notifications for this alert, on top of the emails. Not before the
+    // address is confirmed: whoever typed it in may not own it, and the alert is not live yet.
+    const pushToken = result.status === 'pending_confirmation'
+        ? null
+        : createPushToken(data.email, [result.alertId]);
+
+    // The email provider could not take it right now; the outbox replays it in the background
+    if (result.status === 'received') {
         return {
-            statusCode: 200,
+            statusCode: 202,
             headers,
             body: JSON.stringify({
                 success: true,
-                message: 'Quick alert created successfully',
-                profile_id: profileResponse.data.data.id,
-                destination: data.destination,
+                status: 'received',
+                message: 'Alert received, it will be activated shortly',
+                alert_id: result.alertId,
+                push_token: pushToken,
+                channels: contact.channels,
+                destination: destination.displayName,
+                destination_code: destination.code,
                 target_price: data.target_price
             })
         };
+    }
 
-    } catch (error) {
-        console.error('Quick alert error:', error);
-        
+    if (result.status === 'pending_confirmation') {
         return {
-            statusCode: 500,
+            statusCode: 202,
             headers,
             body: JSON.stringify({
-                error: 'Failed to create quick alert',
-                message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+                success: true,
+                status: 'pending_confirmation',
+                message: 'Confirmation email sent',
+                alert_id: result.alertId,
+                channels: contact.channels,
+                expires_at: result.expiresAt,
+                destination: destination.displayName,
+                destination_code: destination.code,
+                target_price: data.target_price
             })
         };
     }
-};
-
-// Helper function to make Klaviyo API requests
-async function makeKlaviyoRequest(method, endpoint, data, apiKey) {
-    return new Promise((resolve) => {
-        const postData = JSON.stringify(data);
-        
-        const options = {
-            hostname: 'a.klaviyo.com',
-            path: endpoint,
-            method: method,
-            headers: {
-                'Authorization': `Klaviyo-API-Key ${apiKey}`,
-                'Content-Type': 'application/json',
-                'Content-Length': Buffer.byteLength(postData),
-                'revision': '2024-10-15'
-            }
-        };
-
-        const req = https.request(options, (res) => {
-            let responseData = '';
-
-            res.on('data', (chunk) => {
-                responseData += chunk;
-            });
-
-            res.on('end', () => {
-                try {
-                    const parsed = responseData ? JSON.parse(responseData) : {};
-                    
-                    if (res.statusCode >= 200 && res.statusCode < 300) {
-                        resolve({
-                            success: true,
-                            data: parsed,
-                            statusCode: res.statusCode
-                        });
-                    } else {
-                        resolve({
-                            success: false,
-                            error: parsed.errors ? parsed.errors[0].detail : `HTTP ${res.statusCode}`,
-                            statusCode: res.statusCode,
-                            data: parsed
-                        });
-                    }
-                } catch (parseError) {
-                    resolve({
-                        success: false,
-                        error: `Parse error: ${parseError.message}`,
-                        statusCode: res.statusCode,
-                        rawResponse: responseData
-                    });
-                }
-            });
-        });
-
-        req.on('error', (error) => {
-            resolve({
-                success: false,
-                error: `Request error: ${error.message}`
-            });
-        });
-
-        req.write(postData);
-        req.end();
-    });
-}
-
-// Helper function to get destination code for segmentation
-function getDestinationCode(destination) {
-    const dest = destination.toLowerCase();
-    
-    if (dest.includes('dominicana')) return 'DOM_REP';
-    if (dest.includes('colombia')) return 'COLOMBIA';
-    if (dest.includes('méxico') || dest.includes('mexico')) return 'MEXICO';
-    if (dest.includes('parís') || dest.includes('paris')) return 'PARIS';
-    if (dest.includes('londres') || dest.includes('london')) return 'LONDON';
-    if (dest.includes('tokio') || dest.includes('tokyo')) return 'TOKYO';
-    if (dest.includes('españa') || dest.includes('spain')) return 'SPAIN';
-    if (dest.includes('argentina')) return 'ARGENTINA';
-    if (dest.includes('perú') || dest.includes('peru')) return 'PERU';
-    if (dest.includes('ecuador')) return 'ECUADOR';
-    if (dest.includes('brasil') || dest.includes('brazil')) return 'BRAZIL';
-    if (dest.includes('chile')) return 'CHILE';
-    
-    return 'OTHER';
-}
-
-// Helper function to determine destination popularity tier
-function getDestinationPopularity(destination) {
-    const dest = destination.toLowerCase();
-    
-    // Tier 1: Most popular Hispanic destinations
-    if (dest.includes('dominicana') || dest.includes('méxico') || dest.includes('mexico') || 
-        dest.includes('colombia') || dest.includes('españa') || dest.includes('spain')) {
-        return 'tier1_high';
-    }
-    
-    // Tier 2: Popular international destinations
-    if (dest.includes('parís') || dest.includes('paris') || dest.includes('londres') || 
-        dest.includes('london') || dest.includes('italia') || dest.includes('italy')) {
-        return 'tier2_medium';
-    }
-    
-    // Tier 3: Exotic/aspirational destinations
-    if (dest.includes('tokio') || dest.includes('tokyo') || dest.includes('dubai') ||
-        dest.includes('australia') || dest.includes('tailandia') || dest.includes('thailand')) {
-        return 'tier3_aspirational';
-    }
-    
-    return 'tier2_medium';
-}
 
-// Helper function to determine price range category
-function getPriceRange(price) {
-    const p = parseFloat(price);
-    if (p <= 400) return 'budget';
-    if (p <= 800) return 'mid-range';
-    if (p <= 1500) return 'premium';
-    return 'luxury';
-}
+    return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+            success: true,
+            status: 'subscribed',
+            message: 'Quick alert created successfully',
+            profile_id: result.profileId,
+            alert_id: result.alertId,
+            push_token: pushToken,
+            channels: contact.channels,
+            destination: destination.displayName,
+            destination_code: destination.code,
+            target_price: data.target_price
+        })
+    };
+});
 
-// Helper function to determine destination region
-function getDestinationRegion(destination) {
-    const dest = destination.toLowerCase();
-    
-    // Latin America
-    if (dest.includes('dominicana') || dest.includes('colombia') || dest.includes('méxico') || 
-        dest.includes('mexico') || dest.includes('argentina') || dest.includes('perú') ||
-        dest.includes('peru') || dest.includes('ecuador') || dest.includes('brasil') ||
-        dest.includes('brazil') || dest.includes('chile') || dest.includes('venezuela') ||
-        dest.includes('guatemala') || dest.includes('costa rica') || dest.includes('panamá') ||
-        dest.includes('panama') || dest.includes('cuba') || dest.includes('puerto rico')) {
-        return 'latin_america';
-    }
-    
-    // Europe
-    if (dest.includes('españa') || dest.includes('spain') || dest.includes('francia') ||
-        dest.includes('france') || dest.includes('parís') || dest.includes('paris') ||
-        dest.includes('londres') || dest.includes('london') || dest.includes('italia') ||
-        dest.includes('italy') || dest.includes('roma') || dest.includes('rome')) {
-        return 'europe';
-    }
-    
-    // Asia
-    if (dest.includes('japón') || dest.includes('japan') || dest.includes('tokio') ||
-        dest.includes('tokyo') || dest.includes('china') || dest.includes('india')) {
-        return 'asia';
-    }
-    
-    return 'other';
-}
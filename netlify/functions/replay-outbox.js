@@ -0,0 +1,47 @@
+const { createEmailProvider, resumeMirror } = require('./utils/email-provider');
+const { connectStore } = require('./utils/store');
+const { replayOutbox } = require('./utils/outbox');
+const { resumeConfirmation, resumeSignup } = require('./utils/signup');
+const { resumeProfileSync, resumeUnsubscribe } = require('./utils/preferences');
+const { resumePrivacyDeletion } = require('./utils/privacy');
+const { installLogRedaction } = require('./utils/log-redaction');
+
+installLogRedaction();
+
+// Scheduled functions may run for 30 seconds; keep some headroom for logging and retries
+const RUN_BUDGET_MS = 25000;
+
+// Scheduled every 5 minutes (see netlify.toml): push queued signups to the email provider until it accepts them
+exports.handler = async (event) => {
+    try {
+        connectStore(event);
+
+        const emailProvider = createEmailProvider({ timeBudgetMs: RUN_BUDGET_MS });
+        if (!emailProvider) {
+            return { statusCode: 500, body: JSON.stringify({ error: 'Service configuration error' }) };
+        }
+
+        const summary = await replayOutbox({
+            signup: (payload) => resumeSignup(emailProvider, payload),
+            confirmation: (payload) => resumeConfirmation(emailProvider, payload),
+            mirror: (payload) => resumeMirror(payload, { timeBudgetMs: RUN_BUDGET_MS }),
+            'profile-sync': (payload) => resumeProfileSync(emailProvider, payload),
+            unsubscribe: (payload) => resumeUnsubscribe(emailProvider, payload),
+            'privacy-deletion': (payload) => resumePrivacyDeletion(emailProvider, payload)
+        }, { deadline: Date.now() + RUN_BUDGET_MS });
+
+        console.log('Outbox replay:', JSON.stringify(summary));
+
+        return {
+            statusCode: 200,
+            body: JSON.stringify(summary)
+        };
+    } catch (error) {
+        console.error('Outbox replay error:', error);
+
+        return {
+            statusCode: 500,
+            body: JSON.stringify({ error: 'Outbox replay failed' })
+        };
+    }
+};
@@ -0,0 +1,76 @@
+const { connectStore } = require('./utils/store');
+const { isAdminRequest } = require('./utils/admin-auth');
+const { listAllAlerts } = require('./utils/alerts');
+const { listConsentRecordsBetween } = require('./utils/consent');
+const { listConfirmedEmailHashes } = require('./utils/subscribers');
+const { buildSignupReport, formatReportCsv, getReportRange } = require('./utils/reports');
+const { getValidationErrorResponse, validateRequest } = require('./utils/validation');
+const { createHandler } = require('./utils/http');
+
+const DEFAULT_RANGE_DAYS = 7;
+
+// Operator endpoint for deal sourcing:
+//   GET ?from=YYYY-MM-DD&to=YYYY-MM-DD  -> confirmed and pending signups and active alerts per destination code,
+//                                          region, departure airport, travel class, price band and signup source
+//                                          (newsletter signups under "none" for the route dimensions)
+//   &group_by=<dimension>               -> only that breakdown
+//   &format=csv                         -> the same rows as a CSV download
+// The range defaults to the last 7 days, today included.
+exports.handler = createHandler({
+    name: 'Signup report',
+    methods: ['GET'],
+    cors: false,
+    headers: { 'Cache-Control': 'no-store' },
+    errorMessage: 'Failed to build the signup report'
+}, async (request) => {
+    const { event } = request;
+    const headers = request.responseHeaders;
+
+    if (!isAdminRequest(event)) {
+        return {
+            statusCode: 401,
+            headers,
+            body: JSON.stringify({ error: 'Unauthorized' })
+        };
+    }
+
+    connectStore(event);
+
+    const validation = validateRequest('signup-report', request.query);
+    if (validation.errors.length) {
+        return getValidationErrorResponse(headers, validation.errors, 'en');
+    }
+    const params = validation.value;
+
+    const to = params.to || new Date().toISOString().substring(0, 10);
+    const from = params.from || new Date(Date.parse(to) - (DEFAULT_RANGE_DAYS - 1) * 24 * 60 * 60 * 1000).toISOString().substring(0, 10);
+    if (from > to) {
+        return getValidationErrorResponse(headers, [{ field: 'to', code: 'range_reversed' }], 'en');
+    }
+
+    const { start, end } = getReportRange(from, to);
+    const report = buildSignupReport(await listAllAlerts(), await listConsentRecordsBetween(start, end), {
+        from,
+        to,
+        confirmedEmailHashes: await listConfirmedEmailHashes(),
+        dimensions: params.group_by ? [params.group_by] : undefined
+    });
+
+    if (params.format === 'csv') {
+        return {
+            statusCode: 200,
+            headers: {
+                ...headers,
+                'Content-Type': 'text/csv; charset=utf-8',
+                'Content-Disposition': `attachment; filename="signups-${from}-to-${to}.csv"`
+            },
+            body: formatReportCsv(report)
+        };
+    }
+
+    return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify(report)
+    };
+});
@@ -0,0 +1,254 @@
+const { verifySignedToken } = require('./utils/signing');
+const { createHandler } = require('./utils/http');
+
+// Page copy for the signup forms when they are posted without JavaScript
+const MESSAGES = {
+    es: {
+        subscribedTitle: '¡Listo, ya estás suscrito!',
+        subscribedAlertTitle: '¡Tu alerta está activa!',
+        subscribedText: 'Te avisaremos por email en cuanto encontremos una oferta.',
+        pendingTitle: 'Revisa tu email',
+        pendingText: 'Te enviamos un enlace para confirmar tu email. Tu suscripción se activa cuando lo abras.',
+        pendingExpires: 'El enlace vence el',
+        receivedTitle: 'Recibimos tu solicitud',
+        receivedText: 'La estamos procesando y quedará activa en unos minutos.',
+        invalidTitle: 'Revisa el formulario',
+        invalidText: 'Hay datos que tenemos que corregir antes de crear tu alerta:',
+        rateLimitedTitle: 'Demasiados intentos',
+        rateLimitedText: 'Espera unos minutos antes de intentarlo de nuevo.',
+        errorTitle: 'Algo salió mal',
+        errorText: 'No pudimos procesar tu solicitud. Intenta de nuevo en unos minutos.',
+        expiredTitle: 'Esta página ya no está disponible',
+        expiredText: 'El resultado de tu solicitud ya venció. Si no recibiste un email nuestro, vuelve a intentarlo.',
+        summaryTitle: 'Tu alerta',
+        destination: 'Destino',
+        departure: 'Salida desde',
+        travelClass: 'Clase',
+        dates: 'Fechas',
+        targetPrice: 'Precio objetivo',
+        channels: 'Alertas por',
+        backToForm: 'Volver al formulario',
+        backHome: 'Volver a VuelosBaratos NYC'
+    },
+    en: {
+        subscribedTitle: 'Done, you are subscribed!',
+        subscribedAlertTitle: 'Your alert is live!',
+        subscribedText: 'We will email you as soon as we find a deal.',
+        pendingTitle: 'Check your email',
+        pendingText: 'We sent you a link to confirm your email. Your subscription starts once you open it.',
+        pendingExpires: 'The link expires on',
+        receivedTitle: 'We got your request',
+        receivedText: 'We are processing it and it will be live in a few minutes.',
+        invalidTitle: 'Please check the form',
+        invalidText: 'A few details need fixing before we can create your alert:',
+        rateLimitedTitle: 'Too many attempts',
+        rateLimitedText: 'Please wait a few minutes before trying again.',
+        errorTitle: 'Something went wrong',
+        errorText: 'We could not process your request. Please try again in a few minutes.',
+        expiredTitle: 'This page is no longer available',
+        expiredText: 'The result of your request has expired. If you did not get an email from us, please try again.',
+        summaryTitle: 'Your alert',
+        destination: 'Destination',
+        departure: 'Departing from',
+        travelClass: 'Class',
+        dates: 'Dates',
+        targetPrice: 'Target price',
+        channels: 'Alerts by',
+        backToForm: 'Back to the form',
+        backHome: 'Back to VuelosBaratos NYC'
+    }
+};
+
+const LABELS = {
+    es: {
+        airports: { ALL: 'Cualquier aeropuerto NYC', JFK: 'JFK (John F. Kennedy)', LGA: 'LaGuardia (LGA)', EWR: 'Newark (EWR)' },
+        classes: { economy: 'Económica', premium: 'Premium Economy', business: 'Business', first: 'Primera Clase' },
+        timeframes: { '1month': 'Próximo mes', '3months': 'Próximos 3 meses', '6months': 'Próximos 6 meses', '1year': 'Próximo año', flexible: 'Fechas flexibles' },
+        channels: { email: 'Email', sms: 'SMS', whatsapp: 'WhatsApp' },
+        fields: {
+            email: 'Email', destination: 'Destino', destination_code: 'Destino', departure_airport: 'Aeropuerto de salida',
+            travel_class: 'Clase', target_price: 'Precio objetivo', timeframe: '¿Cuándo quieres viajar?',
+            departure_date_from: 'Salida desde', departure_date_to: 'Salida hasta', return_date_from: 'Regreso desde',
+            return_date_to: 'Regreso hasta', trip_length_min: 'Noches mínimas', trip_length_max: 'Noches máximas',
+            phone: 'Teléfono', sms_consent: 'SMS', whatsapp_consent: 'WhatsApp', captcha: 'Verificación'
+        }
+    },
+    en: {
+        airports: { ALL: 'Any NYC airport', JFK: 'JFK (John F. Kennedy)', LGA: 'LaGuardia (LGA)', EWR: 'Newark (EWR)' },
+        classes: { economy: 'Economy', premium: 'Premium Economy', business: 'Business', first: 'First' },
+        timeframes: { '1month': 'Next month', '3months': 'Next 3 months', '6months': 'Next 6 months', '1year': 'Next year', flexible: 'Flexible dates' },
+        channels: { email: 'Email', sms: 'SMS', whatsapp: 'WhatsApp' },
+        fields: {
+            email: 'Email', destination: 'Destination', destination_code: 'Destination', departure_airport: 'Departure airport',
+            travel_class: 'Class', target_price: 'Target price', timeframe: 'When do you want to travel?',
+            departure_date_from: 'Departing from', departure_date_to: 'Departing by', return_date_from: 'Returning from',
+            return_date_to: 'Returning by', trip_length_min: 'Minimum nights', trip_length_max: 'Maximum nights',
+            phone: 'Phone', sms_consent: 'SMS', whatsapp_consent: 'WhatsApp', captcha: 'Security check'
+        }
+    }
+};
+
+// Where "back to the form" goes for each signup type
+const FORM_ANCHORS = {
+    custom_alert: '/#buscar',
+    quick_alert: '/#destinos',
+    newsletter: '/#suscribirse'
+};
+
+exports.handler = createHandler({
+    name: 'Signup result',
+    methods: ['GET'],
+    cors: false,
+    headers: {
+        'Content-Type': 'text/html; charset=utf-8',
+        'Cache-Control': 'no-store',
+        'Referrer-Policy': 'no-referrer'
+    },
+    renderError: () => renderPage('es', MESSAGES.es.errorTitle, `<p>${escapeHtml(MESSAGES.es.errorText)}</p>`)
+}, async (request) => {
+    const headers = request.responseHeaders;
+    const result = verifySignedToken('signup-result', request.query.token);
+
+    if (!result) {
+        const language = request.query.lang === 'en' ? 'en' : 'es';
+        return {
+            statusCode: 410,
+            headers,
+            body: renderPage(language, MESSAGES[language].expiredTitle, `<p>${escapeHtml(MESSAGES[language].expiredText)}</p>`)
+        };
+    }
+
+    const language = MESSAGES[result.language] ? result.language : 'es';
+
+    return {
+        statusCode: 200,
+        headers,
+        body: renderResult(language, result)
+    };
+});
+
+// Helper function to pick the title and content for one result
+function renderResult(language, result) {
+    const copy = MESSAGES[language];
+    const back = `<a class="btn" href="${escapeHtml(FORM_ANCHORS[result.type] || '/')}">${escapeHtml(copy.backToForm)}</a>`;
+    const home = `<a class="btn" href="/">${escapeHtml(copy.backHome)}</a>`;
+    const summary = result.alert ? renderAlertSummary(language, result.alert) : '';
+
+    switch (result.status) {
+        case 'subscribed':
+            return renderPage(language, result.alert ? copy.subscribedAlertTitle : copy.subscribedTitle, `
+            <p>${escapeHtml(copy.subscribedText)}</p>
+            ${summary}
+            ${home}`);
+
+        case 'pending_confirmation':
+            return renderPage(language, copy.pendingTitle, `
+            <p>${escapeHtml(copy.pendingText)}</p>
+            ${result.expires_at ? `<p class="muted">${escapeHtml(copy.pendingExpires)} ${escapeHtml(formatDateTime(language, result.expires_at))}.</p>` : ''}
+            ${summary}
+            ${home}`);
+
+        case 'received':
+            return renderPage(language, copy.receivedTitle, `
+            <p>${escapeHtml(copy.receivedText)}</p>
+            ${summary}
+            ${home}`);
+
+        case 'invalid': {
+            const fields = LABELS[language].fields;
+            const errors = (result.errors || []).map((error) => `<li>${fields[error.field] ? `<strong>${escapeHtml(fields[error.field])}:</strong> ` : ''}${escapeHtml(error.message)}</li>`);
+            return renderPage(language, copy.invalidTitle, `
+            <p>${escapeHtml(copy.invalidText)}</p>
+            <ul class="errors" role="alert">${errors.join('')}</ul>
+            ${back}`);
+        }
+
+        case 'rate_limited':
+            return renderPage(language, copy.rateLimitedTitle, `
+            <p>${escapeHtml(copy.rateLimitedText)}</p>
+            ${back}`);
+
+        default:
+            return renderPage(language, copy.errorTitle, `
+            <p>${escapeHtml(copy.errorText)}</p>
+            ${back}`);
+    }
+}
+
+// Helper function to render the alert the visitor just created
+function renderAlertSummary(language, alert) {
+    const copy = MESSAGES[language];
+    const labels = LABELS[language];
+    // Exact dates have the 'custom' timeframe, which reads better as the dates themselves
+    const dates = labels.timeframes[alert.timeframe] || formatDateRange(language, alert.departure_from, alert.departure_to);
+
+    const rows = [
+        [copy.destination, alert.destination_code && alert.destination_code !== 'OTHER' ? `${alert.destination} (${alert.destination_code})` : alert.destination],
+        [copy.departure, labels.airports[alert.departure_airport] || alert.departure_airport],
+        [copy.travelClass, labels.classes[alert.travel_class] || alert.travel_class],
+        [copy.dates, dates],
+        [copy.targetPrice, `$${Math.round(alert.target_price)} USD`],
+        [copy.channels, (alert.channels || ['email']).map((channel) => labels.channels[channel] || channel).join(', ')]
+    ];
+
+    return `
+            <section class="summary">
+                <h2>${escapeHtml(copy.summaryTitle)}</h2>
+                <dl>${rows.map(([label, value]) => `<dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value || '—')}</dd>`).join('')}</dl>
+            </section>`;
+}
+
+function renderPage(language, title, content) {
+    return `<!DOCTYPE html>
+<html lang="${language}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex">
+    <title>${escapeHtml(title)} | VuelosBaratos NYC</title>
+    <style>
+        body { font-family: 'Inter', sans-serif; background: linear-gradient(135deg, #1e3a8a, #2563eb); color: #1f2937; margin: 0; min-height: 100vh; display: flex; align-items: center; justify-content: center; padding: 20px; box-sizing: border-box; }
+        .card { background: white; max-width: 520px; width: 100%; padding: 40px; border-radius: 25px; box-shadow: 0 20px 60px rgba(0, 0, 0, 0.2); }
+        h1 { font-size: 1.6rem; margin-bottom: 15px; }
+        h2 { font-size: 1.1rem; margin: 0 0 10px; }
+        p { color: #6b7280; line-height: 1.6; }
+        .muted { font-size: 0.9rem; }
+        .summary { border: 2px solid #e5e7eb; border-radius: 16px; padding: 20px; margin: 20px 0; }
+        dl { display: grid; grid-template-columns: auto 1fr; gap: 6px 16px; margin: 0; }
+        dt { color: #6b7280; }
+        dd { margin: 0; font-weight: 600; }
+        .errors { background: #fef2f2; color: #b91c1c; padding: 12px 16px 12px 32px; border-radius: 12px; line-height: 1.6; }
+        .btn { display: inline-block; background: linear-gradient(135deg, #f59e0b, #d97706); color: white; padding: 15px 30px; border-radius: 50px; text-decoration: none; font-weight: 700; margin-top: 10px; }
+    </style>
+</head>
+<body>
+    <div class="card">
+        <h1>${escapeHtml(title)}</h1>
+        ${content}
+    </div>
+</body>
+</html>`;
+}
+
+function formatDateRange(language, from, to) {
+    if (!from) return null;
+    const format = (value) => new Date(`${value}T00:00:00Z`).toLocaleDateString(language === 'en' ? 'en-US' : 'es-ES', {
+        day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC'
+    });
+    return !to || from === to ? format(from) : `${format(from)} – ${format(to)}`;
+}
+
+function formatDateTime(language, value) {
+    return new Date(value).toLocaleString(language === 'en' ? 'en-US' : 'es-ES', {
+        day: 'numeric', month: 'long', hour: 'numeric', minute: '2-digit', timeZone: 'America/New_York'
+    });
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
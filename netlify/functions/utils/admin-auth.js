@@ -0,0 +1,21 @@
+const crypto = require('crypto');
+
+// Operator-only endpoints expect "Authorization: Bearer <ADMIN_API_TOKEN>".
+// Without the variable set they stay locked for everyone.
+function isAdminRequest(event) {
+    const expected = process.env.ADMIN_API_TOKEN;
+    if (!expected) return false;
+
+    const header = (event.headers && (event.headers.authorization || event.headers.Authorization)) || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    if (!match) return false;
+
+    // Compare digests so the check takes the same time whatever the token length
+    const given = crypto.createHash('sha256').update(match[1].trim()).digest();
+    const wanted = crypto.createHash('sha256').update(expected).digest();
+    return crypto.timingSafeEqual(given, wanted);
+}
+
+module.exports = {
+    isAdminRequest
+};
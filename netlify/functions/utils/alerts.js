@@ -0,0 +1,187 @@
+const crypto = require('crypto');
+const { getStore } = require('./store');
+const { hashEmail } = require('./signing');
+
+// Alert records live in our store, one per alert, keyed "<email hash>/<alert id>"
+// so a subscriber can hold any number of them. The email provider only gets a mirrored summary.
+const ALERTS_NAMESPACE = 'alerts';
+const ALERT_STATUSES = ['pending_confirmation', 'active', 'paused'];
+
+function createAlertId() {
+    return `alt_${crypto.randomBytes(8).toString('hex')}`;
+}
+
+function alertKey(email, alertId) {
+    return `${hashEmail(email)}/${alertId}`;
+}
+
+// Create an alert, or update the subscriber's existing alert for the same route and cabin.
+// A signup still waiting on its confirmation leaves a live alert as it is: the caller keeps
+// the fields on the pending signup and activateAlerts applies them once the address is confirmed.
+async function saveAlert(email, fields, options = {}) {
+    const store = getStore(ALERTS_NAMESPACE);
+    const now = new Date().toISOString();
+    const existing = (await listAlerts(email)).find((alert) => isSameRoute(alert, fields));
+
+    if (existing && existing.status !== 'pending_confirmation' && options.status === 'pending_confirmation') {
+        return existing;
+    }
+
+    const alert = {
+        ...(existing || {}),
+        ...fields,
+        id: existing ? existing.id : createAlertId(),
+        email: String(email).trim().toLowerCase(),
+        status: existing && existing.status !== 'pending_confirmation'
+            ? existing.status
+            : (options.status || 'active'),
+        created_at: existing ? existing.created_at : now,
+        updated_at: now
+    };
+
+    // Unconfirmed alerts disappear on their own if the confirmation link is never clicked
+    delete alert.expires_at;
+    if (alert.status === 'pending_confirmation' && options.pendingTtlSeconds) {
+        alert.expires_at = new Date(Date.now() + options.pendingTtlSeconds * 1000).toISOString();
+    }
+
+    await store.set(alertKey(email, alert.id), alert, getExpiryOptions(alert));
+    return alert;
+}
+
+async function getAlert(email, alertId) {
+    return getStore(ALERTS_NAMESPACE).get(alertKey(email, alertId));
+}
+
+// Apply changes to an alert; returns the updated record or null when it does not exist
+async function updateAlert(email, alertId, changes) {
+    const alert = await getAlert(email, alertId);
+    if (!alert) return null;
+
+    const updated = {
+        ...alert,
+        ...changes,
+        id: alert.id,
+        email: alert.email,
+        created_at: alert.created_at,
+        updated_at: new Date().toISOString()
+    };
+
+    // Changing an unconfirmed alert does not keep it around any longer; activating it does
+    if (updated.status !== 'pending_confirmation') delete updated.expires_at;
+
+    await getStore(ALERTS_NAMESPACE).set(alertKey(email, alertId), updated, getExpiryOptions(updated));
+    return updated;
+}
+
+// Helper function to turn an alert's expires_at into the store's TTL (none for live alerts)
+function getExpiryOptions(alert) {
+    if (!alert.expires_at) return undefined;
+    const remainingMs = Date.parse(alert.expires_at) - Date.now();
+    return { ttlSeconds: Math.max(1, Math.ceil(remainingMs / 1000)) };
+}
+
+async function deleteAlert(email, alertId) {
+    await getStore(ALERTS_NAMESPACE).delete(alertKey(email, alertId));
+}
+
+// Every alert stored for one subscriber, oldest first
+async function listAlerts(email) {
+    const store = getStore(ALERTS_NAMESPACE);
+    const keys = await store.list(`${hashEmail(email)}/`);
+    const alerts = await Promise.all(keys.map((key) => store.get(key)));
+
+    return alerts
+        .filter(Boolean)
+        .sort((a, b) => a.created_at.localeCompare(b.created_at));
+}
+
+// Every alert across all subscribers (used by background jobs)
+async function listAllAlerts() {
+    const store = getStore(ALERTS_NAMESPACE);
+    const keys = await store.list();
+    const alerts = await Promise.all(keys.map((key) => store.get(key)));
+    return alerts.filter(Boolean);
+}
+
+// Activate the alerts of a completed signup, applying the changes it held back until the
+// confirmation ({ [alertId]: fields }). Signing up for a route again also resumes a paused alert.
+async function activateAlerts(email, alertIds, changes = {}) {
+    const activated = [];
+
+    for (const alertId of alertIds || []) {
+        const alert = await getAlert(email, alertId);
+        if (!alert) continue;
+        activated.push(await updateAlert(email, alertId, { ...(changes[alertId] || {}), status: 'active' }));
+    }
+
+    return activated;
+}
+
+// List-valued profile properties mirroring the subscriber's alerts at the email provider
+async function getAlertProfileProperties(email) {
+    const alerts = (await listAlerts(email)).filter((alert) => alert.status !== 'pending_confirmation');
+
+    return {
+        alerts: alerts.map(summarizeAlert),
+        alert_count: alerts.length,
+        active_alert_count: alerts.filter((alert) => alert.status === 'active').length,
+        alert_destination_codes: Array.from(new Set(alerts.map((alert) => alert.destination.code)))
+    };
+}
+
+// Helper function to keep the email provider copy of an alert small
+function summarizeAlert(alert) {
+    return {
+        alert_id: alert.id,
+        type: alert.type,
+        status: alert.status,
+        destination: alert.destination.name,
+        destination_code: alert.destination.code,
+        departure_airport: alert.departure_airport,
+        travel_class: alert.travel_class,
+        timeframe: alert.timeframe,
+        departure_from: alert.travel_dates ? alert.travel_dates.departure_from : null,
+        departure_to: alert.travel_dates ? alert.travel_dates.departure_to : null,
+        target_price: alert.target_price,
+        channels: alert.channels || ['email']
+    };
+}
+
+// Price band of a target price, as mirrored to the email provider (price_range) and used in reports
+function getPriceRange(price) {
+    const p = parseFloat(price);
+    if (p <= 400) return 'budget';
+    if (p <= 800) return 'mid-range';
+    if (p <= 1500) return 'premium';
+    return 'luxury';
+}
+
+// Helper function to decide whether two alerts watch the same route and cabin.
+// Alerts for exact dates are only the same when the departure window matches too.
+function isSameRoute(alert, fields) {
+    return alert.destination.code !== 'OTHER' &&
+        alert.destination.code === fields.destination.code &&
+        alert.departure_airport === fields.departure_airport &&
+        alert.travel_class === fields.travel_class &&
+        getExactWindowKey(alert) === getExactWindowKey(fields);
+}
+
+function getExactWindowKey(alert) {
+    const dates = alert.travel_dates;
+    return dates && dates.source === 'exact' ? `${dates.departure_from}/${dates.departure_to}` : '';
+}
+
+module.exports = {
+    ALERT_STATUSES,
+    activateAlerts,
+    deleteAlert,
+    getAlert,
+    getAlertProfileProperties,
+    getPriceRange,
+    listAlerts,
+    listAllAlerts,
+    saveAlert,
+    summarizeAlert,
+    updateAlert
+};
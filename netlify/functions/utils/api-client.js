@@ -0,0 +1,251 @@
+const https = require('https');
+
+// JSON-over-HTTPS client shared by the email provider, fare and captcha calls: retries transient
+// failures within the function's time budget and turns failed responses into typed errors.
+//
+// A 429 means the service did not act on the request, so it is always retried. Timeouts, 408s and
+// 5xx can hide a request the service already carried out: only idempotent methods are retried
+// after those, and a POST only when it carries an idempotency key the service dedupes on.
+
+// Retry and timeout settings (all in milliseconds)
+const SOCKET_TIMEOUT_MS = 5000;
+const MAX_ATTEMPTS = 4;
+const BASE_BACKOFF_MS = 250;
+const MAX_BACKOFF_MS = 4000;
+const DEFAULT_TIME_BUDGET_MS = 9000;
+const TIME_BUDGET_MARGIN_MS = 750;
+
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE', 'OPTIONS'];
+
+// Base error for any API request that did not succeed
+class ApiError extends Error {
+    constructor(message, { statusCode, data, service } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.statusCode = statusCode;
+        this.data = data;
+        this.service = service;
+    }
+}
+
+// The service rejected the payload (bad email, duplicate profile, ...). Retrying will not help.
+class ApiValidationError extends ApiError {
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'ApiValidationError';
+    }
+}
+
+// The service throttled us and we ran out of time budget waiting for it
+class ApiRateLimitError extends ApiError {
+    constructor(message, options = {}) {
+        super(message, options);
+        this.name = 'ApiRateLimitError';
+        this.retryAfterSeconds = options.retryAfterSeconds || 1;
+    }
+}
+
+// The service is down, slow or unreachable (5xx, socket timeout, network error)
+class ApiUnavailableError extends ApiError {
+    constructor(message, options = {}) {
+        super(message, options);
+        this.name = 'ApiUnavailableError';
+        this.retryAfterSeconds = options.retryAfterSeconds || 30;
+    }
+}
+
+// Create a client for one API host.
+// `options` is { service, hostname, port, basePath, headers, context, timeBudgetMs, deadline,
+// idempotencyHeader, getErrorDetail } where context is the Lambda context whose remaining time bounds
+// every retry, deadline (epoch ms) is used instead by callers that track their own run time and
+// idempotencyHeader names the header the service dedupes requests on.
+//
+// request(method, endpoint, data, extraHeaders, { idempotencyKey }): a POST or PATCH is retried after
+// a timeout or 5xx only with an idempotencyKey, sent in idempotencyHeader when the service has one
+// (services that take the key in the body, like Klaviyo's event unique_id, get it from the caller).
+function createApiClient(options) {
+    const context = options.context;
+    const budgetMs = context && typeof context.getRemainingTimeInMillis === 'function'
+        ? context.getRemainingTimeInMillis()
+        : (options.timeBudgetMs || DEFAULT_TIME_BUDGET_MS);
+    const deadline = (options.deadline || Date.now() + budgetMs) - TIME_BUDGET_MARGIN_MS;
+
+    return {
+        request: (method, endpoint, data, extraHeaders, requestOptions) =>
+            requestWithRetries(options, method, endpoint, data, extraHeaders, deadline, requestOptions || {})
+    };
+}
+
+// Helper function to run a request, retrying transient failures until the deadline
+async function requestWithRetries(options, method, endpoint, data, extraHeaders, deadline, { idempotencyKey } = {}) {
+    const service = options.service;
+    const canRepeat = IDEMPOTENT_METHODS.includes(method) || Boolean(idempotencyKey);
+    let lastError;
+
+    if (idempotencyKey && options.idempotencyHeader) {
+        extraHeaders = { ...(extraHeaders || {}), [options.idempotencyHeader]: idempotencyKey };
+    }
+
+    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+        const remaining = deadline - Date.now();
+        if (remaining <= 0) break;
+
+        const response = await sendRequest(options, method, endpoint, data, extraHeaders, Math.min(SOCKET_TIMEOUT_MS, remaining));
+
+        if (response.statusCode >= 200 && response.statusCode < 300) {
+            return {
+                data: response.data,
+                statusCode: response.statusCode
+            };
+        }
+
+        lastError = toApiError(response, options);
+
+        const isRetryable = lastError instanceof ApiRateLimitError ||
+            (lastError instanceof ApiUnavailableError && canRepeat);
+        if (!isRetryable || attempt === MAX_ATTEMPTS - 1) break;
+
+        // Honour Retry-After when the service sends one, otherwise use jittered exponential backoff
+        const delay = response.retryAfterMs !== null
+            ? response.retryAfterMs
+            : getBackoffDelay(attempt);
+
+        if (Date.now() + delay >= deadline) break;
+
+        console.warn(`${service} ${method} ${endpoint} failed (${lastError.message}), retrying in ${delay}ms`);
+        await sleep(delay);
+    }
+
+    throw lastError || new ApiUnavailableError(`${service} request skipped: function time budget exhausted`, { service });
+}
+
+// Helper function to send a single HTTPS request
+function sendRequest(options, method, endpoint, data, extraHeaders, timeoutMs) {
+    return new Promise((resolve) => {
+        const postData = data === undefined || data === null
+            ? ''
+            : (typeof data === 'string' ? data : JSON.stringify(data));
+
+        const requestOptions = {
+            hostname: options.hostname,
+            port: options.port,
+            path: `${options.basePath || ''}${endpoint}`,
+            method: method,
+            headers: {
+                'Accept': 'application/json',
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(postData),
+                ...(options.headers || {}),
+                ...(extraHeaders || {})
+            }
+        };
+
+        const req = https.request(requestOptions, (res) => {
+            let responseData = '';
+
+            res.on('data', (chunk) => {
+                responseData += chunk;
+            });
+
+            res.on('end', () => {
+                let parsed = {};
+                let parseError = null;
+
+                try {
+                    parsed = responseData ? JSON.parse(responseData) : {};
+                } catch (error) {
+                    parseError = error;
+                }
+
+                resolve({
+                    statusCode: res.statusCode,
+                    data: parsed,
+                    parseError: parseError,
+                    retryAfterMs: parseRetryAfter(res.headers['retry-after'])
+                });
+            });
+        });
+
+        // Kill hung sockets instead of waiting for the Lambda to time out
+        req.setTimeout(timeoutMs, () => {
+            req.destroy(new Error(`Socket timeout after ${timeoutMs}ms`));
+        });
+
+        req.on('error', (error) => {
+            resolve({
+                statusCode: 0,
+                data: {},
+                networkError: error,
+                retryAfterMs: null
+            });
+        });
+
+        if (postData) req.write(postData);
+        req.end();
+    });
+}
+
+// Helper function to classify a failed response into a typed error
+function toApiError(response, options) {
+    const { statusCode, data } = response;
+    const service = options.service;
+
+    if (response.networkError) {
+        return new ApiUnavailableError(`Request error: ${response.networkError.message}`, { service });
+    }
+
+    const detail = (options.getErrorDetail && options.getErrorDetail(data)) || `HTTP ${statusCode}`;
+    const retryAfterSeconds = response.retryAfterMs !== null
+        ? Math.max(1, Math.ceil(response.retryAfterMs / 1000))
+        : undefined;
+
+    if (statusCode === 429) {
+        return new ApiRateLimitError(detail, { statusCode, data, service, retryAfterSeconds });
+    }
+
+    if (statusCode === 408 || statusCode >= 500) {
+        return new ApiUnavailableError(detail, { statusCode, data, service, retryAfterSeconds });
+    }
+
+    if (statusCode === 400 || statusCode === 409 || statusCode === 422) {
+        return new ApiValidationError(detail, { statusCode, data, service });
+    }
+
+    if (response.parseError) {
+        return new ApiError(`Parse error: ${response.parseError.message}`, { statusCode, service });
+    }
+
+    // 401/403/404 and friends: our configuration is wrong, not the user's input
+    return new ApiError(detail, { statusCode, data, service });
+}
+
+// Helper function to parse a Retry-After header (delta-seconds or HTTP date) into milliseconds
+function parseRetryAfter(value) {
+    if (!value) return null;
+
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(value);
+    if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+
+    return null;
+}
+
+// Helper function for "full jitter" exponential backoff
+function getBackoffDelay(attempt) {
+    const cap = Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * Math.pow(2, attempt));
+    return Math.floor(Math.random() * cap);
+}
+
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+module.exports = {
+    ApiError,
+    ApiRateLimitError,
+    ApiUnavailableError,
+    ApiValidationError,
+    createApiClient
+};
@@ -0,0 +1,346 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const querystring = require('querystring');
+const { getStore } = require('./store');
+const { createSignedToken, hashEmail, hashIdentifier, verifySignedToken } = require('./signing');
+const { getClientIp } = require('./rate-limit');
+const { createApiClient } = require('./api-client');
+const { isFormNavigation } = require('./http');
+const { getValidationErrorResponse } = require('./validation');
+const { CONFIRMATION_TTL_SECONDS } = require('./signup');
+
+// Layered defence for the signup forms, in the order the checks run:
+//   1. honeypot     -> a field people never see ("website"); bots fill it in
+//   2. fill time    -> every signup needs a signed, single-use token: the page asks form-token for one
+//                      per form, and a form posted without JavaScript gets one from a "one more step"
+//                      page we render for it. Answers sooner than BOT_MIN_FILL_SECONDS after it, with a
+//                      forged, expired or already used token, or without one, are scripted
+//   3. captcha      -> CAPTCHA_PROVIDER turnstile | hcaptcha (CAPTCHA_SECRET, CAPTCHA_SITE_KEY for the page),
+//                      or stub for local testing: only the token "stub-pass" passes
+//   4. email domain -> disposable-address services and domains without MX records are refused
+// 1 and 2 quarantine the submission: it is stored for review and answered like a normal signup, so
+// nothing reaches the email provider and the bot learns nothing. 3 and 4 are answered with field
+// errors, since real visitors run into them too.
+const HONEYPOT_FIELD = 'website';
+const DEFAULT_MIN_FILL_SECONDS = 3;
+
+// The page asks for a fresh token every hour and after every submission
+const FORM_TOKEN_TTL_SECONDS = 2 * 60 * 60;
+const USED_TOKENS_NAMESPACE = 'used-form-tokens';
+
+// Endpoints whose form also works without JavaScript
+const NATIVE_FORM_ENDPOINTS = ['custom-alert', 'newsletter'];
+const BOT_FIELDS = [HONEYPOT_FIELD, 'form_token', 'captcha_token', 'cf-turnstile-response', 'h-captcha-response'];
+
+const QUARANTINE_NAMESPACE = 'signup-quarantine';
+const QUARANTINE_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+const CAPTCHA_VERIFIERS = {
+    turnstile: { hostname: 'challenges.cloudflare.com', path: '/turnstile/v0/siteverify' },
+    hcaptcha: { hostname: 'api.hcaptcha.com', path: '/siteverify' }
+};
+const STUB_CAPTCHA_TOKEN = 'stub-pass';
+const CAPTCHA_TIMEOUT_MS = 5000;
+
+const STEP_PAGE_COPY = {
+    es: {
+        title: 'Un paso más',
+        text: 'Confirma que quieres enviar el formulario.',
+        button: 'Continuar'
+    },
+    en: {
+        title: 'One more step',
+        text: 'Confirm that you want to send the form.',
+        button: 'Continue'
+    }
+};
+
+// Throwaway inbox services; DISPOSABLE_EMAIL_DOMAINS adds more (comma-separated)
+const DISPOSABLE_DOMAINS = [
+    '10minutemail.com', '20minutemail.com', 'dispostable.com', 'emailondeck.com', 'fakeinbox.com',
+    'getairmail.com', 'getnada.com', 'guerrillamail.com', 'guerrillamail.net', 'guerrillamailblock.com',
+    'harakirimail.com', 'maildrop.cc', 'mailinator.com', 'mailinator.net', 'mailnesia.com',
+    'mintemail.com', 'mohmal.com', 'moakt.com', 'mytemp.email', 'sharklasers.com',
+    'spam4.me', 'spamgourmet.com', 'temp-mail.io', 'temp-mail.org', 'tempail.com',
+    'tempmail.com', 'tempmail.net', 'tempmailo.com', 'tempr.email', 'throwawaymail.com',
+    'trashmail.com', 'trashmail.de', 'yopmail.com', 'yopmail.fr', 'yopmail.net'
+];
+
+// MX lookups are cached per function instance; answers do not change within minutes
+const MX_CACHE_TTL_MS = 10 * 60 * 1000;
+const MX_TIMEOUT_MS = 2000;
+const mxCache = new Map();
+
+// A single-use fill-time token
+function createFormToken() {
+    return createSignedToken('form', {
+        id: crypto.randomBytes(12).toString('hex'),
+        issued_at: Date.now()
+    }, FORM_TOKEN_TTL_SECONDS);
+}
+
+function getMinFillSeconds() {
+    const configured = Number(process.env.BOT_MIN_FILL_SECONDS);
+    return Number.isFinite(configured) && configured >= 0 ? configured : DEFAULT_MIN_FILL_SECONDS;
+}
+
+// What the page needs to render the captcha widget (null when none is configured)
+function getCaptchaConfig() {
+    const provider = (process.env.CAPTCHA_PROVIDER || '').trim().toLowerCase();
+    if (!provider) return null;
+
+    return { provider, site_key: process.env.CAPTCHA_SITE_KEY || null };
+}
+
+// Run every check on a validated signup. `body` is the raw request body (the bot fields are not
+// part of the endpoint schemas). Returns { quarantine: [reasons] }, { errors: [...] },
+// { needsToken: true } for a form posted without JavaScript, or {} with the token's ID to spend.
+async function checkSignup({ body, email, event, nativeForm }) {
+    if (typeof body[HONEYPOT_FIELD] === 'string' && body[HONEYPOT_FIELD].trim()) {
+        return { quarantine: ['honeypot'] };
+    }
+
+    const formToken = body.form_token;
+    if (!formToken) {
+        return nativeForm ? { needsToken: true } : { quarantine: ['missing_form_token'] };
+    }
+
+    const payload = verifySignedToken('form', formToken);
+    if (!payload || !payload.id) return { quarantine: ['invalid_form_token'] };
+    if (await getStore(USED_TOKENS_NAMESPACE).get(payload.id)) return { quarantine: ['reused_form_token'] };
+
+    if (Date.now() - payload.issued_at < getMinFillSeconds() * 1000) return { quarantine: ['too_fast'] };
+
+    const captchaError = await verifyCaptcha(body, event);
+    if (captchaError) return { errors: [{ field: 'captcha', code: captchaError }] };
+
+    const emailError = await checkEmailDomain(email);
+    if (emailError) return { errors: [{ field: 'email', code: emailError }] };
+
+    return { tokenId: payload.id };
+}
+
+// Shared entry point for the signup handlers, called once the body has passed validation.
+// Returns the response to send instead of processing the signup, or null to carry on.
+async function protectSignup(endpoint, request, data) {
+    const body = request.body || {};
+    const result = await checkSignup({
+        body,
+        email: data.email,
+        event: request.event,
+        nativeForm: NATIVE_FORM_ENDPOINTS.includes(endpoint) && isFormNavigation(request)
+    });
+
+    if (result.errors) {
+        return getValidationErrorResponse(request.responseHeaders, result.errors, data.language);
+    }
+
+    if (result.needsToken) {
+        return {
+            statusCode: 200,
+            headers: { ...request.responseHeaders, 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' },
+            body: renderStepPage(endpoint, body, data.language)
+        };
+    }
+
+    if (result.quarantine) {
+        await quarantineSubmission(endpoint, data, result.quarantine, request.event);
+
+        // Same answer as a signup waiting for its confirmation email
+        return {
+            statusCode: 202,
+            headers: request.responseHeaders,
+            body: JSON.stringify({
+                success: true,
+                status: 'pending_confirmation',
+                message: 'Confirmation email sent',
+                expires_at: new Date(Date.now() + CONFIRMATION_TTL_SECONDS * 1000).toISOString()
+            })
+        };
+    }
+
+    // Spent only now, so a visitor fixing a field error can send the same form again
+    await getStore(USED_TOKENS_NAMESPACE).set(result.tokenId, true, { ttlSeconds: FORM_TOKEN_TTL_SECONDS });
+    return null;
+}
+
+// Helper function to render the step page for a form posted without JavaScript: the same fields
+// again, plus a token we issue here, behind one button. The token gets the usual fill time, or a
+// bot could post the form, take the token and answer the step page right away.
+function renderStepPage(endpoint, body, language) {
+    const copy = STEP_PAGE_COPY[language] || STEP_PAGE_COPY.es;
+    const token = createFormToken();
+    const inputs = Object.entries(body)
+        .filter(([name]) => !BOT_FIELDS.includes(name))
+        .flatMap(([name, value]) => [].concat(value).map((item) =>
+            `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(item)}">`));
+
+    return `<!DOCTYPE html>
+<html lang="${language === 'en' ? 'en' : 'es'}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex">
+    <title>${escapeHtml(copy.title)} | VuelosBaratos NYC</title>
+    <style>
+        body { font-family: 'Inter', sans-serif; background: linear-gradient(135deg, #1e3a8a, #2563eb); color: #1f2937; margin: 0; min-height: 100vh; display: flex; align-items: center; justify-content: center; padding: 20px; box-sizing: border-box; }
+        .card { background: white; max-width: 480px; padding: 40px; border-radius: 25px; box-shadow: 0 20px 60px rgba(0, 0, 0, 0.2); text-align: center; }
+        h1 { font-size: 1.6rem; margin-bottom: 15px; }
+        p { color: #6b7280; line-height: 1.6; margin-bottom: 30px; }
+        .btn { display: inline-block; background: linear-gradient(135deg, #f59e0b, #d97706); color: white; padding: 15px 30px; border-radius: 50px; border: none; font-size: 16px; font-weight: 700; cursor: pointer; }
+    </style>
+</head>
+<body>
+    <div class="card">
+        <h1>${escapeHtml(copy.title)}</h1>
+        <p>${escapeHtml(copy.text)}</p>
+        <form method="POST" action="/.netlify/functions/${endpoint}">
+            ${inputs.join('\n            ')}
+            <input type="hidden" name="form_token" value="${escapeHtml(token)}">
+            <button type="submit" class="btn">${escapeHtml(copy.button)}</button>
+        </form>
+    </div>
+</body>
+</html>`;
+}
+
+// Helper function to check the captcha answer; returns an error code or null.
+// An unreachable verification service lets the signup through rather than losing it.
+async function verifyCaptcha(body, event) {
+    const config = getCaptchaConfig();
+    if (!config) return null;
+
+    const token = body.captcha_token || body['cf-turnstile-response'] || body['h-captcha-response'];
+    if (!token || typeof token !== 'string') return 'captcha_required';
+
+    if (config.provider === 'stub') {
+        return token === STUB_CAPTCHA_TOKEN ? null : 'captcha_failed';
+    }
+
+    const verifier = CAPTCHA_VERIFIERS[config.provider];
+    if (!verifier || !process.env.CAPTCHA_SECRET) {
+        console.error(`Captcha configuration error: unknown provider "${config.provider}" or missing CAPTCHA_SECRET`);
+        return null;
+    }
+
+    const ip = getClientIp(event);
+    try {
+        const client = createApiClient({
+            service: 'Captcha',
+            hostname: verifier.hostname,
+            timeBudgetMs: CAPTCHA_TIMEOUT_MS
+        });
+        const response = await client.request('POST', verifier.path, querystring.stringify({
+            secret: process.env.CAPTCHA_SECRET,
+            response: token.substring(0, 4096),
+            ...(ip !== 'unknown' ? { remoteip: ip } : {})
+        }), { 'Content-Type': 'application/x-www-form-urlencoded' });
+
+        return response.data.success ? null : 'captcha_failed';
+    } catch (error) {
+        console.warn(`Warning: Captcha verification unavailable, letting the signup through: ${error.message}`);
+        return null;
+    }
+}
+
+// Helper function to refuse disposable and mail-less domains; returns an error code or null
+async function checkEmailDomain(email) {
+    const domain = String(email).split('@')[1] || '';
+
+    if (isDisposableDomain(domain)) return 'disposable_email';
+    if (process.env.EMAIL_MX_CHECK !== 'false' && await hasNoMx(domain)) return 'email_domain_no_mx';
+
+    return null;
+}
+
+function isDisposableDomain(domain) {
+    const blocked = DISPOSABLE_DOMAINS.concat((process.env.DISPOSABLE_EMAIL_DOMAINS || '').split(','))
+        .map((item) => item.trim().toLowerCase())
+        .filter(Boolean);
+    const name = domain.toLowerCase();
+
+    // Subdomains of a blocked service count too
+    return blocked.some((item) => name === item || name.endsWith(`.${item}`));
+}
+
+// Helper function to tell whether a domain cannot receive mail: it does not exist, has no MX
+// records, or publishes a null MX (RFC 7505). DNS trouble on our side is not held against it.
+async function hasNoMx(domain) {
+    const cached = mxCache.get(domain);
+    if (cached && cached.expiresAt > Date.now()) return cached.noMx;
+
+    let noMx;
+    try {
+        const resolver = new dns.promises.Resolver({ timeout: MX_TIMEOUT_MS, tries: 1 });
+        const records = await resolver.resolveMx(domain);
+        noMx = !records.some((record) => record.exchange && record.exchange !== '.');
+    } catch (error) {
+        if (error.code !== 'ENOTFOUND' && error.code !== 'ENODATA') {
+            console.warn(`Warning: MX lookup for ${domain} failed: ${error.code || error.message}`);
+            return false;
+        }
+        noMx = true;
+    }
+
+    mxCache.set(domain, { noMx, expiresAt: Date.now() + MX_CACHE_TTL_MS });
+    return noMx;
+}
+
+// Keep a suspicious submission for review instead of sending it anywhere
+async function quarantineSubmission(endpoint, data, reasons, event) {
+    const id = `qrn_${crypto.randomBytes(8).toString('hex')}`;
+    const ip = getClientIp(event);
+    const record = {
+        id,
+        endpoint,
+        reasons,
+        submission: data,
+        ip_hash: ip !== 'unknown' ? hashIdentifier(ip) : null,
+        user_agent: ((event.headers || {})['user-agent'] || '').substring(0, 200) || null,
+        created_at: new Date().toISOString()
+    };
+
+    await getStore(QUARANTINE_NAMESPACE).set(`${hashEmail(data.email || '')}/${id}`, record, {
+        ttlSeconds: QUARANTINE_TTL_SECONDS
+    });
+
+    console.warn(`Quarantined ${endpoint} submission ${id}: ${reasons.join(', ')}`);
+    return record;
+}
+
+// Quarantined submissions for one email (data exports)
+async function listQuarantinedSubmissions(email) {
+    const store = getStore(QUARANTINE_NAMESPACE);
+    const keys = await store.list(`${hashEmail(email)}/`);
+    return (await Promise.all(keys.map((key) => store.get(key)))).filter(Boolean);
+}
+
+async function deleteQuarantinedSubmissions(email) {
+    const store = getStore(QUARANTINE_NAMESPACE);
+    const keys = await store.list(`${hashEmail(email)}/`);
+    await Promise.all(keys.map((key) => store.delete(key)));
+    return keys.length;
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+module.exports = {
+    HONEYPOT_FIELD,
+    QUARANTINE_NAMESPACE,
+    USED_TOKENS_NAMESPACE,
+    checkSignup,
+    createFormToken,
+    deleteQuarantinedSubmissions,
+    getCaptchaConfig,
+    getMinFillSeconds,
+    listQuarantinedSubmissions,
+    protectSignup,
+    quarantineSubmission
+};
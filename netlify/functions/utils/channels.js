@@ -0,0 +1,88 @@
+const { formatPhone } = require('./phone');
+
+// Alert delivery channels. Email is always on; SMS and WhatsApp need a phone number and the
+// visitor ticking the matching consent box on the form.
+const CHANNELS = ['email', 'sms', 'whatsapp'];
+const PHONE_CHANNELS = ['sms', 'whatsapp'];
+
+// Bump whenever the consent wording on the site changes, so every record points at what was shown
+const CONSENT_TEXT_VERSION = '2026-10-19';
+
+// The disclosure shown with each form and checkbox (kept here so consent records can be audited against it)
+const CONSENT_TEXT = {
+    email: {
+        es: 'Al suscribirte aceptas recibir por email alertas de ofertas de vuelos y novedades de VuelosBaratos NYC. Te pediremos confirmar tu email y puedes darte de baja en cualquier momento.',
+        en: 'By subscribing you agree to receive flight deal alerts and news from VuelosBaratos NYC by email. We will ask you to confirm your email and you can unsubscribe at any time.'
+    },
+    sms: {
+        es: 'Acepto recibir alertas de ofertas de vuelos de VuelosBaratos NYC por SMS al número indicado. Frecuencia variable. Pueden aplicar tarifas de mensajes y datos. Responde STOP para cancelar o HELP para ayuda. El consentimiento no es condición de compra.',
+        en: 'I agree to receive flight deal alerts from VuelosBaratos NYC by text message at the number provided. Message frequency varies. Message and data rates may apply. Reply STOP to cancel or HELP for help. Consent is not a condition of purchase.'
+    },
+    whatsapp: {
+        es: 'Acepto recibir alertas de ofertas de vuelos de VuelosBaratos NYC por WhatsApp al número indicado. Puedo darme de baja en cualquier momento respondiendo STOP.',
+        en: 'I agree to receive flight deal alerts from VuelosBaratos NYC on WhatsApp at the number provided. I can opt out at any time by replying STOP.'
+    }
+};
+
+// Work out the channels for a validated request (phone already in E.164).
+// Returns { phone, channels, consent } or { error: { field, code } } like the other resolvers.
+// `options` is { source, language } and ends up in the consent metadata.
+function resolveChannels(data, options = {}, now = new Date()) {
+    const requested = PHONE_CHANNELS.filter((channel) => data[`${channel}_consent`] === true);
+
+    if (requested.length && !data.phone) {
+        return { error: { field: 'phone', code: 'phone_required' } };
+    }
+
+    // We only keep a phone number we are allowed to message
+    if (data.phone && !requested.length) {
+        return { error: { field: 'sms_consent', code: 'consent_required' } };
+    }
+
+    const consent = {};
+    requested.forEach((channel) => {
+        consent[channel] = {
+            consented_at: now.toISOString(),
+            method: 'website_form_checkbox',
+            source: options.source || 'website',
+            language: options.language || 'es',
+            text_version: CONSENT_TEXT_VERSION
+        };
+    });
+
+    return {
+        phone: data.phone || null,
+        channels: ['email'].concat(requested),
+        consent
+    };
+}
+
+// Profile properties describing the subscriber's phone channels and when they opted in
+function getChannelProfileProperties(contact) {
+    if (!contact.phone) return {};
+
+    const properties = {
+        phone_display: formatPhone(contact.phone)
+    };
+
+    PHONE_CHANNELS.forEach((channel) => {
+        const consent = contact.consent[channel];
+        if (!consent) return;
+
+        properties[`${channel}_opt_in`] = true;
+        properties[`${channel}_consent_at`] = consent.consented_at;
+        properties[`${channel}_consent_source`] = consent.source;
+        properties[`${channel}_consent_version`] = consent.text_version;
+    });
+
+    return properties;
+}
+
+module.exports = {
+    CHANNELS,
+    CONSENT_TEXT,
+    CONSENT_TEXT_VERSION,
+    PHONE_CHANNELS,
+    getChannelProfileProperties,
+    resolveChannels
+};
@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+const { getStore } = require('./store');
+const { hashEmail, hashIdentifier } = require('./signing');
+const { getClientIp } = require('./rate-limit');
+const { CONSENT_TEXT_VERSION } = require('./channels');
+
+// Append-only consent ledger. Every signup, confirmation and preference change adds one record per
+// channel under "<email hash>/<timestamp>-<n>-<random>", so a subscriber's records list in order and no
+// write can land on an existing key. Nothing in this module updates or deletes a record.
+// Records hold hashes instead of the email, IP and phone, so they stay behind as proof of consent
+// (and of its withdrawal) after a deletion request.
+const CONSENT_NAMESPACE = 'consent-ledger';
+
+// granted   -> the visitor submitted a form with the consent text on it
+// confirmed -> the visitor clicked the double opt-in link
+// withdrawn -> unsubscribed from the preference center or asked for their data to be deleted
+// updated   -> any other preference change (alert edits, language), kept for the full history
+const CONSENT_ACTIONS = ['granted', 'confirmed', 'withdrawn', 'updated'];
+
+// Append one record per channel. `details` is
+// { action, channels, scope, endpoint, form, language, phone, textVersion, change }
+// where scope is what the consent covers (the signup type, 'newsletter', or 'all').
+// `event` is the request, for the hashed IP and the page the form was submitted from.
+async function recordConsent(email, details, event) {
+    if (!CONSENT_ACTIONS.includes(details.action)) {
+        throw new Error(`Unknown consent action: ${details.action}`);
+    }
+
+    const store = getStore(CONSENT_NAMESPACE);
+    const emailHash = hashEmail(email);
+    const recordedAt = new Date();
+    const ip = event ? getClientIp(event) : null;
+
+    const records = (details.channels && details.channels.length ? details.channels : ['email']).map((channel, index) => ({
+        id: `${String(recordedAt.getTime()).padStart(13, '0')}-${index}-${crypto.randomBytes(6).toString('hex')}`,
+        recorded_at: recordedAt.toISOString(),
+        email_hash: emailHash,
+        channel,
+        action: details.action,
+        scope: details.scope || null,
+        change: details.change || null,
+        endpoint: details.endpoint,
+        form: details.form || null,
+        page: event ? getReferringPage(event) : null,
+        language: details.language || 'es',
+        text_version: details.textVersion || CONSENT_TEXT_VERSION,
+        phone_hash: details.phone && channel !== 'email' ? hashIdentifier(details.phone) : null,
+        ip_hash: ip && ip !== 'unknown' ? hashIdentifier(ip) : null
+    }));
+
+    for (const record of records) {
+        await store.set(`${emailHash}/${record.id}`, record);
+    }
+
+    return records;
+}
+
+// Every record for one email, oldest first
+async function listConsentRecords(email) {
+    const store = getStore(CONSENT_NAMESPACE);
+    const keys = (await store.list(`${hashEmail(email)}/`)).sort();
+    const records = [];
+
+    for (const key of keys) {
+        const record = await store.get(key);
+        if (record) records.push(record);
+    }
+
+    return records;
+}
+
+// Every record written in [start, end) (ISO timestamps), for reports. The key carries the time, so
+// only records in the range are read.
+async function listConsentRecordsBetween(start, end) {
+    const store = getStore(CONSENT_NAMESPACE);
+    const startMs = Date.parse(start);
+    const endMs = Date.parse(end);
+
+    const keys = (await store.list()).filter((key) => {
+        const recordedAt = Number(key.split('/')[1].substring(0, 13));
+        return recordedAt >= startMs && recordedAt < endMs;
+    });
+
+    return (await Promise.all(keys.map((key) => store.get(key)))).filter(Boolean);
+}
+
+// The latest record per channel and scope, i.e. where consent stands today.
+// A withdrawal with scope 'all' replaces everything recorded before it for that channel.
+function summarizeConsent(records) {
+    const summary = {};
+
+    records.forEach((record) => {
+        if (record.action === 'updated') return;
+
+        if (record.scope === 'all' || !summary[record.channel]) summary[record.channel] = {};
+        summary[record.channel][record.scope || 'all'] = {
+            status: record.action,
+            recorded_at: record.recorded_at,
+            endpoint: record.endpoint,
+            text_version: record.text_version,
+            record_id: record.id
+        };
+    });
+
+    return summary;
+}
+
+// Helper function to keep the path of the page the form was on (never its query string)
+function getReferringPage(event) {
+    const headers = event.headers || {};
+    const referer = headers.referer || headers.Referer;
+    if (!referer) return null;
+
+    try {
+        return new URL(referer).pathname;
+    } catch (error) {
+        return null;
+    }
+}
+
+module.exports = {
+    CONSENT_ACTIONS,
+    CONSENT_NAMESPACE,
+    listConsentRecords,
+    listConsentRecordsBetween,
+    recordConsent,
+    summarizeConsent
+};
@@ -0,0 +1,64 @@
+// RFC 4180 CSV for the operator reports and the subscriber import/export script
+
+// Rows of cells to CSV text (CRLF line endings, as spreadsheets expect)
+function formatCsv(rows) {
+    return rows.map((row) => row.map(toCsvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+// CSV text to rows of string cells. Quoted cells may hold commas, quotes ("") and line breaks;
+// a UTF-8 byte order mark and blank lines are skipped.
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    const input = String(text).replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    row.push(cell);
+    rows.push(row);
+
+    return rows.filter((cells) => cells.some((value) => value.trim() !== ''));
+}
+
+// Helper function to quote a CSV cell. Some values come from visitors, so text that a
+// spreadsheet would run as a formula is prefixed with an apostrophe.
+function toCsvCell(value) {
+    if (value === null || value === undefined) return '';
+
+    let text = String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+module.exports = {
+    formatCsv,
+    parseCsv
+};
@@ -0,0 +1,100 @@
+const { normalizeDestination, getDestinationByCode } = require('./destinations');
+const { resolveTravelDates } = require('./travel-dates');
+const { getChannelProfileProperties, resolveChannels } = require('./channels');
+const { getPriceRange } = require('./alerts');
+
+// Everything a custom alert signup needs, worked out from a request that passed the
+// 'custom-alert' schema. Shared by the custom-alert function and the subscriber import script.
+// Returns { alert, properties, events, contact, travel, destination } or { error: { field, code, params } }.
+function prepareCustomAlert(data) {
+    // Turn the timeframe bucket (or the exact dates picked) into a concrete travel window
+    const travel = resolveTravelDates(data);
+    if (travel.error) return { error: travel.error };
+
+    // Optional phone for SMS/WhatsApp alerts, only kept with explicit consent for a channel
+    const contact = resolveChannels(data, {
+        source: data.signup_source || 'website',
+        language: data.language
+    });
+    if (contact.error) return { error: contact.error };
+
+    // Prefer the airport code picked from the autocomplete, fall back to matching the free text
+    const destination = (data.destination_code && getDestinationByCode(data.destination_code)) ||
+        normalizeDestination(data.destination);
+    if (!destination.matched) {
+        console.warn(`Unmatched destination: "${data.destination}"`);
+    }
+
+    // The alert itself is stored as its own record so one email can hold many of them
+    const alert = {
+        type: 'custom',
+        destination: {
+            name: destination.displayName,
+            input: data.destination,
+            code: destination.code,
+            airports: destination.airports,
+            country_code: destination.countryCode,
+            region: destination.region
+        },
+        departure_airport: data.departure_airport,
+        timeframe: travel.timeframe,
+        travel_dates: travel.travelDates,
+        channels: contact.channels,
+        travel_class: data.travel_class,
+        target_price: parseFloat(data.target_price),
+        language: data.language || 'es',
+        signup_source: data.signup_source || 'website'
+    };
+
+    // Profile-level settings written to the email provider once the email is confirmed
+    const properties = {
+        // Alert settings
+        alert_type: data.alert_type || 'custom_search',
+        signup_source: data.signup_source || 'website',
+        language: data.language || 'es',
+        location: data.location || 'NYC',
+
+        // SMS/WhatsApp opt-ins and their consent metadata
+        ...getChannelProfileProperties(contact),
+
+        // Metadata
+        signup_date: new Date().toISOString(),
+        last_updated: new Date().toISOString(),
+
+        // Segmentation tags
+        has_custom_alert: true,
+        preferred_departure: data.departure_airport,
+        price_range: getPriceRange(data.target_price),
+        destination_region: destination.region
+    };
+
+    // Track custom event
+    const events = [
+        {
+            name: 'Custom Flight Alert Created',
+            properties: {
+                destination: destination.displayName,
+                destination_code: destination.code,
+                destination_airports: destination.airports,
+                destination_region: destination.region,
+                departure_airport: data.departure_airport,
+                target_price: parseFloat(data.target_price),
+                travel_class: data.travel_class,
+                timeframe: travel.timeframe,
+                departure_from: travel.travelDates.departure_from,
+                departure_to: travel.travelDates.departure_to,
+                return_from: travel.travelDates.return_from,
+                return_to: travel.travelDates.return_to,
+                trip_length_min: travel.travelDates.min_nights,
+                trip_length_max: travel.travelDates.max_nights,
+                channels: contact.channels
+            }
+        }
+    ];
+
+    return { alert, properties, events, contact, travel, destination };
+}
+
+module.exports = {
+    prepareCustomAlert
+};
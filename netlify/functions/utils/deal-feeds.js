@@ -0,0 +1,153 @@
+const { getSiteUrl } = require('./signing');
+
+// The deals as JSON Feed 1.1, RSS 2.0 and Atom. Every format carries the Spanish blurb plus a line
+// with the route, dates, airline and expiry; the JSON Feed also has the structured deal under
+// "_vuelosbaratos" for the site and the email templates.
+const FEED_TITLE = 'VuelosBaratos NYC · Ofertas de vuelos';
+const FEED_DESCRIPTION = 'Ofertas de vuelos baratos desde Nueva York (JFK, LaGuardia y Newark), elegidas por nuestro equipo';
+
+const FEED_CONTENT_TYPES = {
+    json: 'application/feed+json; charset=utf-8',
+    rss: 'application/rss+xml; charset=utf-8',
+    atom: 'application/atom+xml; charset=utf-8'
+};
+
+// `feedUrl` is the URL this feed was requested at (filters included)
+function formatDealFeed(format, deals, feedUrl) {
+    if (format === 'rss') return formatRss(deals, feedUrl);
+    if (format === 'atom') return formatAtom(deals, feedUrl);
+    return formatJsonFeed(deals, feedUrl);
+}
+
+function formatJsonFeed(deals, feedUrl) {
+    const siteUrl = getSiteUrl();
+
+    return JSON.stringify({
+        version: 'https://jsonfeed.org/version/1.1',
+        title: FEED_TITLE,
+        home_page_url: `${siteUrl}/`,
+        feed_url: feedUrl,
+        description: FEED_DESCRIPTION,
+        language: 'es',
+        items: deals.map((deal) => ({
+            id: deal.id,
+            url: getDealUrl(deal),
+            title: deal.title,
+            summary: deal.blurb,
+            content_text: `${deal.blurb}\n\n${describeDeal(deal)}`,
+            date_published: deal.published_at,
+            date_modified: deal.updated_at,
+            tags: [deal.destination.region, deal.origin_airport],
+            _vuelosbaratos: {
+                about: `${siteUrl}/`,
+                origin_airport: deal.origin_airport,
+                destination: deal.destination,
+                price: deal.price,
+                currency: deal.currency,
+                travel_class: deal.travel_class,
+                travel_dates: deal.travel_dates,
+                airline: deal.airline,
+                expires_at: deal.expires_at
+            }
+        }))
+    });
+}
+
+function formatRss(deals, feedUrl) {
+    const siteUrl = getSiteUrl();
+    const items = deals.map((deal) => `
+    <item>
+      <title>${escapeXml(deal.title)}</title>
+      <link>${escapeXml(getDealUrl(deal))}</link>
+      <guid isPermaLink="false">${escapeXml(deal.id)}</guid>
+      <pubDate>${new Date(deal.published_at).toUTCString()}</pubDate>
+      <description>${escapeXml(`${deal.blurb}\n\n${describeDeal(deal)}`)}</description>
+      <category>${escapeXml(deal.destination.region)}</category>
+    </item>`).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${escapeXml(FEED_TITLE)}</title>
+    <link>${escapeXml(`${siteUrl}/`)}</link>
+    <description>${escapeXml(FEED_DESCRIPTION)}</description>
+    <language>es</language>
+    <lastBuildDate>${new Date(getLastUpdate(deals)).toUTCString()}</lastBuildDate>
+    <atom:link href="${escapeXml(feedUrl)}" rel="self" type="application/rss+xml"/>${items}
+  </channel>
+</rss>
+`;
+}
+
+function formatAtom(deals, feedUrl) {
+    const siteUrl = getSiteUrl();
+    const host = new URL(siteUrl).hostname;
+    const entries = deals.map((deal) => `
+  <entry>
+    <id>tag:${escapeXml(host)},${deal.published_at.substring(0, 10)}:${escapeXml(deal.id)}</id>
+    <title>${escapeXml(deal.title)}</title>
+    <link rel="alternate" href="${escapeXml(getDealUrl(deal))}"/>
+    <published>${deal.published_at}</published>
+    <updated>${deal.updated_at}</updated>
+    <summary>${escapeXml(deal.blurb)}</summary>
+    <content type="text">${escapeXml(`${deal.blurb}\n\n${describeDeal(deal)}`)}</content>
+    <category term="${escapeXml(deal.destination.region)}"/>
+  </entry>`).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="es">
+  <id>${escapeXml(feedUrl)}</id>
+  <title>${escapeXml(FEED_TITLE)}</title>
+  <subtitle>${escapeXml(FEED_DESCRIPTION)}</subtitle>
+  <updated>${getLastUpdate(deals)}</updated>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(feedUrl)}"/>
+  <link rel="alternate" type="text/html" href="${escapeXml(`${siteUrl}/`)}"/>
+  <author><name>VuelosBaratos NYC</name></author>${entries}
+</feed>
+`;
+}
+
+// The one-line summary every format carries: "Desde JFK a Madrid, España por $450 USD · Económica · ..."
+function describeDeal(deal) {
+    const classes = { economy: 'Económica', premium: 'Premium Economy', business: 'Business', first: 'Primera Clase' };
+    const { from, to } = deal.travel_dates;
+    const dates = from === to ? `Viaja el ${formatDate(from)}` : `Viaja entre el ${formatDate(from)} y el ${formatDate(to)}`;
+
+    return [
+        `Desde ${deal.origin_airport} a ${deal.destination.name} por $${deal.price} ${deal.currency}`,
+        classes[deal.travel_class] || deal.travel_class,
+        dates,
+        deal.airline,
+        `Oferta válida hasta el ${formatDate(deal.expires_at)}`
+    ].filter(Boolean).join(' · ');
+}
+
+// Deals without their own link point at the site, where the alerts can be set up
+function getDealUrl(deal) {
+    return deal.url || `${getSiteUrl()}/`;
+}
+
+function getLastUpdate(deals) {
+    return deals.reduce((latest, deal) => (deal.updated_at > latest ? deal.updated_at : latest), '') ||
+        new Date().toISOString();
+}
+
+function formatDate(value) {
+    const date = value.length === 10 ? new Date(`${value}T12:00:00Z`) : new Date(value);
+    return date.toLocaleDateString('es-ES', { day: 'numeric', month: 'short', year: 'numeric', timeZone: 'America/New_York' });
+}
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+module.exports = {
+    FEED_CONTENT_TYPES,
+    formatDealFeed
+};
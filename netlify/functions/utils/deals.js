@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+const { getStore } = require('./store');
+const { getDestinationByCode, normalizeDestination } = require('./destinations');
+
+// Curated deals published by the operators, one record per deal keyed by its ID:
+// { id, title, origin_airport, destination: { name, code, airports, country_code, region }, price,
+//   currency, travel_class, travel_dates: { from, to }, airline, blurb, url, expires_at,
+//   published_at, updated_at }
+// Each record is stored with a TTL ending at its expiry, and reads skip anything past it,
+// so an expired deal leaves every feed on time even before the store gets round to deleting it.
+const DEALS_NAMESPACE = 'deals';
+
+function createDealId() {
+    return `deal_${crypto.randomBytes(8).toString('hex')}`;
+}
+
+// Create a deal, or replace the one with `fields.id`; returns the record, or null when that ID does not exist.
+// `fields` is the validated 'deal' request.
+async function saveDeal(fields) {
+    const store = getStore(DEALS_NAMESPACE);
+    const existing = fields.id ? await store.get(fields.id) : null;
+    if (fields.id && !existing) return null;
+
+    // Prefer the airport code given, fall back to matching the free text
+    const destination = (fields.destination_code && getDestinationByCode(fields.destination_code)) ||
+        normalizeDestination(fields.destination);
+    const now = new Date().toISOString();
+
+    const deal = {
+        id: existing ? existing.id : createDealId(),
+        title: fields.title || null,
+        origin_airport: fields.origin_airport,
+        destination: {
+            name: destination.displayName,
+            code: destination.code,
+            airports: destination.airports,
+            country_code: destination.countryCode,
+            region: destination.region
+        },
+        price: fields.price,
+        currency: 'USD',
+        travel_class: fields.travel_class,
+        travel_dates: {
+            from: fields.travel_from,
+            to: fields.travel_to || fields.travel_from
+        },
+        airline: fields.airline || null,
+        blurb: fields.blurb,
+        url: fields.url || null,
+        expires_at: fields.expires_at,
+        published_at: existing ? existing.published_at : now,
+        updated_at: now
+    };
+    deal.title = deal.title || getDealTitle(deal);
+
+    const ttlSeconds = Math.max(1, Math.ceil((Date.parse(deal.expires_at) - Date.now()) / 1000));
+    await store.set(deal.id, deal, { ttlSeconds });
+    return deal;
+}
+
+async function getDeal(id) {
+    const deal = await getStore(DEALS_NAMESPACE).get(id);
+    return deal && !isExpired(deal) ? deal : null;
+}
+
+// Returns whether there was a deal to delete
+async function deleteDeal(id) {
+    const store = getStore(DEALS_NAMESPACE);
+    const deal = await store.get(id);
+    if (!deal) return false;
+
+    await store.delete(id);
+    return true;
+}
+
+// Live deals, newest first. `filters` is { region, departureAirport }.
+async function listDeals(filters = {}) {
+    const store = getStore(DEALS_NAMESPACE);
+    const keys = await store.list();
+    const deals = await Promise.all(keys.map((key) => store.get(key)));
+
+    return deals
+        .filter((deal) => deal && !isExpired(deal))
+        .filter((deal) => !filters.region || deal.destination.region === filters.region)
+        .filter((deal) => !filters.departureAirport || deal.origin_airport === filters.departureAirport)
+        .sort((a, b) => b.published_at.localeCompare(a.published_at));
+}
+
+function isExpired(deal, now = Date.now()) {
+    return Date.parse(deal.expires_at) <= now;
+}
+
+// Helper function to write the headline when the operator did not: "Nueva York (JFK) → Madrid, España desde $450"
+function getDealTitle(deal) {
+    return `Nueva York (${deal.origin_airport}) → ${deal.destination.name} desde $${Math.round(deal.price)}`;
+}
+
+module.exports = {
+    DEALS_NAMESPACE,
+    deleteDeal,
+    getDeal,
+    listDeals,
+    saveDeal
+};
@@ -0,0 +1,314 @@
+// Canonical destination catalog shared by every handler.
+// `code` is the IATA metropolitan code when a city has several airports, otherwise the airport code.
+
+const REGIONS = ['latin_america', 'europe', 'asia', 'middle_east_africa', 'oceania', 'other'];
+const POPULARITY_TIERS = ['tier1_high', 'tier2_medium', 'tier3_aspirational'];
+
+const COUNTRIES = {
+    DO: { es: 'República Dominicana', en: 'Dominican Republic', aliases: ['dominicana', 'rep dom', 'rd'] },
+    PR: { es: 'Puerto Rico', en: 'Puerto Rico', aliases: [] },
+    CU: { es: 'Cuba', en: 'Cuba', aliases: [] },
+    JM: { es: 'Jamaica', en: 'Jamaica', aliases: [] },
+    MX: { es: 'México', en: 'Mexico', aliases: [] },
+    GT: { es: 'Guatemala', en: 'Guatemala', aliases: [] },
+    SV: { es: 'El Salvador', en: 'El Salvador', aliases: [] },
+    HN: { es: 'Honduras', en: 'Honduras', aliases: [] },
+    NI: { es: 'Nicaragua', en: 'Nicaragua', aliases: [] },
+    CR: { es: 'Costa Rica', en: 'Costa Rica', aliases: [] },
+    PA: { es: 'Panamá', en: 'Panama', aliases: [] },
+    CO: { es: 'Colombia', en: 'Colombia', aliases: [] },
+    VE: { es: 'Venezuela', en: 'Venezuela', aliases: [] },
+    EC: { es: 'Ecuador', en: 'Ecuador', aliases: [] },
+    PE: { es: 'Perú', en: 'Peru', aliases: [] },
+    BO: { es: 'Bolivia', en: 'Bolivia', aliases: [] },
+    CL: { es: 'Chile', en: 'Chile', aliases: [] },
+    AR: { es: 'Argentina', en: 'Argentina', aliases: [] },
+    UY: { es: 'Uruguay', en: 'Uruguay', aliases: [] },
+    BR: { es: 'Brasil', en: 'Brazil', aliases: [] },
+    ES: { es: 'España', en: 'Spain', aliases: [] },
+    PT: { es: 'Portugal', en: 'Portugal', aliases: [] },
+    FR: { es: 'Francia', en: 'France', aliases: [] },
+    GB: { es: 'Reino Unido', en: 'United Kingdom', aliases: ['inglaterra', 'england', 'uk', 'gran bretana', 'great britain'] },
+    IT: { es: 'Italia', en: 'Italy', aliases: [] },
+    DE: { es: 'Alemania', en: 'Germany', aliases: [] },
+    NL: { es: 'Países Bajos', en: 'Netherlands', aliases: ['holanda', 'holland'] },
+    GR: { es: 'Grecia', en: 'Greece', aliases: [] },
+    TR: { es: 'Turquía', en: 'Turkey', aliases: ['turkiye'] },
+    AE: { es: 'Emiratos Árabes Unidos', en: 'United Arab Emirates', aliases: ['eau', 'uae', 'emiratos'] },
+    EG: { es: 'Egipto', en: 'Egypt', aliases: [] },
+    MA: { es: 'Marruecos', en: 'Morocco', aliases: [] },
+    NG: { es: 'Nigeria', en: 'Nigeria', aliases: [] },
+    ZA: { es: 'Sudáfrica', en: 'South Africa', aliases: [] },
+    JP: { es: 'Japón', en: 'Japan', aliases: [] },
+    KR: { es: 'Corea del Sur', en: 'South Korea', aliases: ['corea', 'korea'] },
+    CN: { es: 'China', en: 'China', aliases: [] },
+    IN: { es: 'India', en: 'India', aliases: [] },
+    TH: { es: 'Tailandia', en: 'Thailand', aliases: [] },
+    SG: { es: 'Singapur', en: 'Singapore', aliases: [] },
+    PH: { es: 'Filipinas', en: 'Philippines', aliases: [] },
+    ID: { es: 'Indonesia', en: 'Indonesia', aliases: [] },
+    AU: { es: 'Australia', en: 'Australia', aliases: [] },
+    NZ: { es: 'Nueva Zelanda', en: 'New Zealand', aliases: [] }
+};
+
+// Cities are listed most popular first within each country: a country-only search resolves to the first one.
+const DESTINATIONS = [
+    // Caribbean
+    { code: 'SDQ', city: 'Santo Domingo', cityEn: 'Santo Domingo', country: 'DO', airports: ['SDQ'], region: 'latin_america', popularity: 'tier1_high', aliases: [] },
+    { code: 'PUJ', city: 'Punta Cana', cityEn: 'Punta Cana', country: 'DO', airports: ['PUJ'], region: 'latin_america', popularity: 'tier1_high', aliases: ['bavaro'] },
+    { code: 'STI', city: 'Santiago de los Caballeros', cityEn: 'Santiago de los Caballeros', country: 'DO', airports: ['STI'], region: 'latin_america', popularity: 'tier1_high', aliases: ['santiago rd', 'santiago dominicana'] },
+    { code: 'POP', city: 'Puerto Plata', cityEn: 'Puerto Plata', country: 'DO', airports: ['POP'], region: 'latin_america', popularity: 'tier1_high', aliases: [] },
+    { code: 'SJU', city: 'San Juan', cityEn: 'San Juan', country: 'PR', airports: ['SJU'], region: 'latin_america', popularity: 'tier1_high', aliases: [] },
+    { code: 'HAV', city: 'La Habana', cityEn: 'Havana', country: 'CU', airports: ['HAV'], region: 'latin_america', popularity: 'tier2_medium', aliases: ['habana'] },
+    { code: 'MBJ', city: 'Montego Bay', cityEn: 'Montego Bay', country: 'JM', airports: ['MBJ'], region: 'latin_america', popularity: 'tier2_medium', aliases: [] },
+    // Mexico & Central America
+    { code: 'MEX', city: 'Ciudad de México', cityEn: 'Mexico City', country: 'MX', airports: ['MEX', 'NLU'], region: 'latin_america', popularity: 'tier1_high', aliases: ['cdmx', 'df', 'mexico df'] },
+    { code: 'CUN', city: 'Cancún', cityEn: 'Cancun', country: 'MX', airports: ['CUN'], region: 'latin_america', popularity: 'tier1_high', aliases: ['riviera maya'] },
+    { code: 'GDL', city: 'Guadalajara', cityEn: 'Guadalajara', country: 'MX', airports: ['GDL'], region: 'latin_america', popularity: 'tier1_high', aliases: [] },
+    { code: 'PBC', city: 'Puebla', cityEn: 'Puebla', country: 'MX', airports: ['PBC'], region: 'latin_america', popularity: 'tier1_high', aliases: [] },
+    { code: 'GUA', city: 'Ciudad de Guatemala', cityEn: 'Guatemala City', country: 'GT', airports: ['GUA'], region: 'latin_america', popularity: 'tier2_medium', aliases: ['guatemala city'] },
+    { code: 'SAL', city: 'San Salvador', cityEn: 'San Salvador', country: 'SV', airports: ['SAL'], region: 'latin_america', popularity: 'tier2_medium', aliases: [] },
+    { code: 'SAP', city: 'San Pedro Sula', cityEn: 'San Pedro Sula', country: 'HN', airports: ['SAP'], region: 'latin_america', popularity: 'tier2_medium', aliases: [] },
+    { code: 'TGU', city: 'Tegucigalpa', cityEn: 'Tegucigalpa', country: 'HN', airports: ['XPL', 'TGU'], region: 'latin_america', popularity: 'tier2_medium', aliases: [] },
+    { code: 'MGA', city: 'Managua', cityEn: 'Managua', country: 'NI', airports: ['MGA'], region: 'latin_america', popularity: 'tier2_medium', aliases: [] },
+    { code: 'SJO', city: 'San José', cityEn: 'San Jose', country: 'CR', airports: ['SJO'], region: 'latin_america', popularity: 'tier2_medium', aliases: [] },
+    { code: 'PTY', city: 'Ciudad de Panamá', cityEn: 'Panama City', country: 'PA', airports: ['PTY'], region: 'latin_america', popularity: 'tier2_medium', aliases: ['panama city'] },
+    // South America
+    { code: 'BOG', city: 'Bogotá', cityEn: 'Bogota', country: 'CO', airports: ['BOG'], region: 'latin_america', popularity: 'tier1_high', aliases: [] },
+    { code: 'MDE', city: 'Medellín', cityEn: 'Medellin', country: 'CO', airports: ['MDE'], region: 'latin_america', popularity: 'tier1_high', aliases: [] },
+    { code: 'CTG', city: 'Cartagena', cityEn: 'Cartagena', country: 'CO', airports: ['CTG'], region: 'latin_america', popularity: 'tier1_high', aliases: ['cartagena de indias'] },
+    { code: 'CLO', city: 'Cali', cityEn: 'Cali', country: 'CO', airports: ['CLO'], region: 'latin_america', popularity: 'tier1_high', aliases: [] },
+    { code: 'BAQ', city: 'Barranquilla', cityEn: 'Barranquilla', country: 'CO', airports: ['BAQ'], region: 'latin_america', popularity: 'tier1_high', aliases: [] },
+    { code: 'CCS', city: 'Caracas', cityEn: 'Caracas', country: 'VE', airports: ['CCS'], region: 'latin_america', popularity: 'tier2_medium', aliases: [] },
+    { code: 'UIO', city: 'Quito', cityEn: 'Quito', country: 'EC', airports: ['UIO'], region: 'latin_america', popularity: 'tier2_medium', aliases: [] },
+    { code: 'GYE', city: 'Guayaquil', cityEn: 'Guayaquil', country: 'EC', airports: ['GYE'], region: 'latin_america', popularity: 'tier2_medium', aliases: [] },
+    { code: 'LIM', city: 'Lima', cityEn: 'Lima', country: 'PE', airports: ['LIM'], region: 'latin_america', popularity: 'tier2_medium', aliases: [] },
+    { code: 'CUZ', city: 'Cusco', cityEn: 'Cusco', country: 'PE', airports: ['CUZ'], region: 'latin_america', popularity: 'tier2_medium', aliases: ['cuzco', 'machu picchu'] },
+    { code: 'VVI', city: 'Santa Cruz de la Sierra', cityEn: 'Santa Cruz de la Sierra', country: 'BO', airports: ['VVI'], region: 'latin_america', popularity: 'tier2_medium', aliases: ['santa cruz bolivia'] },
+    { code: 'SCL', city: 'Santiago', cityEn: 'Santiago', country: 'CL', airports: ['SCL'], region: 'latin_america', popularity: 'tier2_medium', aliases: ['santiago de chile'] },
+    { code: 'BUE', city: 'Buenos Aires', cityEn: 'Buenos Aires', country: 'AR', airports: ['EZE', 'AEP'], region: 'latin_america', popularity: 'tier2_medium', aliases: [] },
+    { code: 'MVD', city: 'Montevideo', cityEn: 'Montevideo', country: 'UY', airports: ['MVD'], region: 'latin_america', popularity: 'tier2_medium', aliases: [] },
+    { code: 'SAO', city: 'São Paulo', cityEn: 'Sao Paulo', country: 'BR', airports: ['GRU', 'CGH'], region: 'latin_america', popularity: 'tier2_medium', aliases: ['sampa'] },
+    { code: 'RIO', city: 'Río de Janeiro', cityEn: 'Rio de Janeiro', country: 'BR', airports: ['GIG', 'SDU'], region: 'latin_america', popularity: 'tier2_medium', aliases: ['rio'] },
+    // Europe
+    { code: 'MAD', city: 'Madrid', cityEn: 'Madrid', country: 'ES', airports: ['MAD'], region: 'europe', popularity: 'tier1_high', aliases: [] },
+    { code: 'BCN', city: 'Barcelona', cityEn: 'Barcelona', country: 'ES', airports: ['BCN'], region: 'europe', popularity: 'tier1_high', aliases: [] },
+    { code: 'LIS', city: 'Lisboa', cityEn: 'Lisbon', country: 'PT', airports: ['LIS'], region: 'europe', popularity: 'tier2_medium', aliases: [] },
+    { code: 'PAR', city: 'París', cityEn: 'Paris', country: 'FR', airports: ['CDG', 'ORY'], region: 'europe', popularity: 'tier2_medium', aliases: [] },
+    { code: 'LON', city: 'Londres', cityEn: 'London', country: 'GB', airports: ['LHR', 'LGW', 'STN'], region: 'europe', popularity: 'tier2_medium', aliases: [] },
+    { code: 'ROM', city: 'Roma', cityEn: 'Rome', country: 'IT', airports: ['FCO'], region: 'europe', popularity: 'tier2_medium', aliases: [] },
+    { code: 'MIL', city: 'Milán', cityEn: 'Milan', country: 'IT', airports: ['MXP', 'LIN'], region: 'europe', popularity: 'tier2_medium', aliases: [] },
+    { code: 'AMS', city: 'Ámsterdam', cityEn: 'Amsterdam', country: 'NL', airports: ['AMS'], region: 'europe', popularity: 'tier2_medium', aliases: [] },
+    { code: 'FRA', city: 'Fráncfort', cityEn: 'Frankfurt', country: 'DE', airports: ['FRA'], region: 'europe', popularity: 'tier2_medium', aliases: ['frankfurt'] },
+    { code: 'ATH', city: 'Atenas', cityEn: 'Athens', country: 'GR', airports: ['ATH'], region: 'europe', popularity: 'tier2_medium', aliases: [] },
+    { code: 'IST', city: 'Estambul', cityEn: 'Istanbul', country: 'TR', airports: ['IST', 'SAW'], region: 'europe', popularity: 'tier2_medium', aliases: [] },
+    // Middle East & Africa
+    { code: 'DXB', city: 'Dubái', cityEn: 'Dubai', country: 'AE', airports: ['DXB'], region: 'middle_east_africa', popularity: 'tier3_aspirational', aliases: [] },
+    { code: 'CAI', city: 'El Cairo', cityEn: 'Cairo', country: 'EG', airports: ['CAI'], region: 'middle_east_africa', popularity: 'tier2_medium', aliases: ['cairo'] },
+    { code: 'CMN', city: 'Casablanca', cityEn: 'Casablanca', country: 'MA', airports: ['CMN'], region: 'middle_east_africa', popularity: 'tier2_medium', aliases: [] },
+    { code: 'LOS', city: 'Lagos', cityEn: 'Lagos', country: 'NG', airports: ['LOS'], region: 'middle_east_africa', popularity: 'tier2_medium', aliases: [] },
+    { code: 'CPT', city: 'Ciudad del Cabo', cityEn: 'Cape Town', country: 'ZA', airports: ['CPT'], region: 'middle_east_africa', popularity: 'tier3_aspirational', aliases: [] },
+    // Asia
+    { code: 'TYO', city: 'Tokio', cityEn: 'Tokyo', country: 'JP', airports: ['HND', 'NRT'], region: 'asia', popularity: 'tier3_aspirational', aliases: [] },
+    { code: 'SEL', city: 'Seúl', cityEn: 'Seoul', country: 'KR', airports: ['ICN'], region: 'asia', popularity: 'tier2_medium', aliases: [] },
+    { code: 'PEK', city: 'Pekín', cityEn: 'Beijing', country: 'CN', airports: ['PEK', 'PKX'], region: 'asia', popularity: 'tier2_medium', aliases: ['beijing'] },
+    { code: 'BOM', city: 'Bombay', cityEn: 'Mumbai', country: 'IN', airports: ['BOM'], region: 'asia', popularity: 'tier2_medium', aliases: ['mumbai'] },
+    { code: 'DEL', city: 'Delhi', cityEn: 'Delhi', country: 'IN', airports: ['DEL'], region: 'asia', popularity: 'tier2_medium', aliases: ['nueva delhi', 'new delhi'] },
+    { code: 'BKK', city: 'Bangkok', cityEn: 'Bangkok', country: 'TH', airports: ['BKK'], region: 'asia', popularity: 'tier3_aspirational', aliases: [] },
+    { code: 'SIN', city: 'Singapur', cityEn: 'Singapore', country: 'SG', airports: ['SIN'], region: 'asia', popularity: 'tier2_medium', aliases: [] },
+    { code: 'MNL', city: 'Manila', cityEn: 'Manila', country: 'PH', airports: ['MNL'], region: 'asia', popularity: 'tier2_medium', aliases: [] },
+    { code: 'JKT', city: 'Yakarta', cityEn: 'Jakarta', country: 'ID', airports: ['CGK'], region: 'asia', popularity: 'tier2_medium', aliases: ['jakarta'] },
+    // Oceania
+    { code: 'SYD', city: 'Sídney', cityEn: 'Sydney', country: 'AU', airports: ['SYD'], region: 'oceania', popularity: 'tier3_aspirational', aliases: [] },
+    { code: 'MEL', city: 'Melbourne', cityEn: 'Melbourne', country: 'AU', airports: ['MEL'], region: 'oceania', popularity: 'tier3_aspirational', aliases: [] },
+    { code: 'AKL', city: 'Auckland', cityEn: 'Auckland', country: 'NZ', airports: ['AKL'], region: 'oceania', popularity: 'tier3_aspirational', aliases: [] }
+];
+
+// Suggestions shown before the user types anything (mirrors the homepage destination cards)
+const FEATURED_CODES = ['SDQ', 'PUJ', 'BOG', 'MDE', 'MEX', 'CUN', 'MAD', 'PAR', 'LON', 'TYO'];
+
+// Lookup tables built once per cold start
+const cityIndex = new Map();
+const airportIndex = new Map();
+const countryIndex = new Map();
+
+DESTINATIONS.forEach((destination) => {
+    [destination.city, destination.cityEn, ...destination.aliases].forEach((name) => {
+        const key = normalizeText(name);
+        if (!cityIndex.has(key)) cityIndex.set(key, destination);
+    });
+    [destination.code, ...destination.airports].forEach((code) => {
+        if (!airportIndex.has(code)) airportIndex.set(code, destination);
+    });
+});
+
+Object.keys(COUNTRIES).forEach((countryCode) => {
+    const country = COUNTRIES[countryCode];
+    const primary = DESTINATIONS.find((destination) => destination.country === countryCode);
+    if (!primary) return;
+    [country.es, country.en, ...country.aliases].forEach((name) => {
+        countryIndex.set(normalizeText(name), primary);
+    });
+});
+
+// Longest names first so "santiago de chile" wins over "santiago"
+const cityNamesBySize = Array.from(cityIndex.keys()).sort((a, b) => b.length - a.length);
+const countryNamesBySize = Array.from(countryIndex.keys()).sort((a, b) => b.length - a.length);
+
+// Helper function to lowercase, strip accents and punctuation
+function normalizeText(text) {
+    return String(text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+// Helper function to check whether a name appears as whole words inside a text
+function containsWords(text, words) {
+    return ` ${text} `.includes(` ${words} `);
+}
+
+// Resolve free text ("Santo Domingo, República Dominicana", "bogota", "CDG") into a catalog record
+function normalizeDestination(input) {
+    const raw = String(input || '').trim();
+    const text = normalizeText(raw);
+
+    if (!text) return buildRecord(null, raw, 'none');
+
+    // Exact IATA code typed by the user or submitted by the autocomplete
+    if (/^[A-Za-z]{3}$/.test(raw) && airportIndex.has(raw.toUpperCase())) {
+        return buildRecord(airportIndex.get(raw.toUpperCase()), raw, 'airport');
+    }
+
+    // "City, Country" - try each comma separated part as an exact city name, city first
+    const parts = raw.split(',').map(normalizeText).filter(Boolean);
+    for (const part of parts) {
+        if (cityIndex.has(part)) {
+            const destination = cityIndex.get(part);
+            // "Santiago, Chile" vs "Santiago de los Caballeros": prefer a city in the named country
+            const inCountry = findCityInCountry(part, parts);
+            return buildRecord(inCountry || destination, raw, 'city');
+        }
+    }
+
+    // City name mentioned somewhere in the text
+    const cityName = cityNamesBySize.find((name) => containsWords(text, name));
+    if (cityName) return buildRecord(cityIndex.get(cityName), raw, 'city');
+
+    // Only a country: fall back to its most popular city
+    const countryName = countryNamesBySize.find((name) => containsWords(text, name));
+    if (countryName) return buildRecord(countryIndex.get(countryName), raw, 'country');
+
+    return buildRecord(null, raw, 'none');
+}
+
+// Look up a catalog record by destination or airport code (as submitted by the autocomplete)
+function getDestinationByCode(code) {
+    const key = String(code || '').trim().toUpperCase();
+    if (!airportIndex.has(key)) return null;
+    return buildRecord(airportIndex.get(key), key, 'code');
+}
+
+// Ranked, accent-insensitive suggestions for the autocomplete
+function searchDestinations(query, limit = 8) {
+    const text = normalizeText(query);
+    const tierRank = (destination) => POPULARITY_TIERS.indexOf(destination.popularity);
+
+    if (!text) {
+        return FEATURED_CODES
+            .slice(0, limit)
+            .map((code) => buildRecord(airportIndex.get(code), '', 'featured'));
+    }
+
+    const scored = [];
+
+    DESTINATIONS.forEach((destination, position) => {
+        const score = scoreDestination(destination, text);
+        if (score > 0) scored.push({ destination, score, position });
+    });
+
+    return scored
+        .sort((a, b) => b.score - a.score ||
+            tierRank(a.destination) - tierRank(b.destination) ||
+            a.position - b.position)
+        .slice(0, limit)
+        .map((entry) => buildRecord(entry.destination, query, 'search'));
+}
+
+// Helper function to score how well a destination matches a normalized query
+function scoreDestination(destination, text) {
+    const country = COUNTRIES[destination.country];
+    const cityNames = [destination.city, destination.cityEn, ...destination.aliases].map(normalizeText);
+    const countryNames = [country.es, country.en, ...country.aliases].map(normalizeText);
+    const codes = [destination.code, ...destination.airports].map((code) => code.toLowerCase());
+
+    if (codes.includes(text)) return 100;
+    if (cityNames.includes(text)) return 90;
+    if (cityNames.some((name) => name.startsWith(text))) return 80;
+    if (cityNames.some((name) => name.split(' ').some((word) => word.startsWith(text)))) return 60;
+    if (countryNames.some((name) => name.startsWith(text))) return 40;
+    if (cityNames.some((name) => name.includes(text))) return 20;
+    return 0;
+}
+
+// Helper function to disambiguate a city name using a country mentioned alongside it
+function findCityInCountry(cityName, parts) {
+    const countryName = parts.find((part) => countryIndex.has(part));
+    if (!countryName) return null;
+
+    const countryCode = countryIndex.get(countryName).country;
+    return DESTINATIONS.find((destination) => destination.country === countryCode &&
+        [destination.city, destination.cityEn, ...destination.aliases].some((name) => normalizeText(name) === cityName)) || null;
+}
+
+// Helper function to shape the structured record handed to the handlers
+function buildRecord(destination, input, matchType) {
+    if (!destination) {
+        return {
+            matched: false,
+            matchType: matchType,
+            input: input,
+            code: 'OTHER',
+            city: null,
+            cityEn: null,
+            country: null,
+            countryEn: null,
+            countryCode: null,
+            airports: [],
+            region: 'other',
+            popularity: 'tier2_medium',
+            displayName: input
+        };
+    }
+
+    const country = COUNTRIES[destination.country];
+
+    return {
+        matched: true,
+        matchType: matchType,
+        input: input,
+        code: destination.code,
+        city: destination.city,
+        cityEn: destination.cityEn,
+        country: country.es,
+        countryEn: country.en,
+        countryCode: destination.country,
+        airports: destination.airports.slice(),
+        region: destination.region,
+        popularity: destination.popularity,
+        displayName: `${destination.city}, ${country.es}`
+    };
+}
+
+module.exports = {
+    DESTINATIONS,
+    COUNTRIES,
+    REGIONS,
+    POPULARITY_TIERS,
+    normalizeDestination,
+    getDestinationByCode,
+    searchDestinations,
+    normalizeText
+};
@@ -0,0 +1,140 @@
+const { ApiRateLimitError, ApiUnavailableError, ApiValidationError } = require('./api-client');
+const { enqueueOutbox } = require('./outbox');
+const { createKlaviyoProvider } = require('./email-providers/klaviyo');
+const { createBrevoProvider } = require('./email-providers/brevo');
+const { createWebhookProvider } = require('./email-providers/webhook');
+
+// Email service provider interface used by the signup flow and the fare monitor.
+//
+// A provider is { name, upsertContact, addToList, subscribeSms, trackEvent, unsubscribe, getContact, deleteContact },
+// each taking one object:
+//   upsertContact({ email, phone, properties }) -> resolves to the provider's contact ID (phone in E.164, optional)
+//                                                  merging into an existing contact by the rules in profile-merge.js
+//   addToList({ email, source })                -> email marketing consent + the configured list
+//   subscribeSms({ email, phone, source })      -> SMS marketing consent for the phone number
+//   trackEvent({ email, name, properties })     -> event that triggers the provider's automations
+//   unsubscribe({ email })
+//   getContact({ email })                       -> everything the provider holds on the contact, or null
+//   deleteContact({ email })                    -> erase the contact (data-subject deletion requests)
+// and throwing the api-client errors (ApiValidationError, ApiRateLimitError, ApiUnavailableError).
+//
+// EMAIL_PROVIDER picks the adapter (klaviyo by default). A comma-separated list such as
+// "klaviyo,brevo" dual-writes during a migration: the first provider answers the request, the
+// others get the same writes and their failures are queued in the outbox instead of failing signups.
+// Reads (getContact) only go to the primary.
+const PROVIDERS = {
+    klaviyo: createKlaviyoProvider,
+    brevo: createBrevoProvider,
+    webhook: createWebhookProvider
+};
+
+const METHODS = ['upsertContact', 'addToList', 'subscribeSms', 'trackEvent', 'unsubscribe', 'deleteContact'];
+
+// Returns the configured provider, or null when its configuration is missing.
+// `options` is { context, timeBudgetMs }, passed through to the HTTP client.
+function createEmailProvider(options = {}) {
+    const names = (process.env.EMAIL_PROVIDER || 'klaviyo')
+        .split(',')
+        .map((name) => name.trim().toLowerCase())
+        .filter(Boolean);
+
+    let providers;
+    try {
+        providers = names.map((name) => createNamedProvider(name, options));
+    } catch (error) {
+        console.error(`Email provider configuration error: ${error.message}`);
+        return null;
+    }
+
+    return providers.length === 1
+        ? providers[0]
+        : createMirroredProvider(providers[0], providers.slice(1));
+}
+
+function createNamedProvider(name, options) {
+    const factory = PROVIDERS[name];
+    if (!factory) throw new Error(`Unknown email provider: ${name}`);
+    return factory(options);
+}
+
+// Helper function to fan every call out from the primary provider to the mirrors
+function createMirroredProvider(primary, mirrors) {
+    const provider = {
+        name: [primary.name].concat(mirrors.map((mirror) => mirror.name)).join('+'),
+        getContact: (input) => primary.getContact(input)
+    };
+
+    METHODS.forEach((method) => {
+        provider[method] = async (input) => {
+            const result = await primary[method](input);
+
+            await Promise.all(mirrors.map(async (mirror) => {
+                try {
+                    await mirror[method](input);
+                } catch (error) {
+                    console.warn(`Warning: Mirrored ${mirror.name}.${method} failed: ${error.message}`);
+                    await enqueueOutbox('mirror', { provider: mirror.name, method, input }, {
+                        error,
+                        deadLetter: isPermanentError(error)
+                    });
+                }
+            }));
+
+            return result;
+        };
+    });
+
+    return provider;
+}
+
+// Replay a mirrored call against the one provider that missed it
+async function resumeMirror(payload, options = {}) {
+    try {
+        const provider = createNamedProvider(payload.provider, options);
+        await provider[payload.method](payload.input);
+        return { payload: null };
+    } catch (error) {
+        return { payload, error, permanent: isPermanentError(error) };
+    }
+}
+
+// Whether retrying the call can ever succeed
+function isPermanentError(error) {
+    return error instanceof ApiValidationError;
+}
+
+// Helper function to map a provider error to the response we send back to the browser
+function getEmailErrorResponse(error) {
+    if (error instanceof ApiValidationError) {
+        return {
+            statusCode: 400,
+            headers: {},
+            error: 'Invalid subscriber data'
+        };
+    }
+
+    if (error instanceof ApiRateLimitError) {
+        return {
+            statusCode: 429,
+            headers: { 'Retry-After': String(error.retryAfterSeconds) },
+            error: 'Too many requests, please try again shortly'
+        };
+    }
+
+    if (error instanceof ApiUnavailableError) {
+        return {
+            statusCode: 503,
+            headers: { 'Retry-After': String(error.retryAfterSeconds) },
+            error: 'Email service temporarily unavailable'
+        };
+    }
+
+    return null;
+}
+
+module.exports = {
+    createEmailProvider,
+    getEmailErrorResponse,
+    isPermanentError,
+    resumeMirror
+};
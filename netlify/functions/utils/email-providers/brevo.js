@@ -0,0 +1,143 @@
+const { ApiError, createApiClient } = require('../api-client');
+const { mergeProfileProperties } = require('../profile-merge');
+
+// Brevo (formerly Sendinblue) v3 API. Contact attributes are flat and have to exist in the
+// Brevo account under their UPPERCASE names; list values are joined, nested values are skipped.
+const BREVO_HOSTNAME = 'api.brevo.com';
+
+function createBrevoProvider(options = {}) {
+    const apiKey = process.env.BREVO_API_KEY;
+    const listId = Number(process.env.BREVO_LIST_ID);
+
+    if (!apiKey || !listId) {
+        throw new Error('Missing BREVO_API_KEY / BREVO_LIST_ID configuration');
+    }
+
+    const client = createApiClient({
+        service: 'Brevo',
+        hostname: BREVO_HOSTNAME,
+        basePath: '/v3',
+        headers: { 'api-key': apiKey },
+        context: options.context,
+        timeBudgetMs: options.timeBudgetMs,
+        getErrorDetail: (data) => (data && data.message) || null
+    });
+
+    const provider = {
+        name: 'brevo',
+
+        // 201 with an id for new contacts, 204 when an existing one was updated.
+        // The existing contact is read first so its attributes merge (see profile-merge.js).
+        async upsertContact({ email, phone, properties }) {
+            const existing = await provider.getContact({ email });
+            const attributes = toBrevoAttributes(mergeProfileProperties(
+                existing ? fromBrevoAttributes(existing.attributes) : {},
+                properties
+            ));
+            if (phone) attributes.SMS = phone;
+
+            const response = await client.request('POST', '/contacts', {
+                email,
+                attributes,
+                updateEnabled: true
+            });
+            return response.data && response.data.id ? String(response.data.id) : email;
+        },
+
+        // Upserting with listIds is idempotent, unlike the "add to list" endpoint
+        async addToList({ email }) {
+            await client.request('POST', '/contacts', {
+                email,
+                listIds: [listId],
+                emailBlacklisted: false,
+                updateEnabled: true
+            });
+        },
+
+        // SMS is Brevo's built-in phone attribute; clearing smsBlacklisted opts the contact in
+        async subscribeSms({ email, phone }) {
+            await client.request('POST', '/contacts', {
+                email,
+                attributes: { SMS: phone },
+                listIds: [listId],
+                smsBlacklisted: false,
+                updateEnabled: true
+            });
+        },
+
+        async trackEvent({ email, name, properties }) {
+            await client.request('POST', '/events', {
+                event_name: name,
+                identifiers: { email_id: email },
+                event_properties: properties
+            });
+        },
+
+        async unsubscribe({ email }) {
+            await client.request('PUT', `/contacts/${encodeURIComponent(email)}`, {
+                emailBlacklisted: true,
+                unlinkListIds: [listId]
+            });
+        },
+
+        async getContact({ email }) {
+            try {
+                const response = await client.request('GET', `/contacts/${encodeURIComponent(email)}`);
+                return response.data;
+            } catch (error) {
+                if (isNotFound(error)) return null;
+                throw error;
+            }
+        },
+
+        // Deleting a contact that is already gone counts as done
+        async deleteContact({ email }) {
+            try {
+                await client.request('DELETE', `/contacts/${encodeURIComponent(email)}`);
+            } catch (error) {
+                if (!isNotFound(error)) throw error;
+            }
+        }
+    };
+
+    return provider;
+}
+
+function isNotFound(error) {
+    return error instanceof ApiError && error.statusCode === 404;
+}
+
+// Helper function to flatten our profile properties into Brevo contact attributes
+function toBrevoAttributes(properties = {}) {
+    const attributes = {};
+
+    Object.entries(properties).forEach(([key, value]) => {
+        if (value === null || value === undefined) return;
+
+        if (Array.isArray(value)) {
+            if (value.some((item) => typeof item === 'object')) return;
+            attributes[key.toUpperCase()] = value.join(', ');
+        } else if (typeof value !== 'object') {
+            attributes[key.toUpperCase()] = value;
+        }
+    });
+
+    return attributes;
+}
+
+// Helper function to read Brevo attributes back under our property names (lists stay joined strings)
+function fromBrevoAttributes(attributes = {}) {
+    const properties = {};
+
+    Object.entries(attributes).forEach(([key, value]) => {
+        properties[key.toLowerCase()] = value;
+    });
+
+    return properties;
+}
+
+module.exports = {
+    createBrevoProvider,
+    fromBrevoAttributes,
+    toBrevoAttributes
+};
@@ -0,0 +1,47 @@
+const {
+    createKlaviyoClient,
+    getProfileByEmail,
+    requestProfileDeletion,
+    subscribeProfile,
+    subscribeProfileSms,
+    trackEvent,
+    unsubscribeProfile,
+    upsertProfile
+} = require('../klaviyo');
+
+// Klaviyo: profiles, one marketing list (KLAVIYO_LIST_ID) and metric events that drive the flows
+function createKlaviyoProvider(options = {}) {
+    const apiKey = process.env.KLAVIYO_API_KEY;
+    const listId = process.env.KLAVIYO_LIST_ID;
+
+    if (!apiKey || !listId) {
+        throw new Error('Missing KLAVIYO_API_KEY / KLAVIYO_LIST_ID configuration');
+    }
+
+    const client = createKlaviyoClient(apiKey, options);
+
+    return {
+        name: 'klaviyo',
+
+        // phone_number is a standard Klaviyo attribute, not a custom property
+        upsertContact: ({ email, phone, properties }) => upsertProfile(client, phone
+            ? { email, phone_number: phone, properties }
+            : { email, properties }),
+
+        addToList: ({ email, source }) => subscribeProfile(client, { email, listId, source }),
+
+        subscribeSms: ({ email, phone, source }) => subscribeProfileSms(client, { email, phone, listId, source }),
+
+        trackEvent: ({ email, name, properties }) => trackEvent(client, email, name, properties),
+
+        unsubscribe: ({ email }) => unsubscribeProfile(client, { email, listId }),
+
+        getContact: ({ email }) => getProfileByEmail(client, email),
+
+        deleteContact: ({ email }) => requestProfileDeletion(client, email)
+    };
+}
+
+module.exports = {
+    createKlaviyoProvider
+};
@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+const { createApiClient } = require('../api-client');
+const { PROFILE_MERGE_RULES, mergeProfileProperties } = require('../profile-merge');
+
+// Generic signed webhook: every call is POSTed to ESP_WEBHOOK_URL as
+//   { id, type: 'contact.upserted' | 'list.subscribed' | 'sms.subscribed' | 'event.tracked' | 'contact.unsubscribed'
+//     | 'contact.export_requested' | 'contact.deleted', data, sent_at }
+// with X-Webhook-Timestamp and X-Webhook-Signature: sha256=HMAC(ESP_WEBHOOK_SECRET, "<timestamp>.<body>").
+// Receivers should reject stale timestamps and dedupe on `id`, also sent as the Idempotency-Key
+// header: a delivery that timed out is sent again with the same id. For 'contact.export_requested'
+// they answer with { contact } holding whatever they store for the email (or { contact: null }).
+// 'contact.upserted' carries `merge_rules` (see profile-merge.js): the receiver holds the existing
+// contact, so it applies them when the email is already known.
+function createWebhookProvider(options = {}) {
+    const webhookUrl = process.env.ESP_WEBHOOK_URL;
+    const secret = process.env.ESP_WEBHOOK_SECRET;
+
+    if (!webhookUrl || !secret) {
+        throw new Error('Missing ESP_WEBHOOK_URL / ESP_WEBHOOK_SECRET configuration');
+    }
+
+    const url = new URL(webhookUrl);
+    if (url.protocol !== 'https:') {
+        throw new Error('ESP_WEBHOOK_URL must use https');
+    }
+
+    const client = createApiClient({
+        service: 'Webhook',
+        hostname: url.hostname,
+        port: url.port || undefined,
+        basePath: `${url.pathname}${url.search}`,
+        context: options.context,
+        timeBudgetMs: options.timeBudgetMs,
+        idempotencyHeader: 'Idempotency-Key',
+        getErrorDetail: (data) => (data && (data.error || data.message)) || null
+    });
+
+    async function send(type, data) {
+        const id = `whk_${crypto.randomBytes(12).toString('hex')}`;
+        const body = JSON.stringify({
+            id,
+            type,
+            data,
+            sent_at: new Date().toISOString()
+        });
+        const timestamp = String(Math.floor(Date.now() / 1000));
+        const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+        return client.request('POST', '', body, {
+            'X-Webhook-Timestamp': timestamp,
+            'X-Webhook-Signature': `sha256=${signature}`
+        }, { idempotencyKey: id });
+    }
+
+    return {
+        name: 'webhook',
+
+        async upsertContact({ email, phone, properties }) {
+            const response = await send('contact.upserted', {
+                email,
+                phone: phone || null,
+                properties: mergeProfileProperties({}, properties),
+                merge_rules: PROFILE_MERGE_RULES
+            });
+            return (response.data && response.data.id) || email;
+        },
+
+        async addToList({ email, source }) {
+            await send('list.subscribed', { email, source });
+        },
+
+        async subscribeSms({ email, phone, source }) {
+            await send('sms.subscribed', { email, phone, source });
+        },
+
+        async trackEvent({ email, name, properties }) {
+            await send('event.tracked', { email, name, properties });
+        },
+
+        async unsubscribe({ email }) {
+            await send('contact.unsubscribed', { email });
+        },
+
+        async getContact({ email }) {
+            const response = await send('contact.export_requested', { email });
+            return (response.data && response.data.contact) || null;
+        },
+
+        async deleteContact({ email }) {
+            await send('contact.deleted', { email });
+        }
+    };
+}
+
+module.exports = {
+    createWebhookProvider
+};
@@ -0,0 +1,211 @@
+const crypto = require('crypto');
+const { listAllAlerts, updateAlert } = require('./alerts');
+const { getOriginAirports } = require('./fares');
+const { getStore } = require('./store');
+const { hashEmail } = require('./signing');
+const { getSearchWindow } = require('./travel-dates');
+const { createPreferencesUrl } = require('./preferences');
+const { buildPriceDropPush, sendPushToAlert } = require('./push');
+
+// Fares already sent to a subscriber are remembered for this long
+const NOTIFIED_NAMESPACE = 'price-drop-notifications';
+const NOTIFIED_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+// Stop picking up new alerts when less than this much of the run budget is left
+const RUN_MARGIN_MS = 3000;
+
+// Walk active alerts, look up fares and emit "Price Drop Detected" for fares at or under target.
+// Least recently checked alerts go first so a run that runs out of time picks up where it stopped.
+async function runFareMonitor({ provider, emailProvider, deadline }) {
+    const summary = { checked: 0, searches: 0, notified: 0, pushed: 0, push_removed: 0, skipped: 0, expired: 0, errors: 0 };
+    const searchCache = new Map();
+
+    const alerts = (await listAllAlerts())
+        .filter((alert) => alert.status === 'active' && alert.destination.airports.length)
+        .sort((a, b) => (a.last_checked_at || '').localeCompare(b.last_checked_at || ''));
+
+    for (const alert of alerts) {
+        if (Date.now() > deadline - RUN_MARGIN_MS) {
+            summary.skipped = alerts.length - summary.checked;
+            break;
+        }
+
+        try {
+            const query = buildFareQuery(alert);
+            const checkedAt = new Date().toISOString();
+
+            // The subscriber's travel dates are behind us; nothing left to search for
+            if (!query) {
+                await updateAlert(alert.email, alert.id, { last_checked_at: checkedAt });
+                summary.checked++;
+                summary.expired++;
+                continue;
+            }
+
+            const cacheKey = JSON.stringify(query);
+
+            // Alerts watching the same route share one provider call per run
+            if (!searchCache.has(cacheKey)) {
+                searchCache.set(cacheKey, provider.searchFares(query));
+                summary.searches++;
+            }
+
+            const fares = await searchCache.get(cacheKey);
+            const bestFare = fares
+                .filter((fare) => fare.price <= alert.target_price)
+                .sort((a, b) => a.price - b.price)[0];
+
+            if (bestFare && await claimNotification(alert, bestFare)) {
+                try {
+                    await emailProvider.trackEvent(buildPriceDropEvent(alert, bestFare));
+                } catch (eventError) {
+                    // Let the next run try again instead of silently dropping the deal
+                    await releaseNotification(alert, bestFare);
+                    throw eventError;
+                }
+
+                // Browsers that turned on notifications for this alert; best effort on top of the email
+                const push = await sendPushToAlert(alert, buildPriceDropPush(alert, bestFare));
+                summary.pushed += push.sent;
+                summary.push_removed += push.removed;
+
+                await updateAlert(alert.email, alert.id, {
+                    last_checked_at: checkedAt,
+                    last_notified_at: checkedAt,
+                    last_notified_price: bestFare.price
+                });
+                summary.notified++;
+            } else {
+                await updateAlert(alert.email, alert.id, { last_checked_at: checkedAt });
+            }
+
+            summary.checked++;
+        } catch (error) {
+            console.error(`Fare check failed for alert ${alert.id}:`, error.message);
+            summary.checked++;
+            summary.errors++;
+        }
+    }
+
+    return summary;
+}
+
+// Helper function to translate an alert into a provider query (null when its dates have passed)
+function buildFareQuery(alert) {
+    const window = getSearchWindow(alert);
+    if (!window) return null;
+
+    return {
+        origins: getOriginAirports(alert.departure_airport),
+        destinations: alert.destination.airports,
+        departureFrom: window.departure_from,
+        departureTo: window.departure_to,
+        returnFrom: window.return_from || undefined,
+        returnTo: window.return_to || undefined,
+        minNights: window.min_nights || undefined,
+        maxNights: window.max_nights || undefined,
+        cabin: alert.travel_class || 'economy',
+        currency: 'USD',
+        maxPrice: alert.target_price
+    };
+}
+
+function notificationKey(alert, fare) {
+    return `${hashEmail(alert.email)}/${getFareFingerprint(fare)}`;
+}
+
+// Record that this fare was sent to this subscriber; false when it already was
+async function claimNotification(alert, fare) {
+    const store = getStore(NOTIFIED_NAMESPACE);
+    const key = notificationKey(alert, fare);
+
+    if (await store.get(key)) return false;
+
+    await store.set(key, {
+        alert_id: alert.id,
+        price: fare.price,
+        notified_at: new Date().toISOString()
+    }, { ttlSeconds: NOTIFIED_TTL_SECONDS });
+
+    return true;
+}
+
+async function releaseNotification(alert, fare) {
+    await getStore(NOTIFIED_NAMESPACE).delete(notificationKey(alert, fare));
+}
+
+// Fares already sent to one subscriber (for data exports)
+async function listNotifications(email) {
+    const store = getStore(NOTIFIED_NAMESPACE);
+    const keys = await store.list(`${hashEmail(email)}/`);
+    return (await Promise.all(keys.map((key) => store.get(key)))).filter(Boolean);
+}
+
+async function deleteNotifications(email) {
+    const store = getStore(NOTIFIED_NAMESPACE);
+    const keys = await store.list(`${hashEmail(email)}/`);
+    await Promise.all(keys.map((key) => store.delete(key)));
+    return keys.length;
+}
+
+// Helper function to identify "the same fare" across runs and providers
+function getFareFingerprint(fare) {
+    return crypto.createHash('sha256')
+        .update([
+            fare.origin,
+            fare.destination,
+            fare.departure_date,
+            fare.return_date || '',
+            fare.carrier,
+            Math.round(fare.price)
+        ].join('|'))
+        .digest('hex')
+        .substring(0, 32);
+}
+
+// Helper function to build the event the price-drop automation sends from. The channel
+// flags let the flow branch to SMS/WhatsApp for alerts whose subscriber opted in to them.
+function buildPriceDropEvent(alert, fare) {
+    const channels = alert.channels || ['email'];
+
+    return {
+        email: alert.email,
+        name: 'Price Drop Detected',
+        properties: {
+            alert_id: alert.id,
+            alert_type: alert.type,
+            destination: alert.destination.name,
+            destination_code: alert.destination.code,
+            origin: fare.origin,
+            destination_airport: fare.destination,
+            route: `${fare.origin}-${fare.destination}`,
+            departure_date: fare.departure_date,
+            return_date: fare.return_date || null,
+            price: fare.price,
+            currency: fare.currency,
+            target_price: alert.target_price,
+            savings: Math.round(alert.target_price - fare.price),
+            airline: fare.carrier_name || fare.carrier,
+            airline_code: fare.carrier,
+            stops: fare.stops,
+            travel_class: alert.travel_class,
+            requested_departure_from: alert.travel_dates ? alert.travel_dates.departure_from : null,
+            requested_departure_to: alert.travel_dates ? alert.travel_dates.departure_to : null,
+            booking_url: fare.deep_link,
+            provider: fare.provider,
+            language: alert.language || 'es',
+            channels,
+            notify_sms: channels.includes('sms'),
+            notify_whatsapp: channels.includes('whatsapp'),
+            preferences_url: createPreferencesUrl(alert.email)
+        }
+    };
+}
+
+module.exports = {
+    buildFareQuery,
+    deleteNotifications,
+    getFareFingerprint,
+    listNotifications,
+    runFareMonitor
+};
@@ -0,0 +1,207 @@
+const { ApiUnavailableError, createApiClient } = require('../api-client');
+
+// Amadeus Self-Service Flight Offers Search. It only takes single dates, so the departure
+// window is sampled and every origin/destination/date combination becomes one call.
+// Those calls run one after another, so a search stops starting new ones close to the run deadline
+// and returns what it found so far.
+const DEFAULT_HOSTNAME = 'test.api.amadeus.com';
+const MAX_CALLS_PER_SEARCH = 6;
+const MAX_RESULTS_PER_CALL = 5;
+
+// A search with more routes than calls (a city with several airports, from all three NYC ones)
+// takes the next batch of them on every monitor run, which runs every 30 minutes (see netlify.toml)
+const ROUTE_ROTATION_MS = 30 * 60 * 1000;
+
+// No new call is started with less than this left before the deadline
+const MIN_CALL_TIME_MS = 3000;
+
+// Our travel_class values to Amadeus travelClass values
+const CABIN_CODES = {
+    economy: 'ECONOMY',
+    premium: 'PREMIUM_ECONOMY',
+    business: 'BUSINESS',
+    first: 'FIRST'
+};
+
+// OAuth token shared across invocations of a warm function instance
+let cachedToken = null;
+
+function createAmadeusProvider(options = {}) {
+    const clientId = process.env.AMADEUS_CLIENT_ID;
+    const clientSecret = process.env.AMADEUS_CLIENT_SECRET;
+    const deadline = options.deadline || null;
+
+    if (!clientId || !clientSecret) {
+        throw new Error('Missing AMADEUS_CLIENT_ID / AMADEUS_CLIENT_SECRET configuration');
+    }
+
+    const client = createApiClient({
+        service: 'Amadeus',
+        hostname: process.env.AMADEUS_HOSTNAME || DEFAULT_HOSTNAME,
+        deadline,
+        getErrorDetail: (data) => (data && data.errors && data.errors[0] && data.errors[0].detail) ||
+            (data && data.error_description) || null
+    });
+
+    const hasTimeForCall = () => !deadline || deadline - Date.now() >= MIN_CALL_TIME_MS;
+
+    return {
+        name: 'amadeus',
+
+        async searchFares(query) {
+            if (!hasTimeForCall()) {
+                throw new ApiUnavailableError('Amadeus search skipped: run deadline reached', { service: 'Amadeus' });
+            }
+
+            const token = await getAccessToken(client, clientId, clientSecret);
+            const routes = [];
+
+            query.origins.forEach((origin) => {
+                query.destinations.forEach((destination) => routes.push({ origin, destination }));
+            });
+
+            const batch = pickRouteBatch(routes, MAX_CALLS_PER_SEARCH, Date.now());
+            if (batch.length < routes.length) {
+                const skipped = routes.filter((route) => !batch.includes(route));
+                console.warn(`Amadeus search covers ${batch.length} of ${routes.length} routes this run, ` +
+                    `later runs take ${skipped.map((route) => `${route.origin}-${route.destination}`).join(', ')}`);
+            }
+
+            const dateCount = Math.max(1, Math.floor(MAX_CALLS_PER_SEARCH / batch.length));
+            const dates = sampleDates(query.departureFrom, query.departureTo, dateCount);
+            const calls = [];
+            batch.forEach((route) => {
+                dates.forEach((date) => calls.push({ route, date }));
+            });
+
+            const fares = [];
+
+            for (const [index, { route, date }] of calls.entries()) {
+                if (!hasTimeForCall()) {
+                    console.warn(`Amadeus search stopped at the run deadline, ${calls.length - index} of ${calls.length} calls skipped`);
+                    break;
+                }
+
+                const params = new URLSearchParams({
+                    originLocationCode: route.origin,
+                    destinationLocationCode: route.destination,
+                    departureDate: date,
+                    adults: '1',
+                    travelClass: CABIN_CODES[query.cabin] || CABIN_CODES.economy,
+                    currencyCode: query.currency || 'USD',
+                    max: String(MAX_RESULTS_PER_CALL)
+                });
+
+                const returnDate = getReturnDate(date, query);
+                if (returnDate) params.set('returnDate', returnDate);
+                if (query.maxPrice) params.set('maxPrice', String(Math.ceil(query.maxPrice)));
+
+                const response = await client.request('GET', `/v2/shopping/flight-offers?${params.toString()}`, null, {
+                    Authorization: `Bearer ${token}`
+                });
+
+                fares.push(...normalizeResponse(response.data, query.cabin));
+            }
+
+            return fares;
+        }
+    };
+}
+
+// Turn a flight-offers response into our fare shape
+function normalizeResponse(data, cabin) {
+    const carriers = (data.dictionaries && data.dictionaries.carriers) || {};
+
+    return (data.data || []).map((offer) => {
+        const outbound = offer.itineraries[0].segments;
+        const inbound = offer.itineraries[1] ? offer.itineraries[1].segments : null;
+        const first = outbound[0];
+        const last = outbound[outbound.length - 1];
+        const carrier = (offer.validatingAirlineCodes && offer.validatingAirlineCodes[0]) || first.carrierCode;
+        const departureDate = first.departure.at.substring(0, 10);
+
+        return {
+            provider: 'amadeus',
+            price: Number(offer.price.grandTotal || offer.price.total),
+            currency: offer.price.currency,
+            carrier: carrier,
+            carrier_name: carriers[carrier] ? titleCase(carriers[carrier]) : null,
+            stops: outbound.length - 1,
+            origin: first.departure.iataCode,
+            destination: last.arrival.iataCode,
+            departure_date: departureDate,
+            return_date: inbound ? inbound[0].departure.at.substring(0, 10) : null,
+            cabin: cabin || 'economy',
+            // Amadeus has no booking links; send people to a prefilled Google Flights search
+            deep_link: `https://www.google.com/travel/flights?q=${encodeURIComponent(`Flights from ${first.departure.iataCode} to ${last.arrival.iataCode} on ${departureDate}`)}`
+        };
+    });
+}
+
+// Helper function to fetch (or reuse) an OAuth client-credentials token
+async function getAccessToken(client, clientId, clientSecret) {
+    if (cachedToken && cachedToken.expiresAt > Date.now() + 60000) return cachedToken.value;
+
+    const response = await client.request('POST', '/v1/security/oauth2/token', new URLSearchParams({
+        grant_type: 'client_credentials',
+        client_id: clientId,
+        client_secret: clientSecret
+    }).toString(), { 'Content-Type': 'application/x-www-form-urlencoded' });
+
+    if (!response.data.access_token) {
+        throw new Error('Amadeus authentication failed: no access token in the response');
+    }
+
+    cachedToken = {
+        value: response.data.access_token,
+        expiresAt: Date.now() + response.data.expires_in * 1000
+    };
+
+    return cachedToken.value;
+}
+
+// Helper function to pick one return date: the trip length wins over the return range
+// since it keeps every sampled departure date a valid round trip
+function getReturnDate(departureDate, query) {
+    if (query.minNights) {
+        const date = new Date(`${departureDate}T00:00:00Z`);
+        date.setUTCDate(date.getUTCDate() + query.minNights);
+        return date.toISOString().substring(0, 10);
+    }
+    if (query.returnFrom && query.returnFrom > departureDate) return query.returnFrom;
+    return null;
+}
+
+// Helper function to pick the routes searched by the run at `now`: all of them when they fit,
+// otherwise consecutive batches of `size` in turn, so every route comes up every few runs
+function pickRouteBatch(routes, size, now) {
+    if (routes.length <= size) return routes;
+
+    const batchCount = Math.ceil(routes.length / size);
+    const start = (Math.floor(now / ROUTE_ROTATION_MS) % batchCount) * size;
+    return routes.slice(start, start + size);
+}
+
+// Helper function to pick `count` evenly spaced dates between two ISO dates
+function sampleDates(from, to, count) {
+    const start = Date.parse(`${from}T00:00:00Z`);
+    const end = Date.parse(`${to}T00:00:00Z`);
+    if (count <= 1 || end <= start) return [from];
+
+    const step = (end - start) / (count - 1);
+    const dates = [];
+    for (let i = 0; i < count; i++) {
+        dates.push(new Date(start + step * i).toISOString().substring(0, 10));
+    }
+    return Array.from(new Set(dates));
+}
+
+function titleCase(text) {
+    return text.toLowerCase().replace(/\b\w/g, (letter) => letter.toUpperCase());
+}
+
+module.exports = {
+    CABIN_CODES,
+    createAmadeusProvider,
+    normalizeResponse
+};
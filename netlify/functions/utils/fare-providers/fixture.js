@@ -0,0 +1,75 @@
+const fs = require('fs');
+const kiwi = require('./kiwi');
+const amadeus = require('./amadeus');
+
+// Offline provider for local development and tests.
+// `fares` are already normalized; `departure_in_days` / `return_in_days` are resolved against today
+// so the fixtures never fall out of the search window. `recordings` are raw API responses replayed
+// through the real adapters' normalizers, matched on route and cabin only.
+const NORMALIZERS = {
+    kiwi: kiwi.normalizeResponse,
+    amadeus: amadeus.normalizeResponse
+};
+
+function createFixtureProvider() {
+    const fixtures = loadFixtures();
+
+    return {
+        name: 'fixture',
+
+        async searchFares(query) {
+            const canned = (fixtures.fares || []).map(resolveFixtureFare);
+            const replayed = (fixtures.recordings || []).flatMap((recording) =>
+                NORMALIZERS[recording.provider](recording.response, recording.cabin));
+
+            const fares = canned.filter((fare) => matchesDates(fare, query)).concat(replayed);
+
+            return fares.filter((fare) =>
+                query.origins.includes(fare.origin) &&
+                query.destinations.includes(fare.destination) &&
+                (fare.cabin || 'economy') === (query.cabin || 'economy') &&
+                (!query.maxPrice || fare.price <= query.maxPrice));
+        }
+    };
+}
+
+// Helper function to read FARE_FIXTURES_PATH, or the bundled sample fixtures
+function loadFixtures() {
+    if (process.env.FARE_FIXTURES_PATH) {
+        return JSON.parse(fs.readFileSync(process.env.FARE_FIXTURES_PATH, 'utf8'));
+    }
+    return require('./fixtures/fares.json');
+}
+
+function resolveFixtureFare(fixture) {
+    const { departure_in_days: departureInDays, return_in_days: returnInDays, ...fare } = fixture;
+
+    return {
+        provider: 'fixture',
+        ...fare,
+        departure_date: fare.departure_date || daysFromToday(departureInDays),
+        return_date: fare.return_date || (returnInDays ? daysFromToday(returnInDays) : null)
+    };
+}
+
+function matchesDates(fare, query) {
+    if (fare.departure_date < query.departureFrom || fare.departure_date > query.departureTo) return false;
+    if (query.returnFrom && (!fare.return_date || fare.return_date < query.returnFrom || fare.return_date > query.returnTo)) {
+        return false;
+    }
+    if (query.minNights && fare.return_date) {
+        const nights = (Date.parse(fare.return_date) - Date.parse(fare.departure_date)) / 86400000;
+        return nights >= query.minNights && nights <= query.maxNights;
+    }
+    return true;
+}
+
+function daysFromToday(days) {
+    const date = new Date();
+    date.setUTCDate(date.getUTCDate() + (days || 0));
+    return date.toISOString().substring(0, 10);
+}
+
+module.exports = {
+    createFixtureProvider
+};
@@ -0,0 +1,94 @@
+const { createApiClient } = require('../api-client');
+
+// Kiwi.com Tequila search API: supports several origins and a departure date range in one call
+const KIWI_HOSTNAME = 'api.tequila.kiwi.com';
+const MAX_RESULTS = 20;
+
+// Our travel_class values to Tequila cabin codes
+const CABIN_CODES = {
+    economy: 'M',
+    premium: 'W',
+    business: 'C',
+    first: 'F'
+};
+
+function createKiwiProvider(options = {}) {
+    const apiKey = process.env.KIWI_API_KEY;
+    if (!apiKey) throw new Error('Missing KIWI_API_KEY configuration');
+
+    const client = createApiClient({
+        service: 'Kiwi',
+        hostname: KIWI_HOSTNAME,
+        headers: { apikey: apiKey },
+        deadline: options.deadline,
+        getErrorDetail: (data) => (data && (data.error || data.message)) || null
+    });
+
+    return {
+        name: 'kiwi',
+
+        async searchFares(query) {
+            const params = new URLSearchParams({
+                fly_from: query.origins.join(','),
+                fly_to: query.destinations.join(','),
+                date_from: toKiwiDate(query.departureFrom),
+                date_to: toKiwiDate(query.departureTo),
+                selected_cabins: CABIN_CODES[query.cabin] || CABIN_CODES.economy,
+                curr: query.currency || 'USD',
+                sort: 'price',
+                limit: String(MAX_RESULTS)
+            });
+
+            if (query.returnFrom && query.returnTo) {
+                params.set('return_from', toKiwiDate(query.returnFrom));
+                params.set('return_to', toKiwiDate(query.returnTo));
+            }
+            if (query.minNights && query.maxNights) {
+                params.set('nights_in_dst_from', String(query.minNights));
+                params.set('nights_in_dst_to', String(query.maxNights));
+            }
+            if (query.maxPrice) params.set('price_to', String(Math.ceil(query.maxPrice)));
+
+            const response = await client.request('GET', `/v2/search?${params.toString()}`);
+            return normalizeResponse(response.data, query.cabin);
+        }
+    };
+}
+
+// Turn a Tequila /v2/search response into our fare shape
+function normalizeResponse(data, cabin) {
+    const currency = data.currency || 'USD';
+
+    return (data.data || []).map((itinerary) => {
+        const route = itinerary.route || [];
+        const outbound = route.filter((leg) => !leg.return);
+        const inbound = route.filter((leg) => leg.return);
+
+        return {
+            provider: 'kiwi',
+            price: Number(itinerary.price),
+            currency: currency,
+            carrier: (itinerary.airlines && itinerary.airlines[0]) || (outbound[0] && outbound[0].airline) || null,
+            carrier_name: null,
+            stops: Math.max(0, outbound.length - 1),
+            origin: itinerary.flyFrom,
+            destination: itinerary.flyTo,
+            departure_date: (itinerary.local_departure || '').substring(0, 10),
+            return_date: inbound.length ? inbound[0].local_departure.substring(0, 10) : null,
+            cabin: cabin || 'economy',
+            deep_link: itinerary.deep_link
+        };
+    });
+}
+
+// Helper function: Tequila wants dd/mm/yyyy
+function toKiwiDate(isoDate) {
+    const [year, month, day] = isoDate.split('-');
+    return `${day}/${month}/${year}`;
+}
+
+module.exports = {
+    CABIN_CODES,
+    createKiwiProvider,
+    normalizeResponse
+};
@@ -0,0 +1,52 @@
+// Fare provider interface used by the fare monitor.
+//
+// A provider is created with { deadline } (epoch ms the run has to finish by; its API calls stop
+// short of it) and is an object { name, searchFares(query) } where `query` is:
+//   { origins: ['JFK', 'LGA', 'EWR'], destinations: ['BOG'], departureFrom: 'YYYY-MM-DD',
+//     departureTo: 'YYYY-MM-DD', returnFrom, returnTo, minNights, maxNights, cabin: 'economy',
+//     currency: 'USD', maxPrice }
+// and searchFares resolves to an array of normalized fares:
+//   { provider, price, currency, carrier, carrier_name, stops, origin, destination,
+//     departure_date, return_date, cabin, deep_link }
+//
+// Adapters live in ./fare-providers. Set FARE_PROVIDER=fixture to run the monitor offline
+// against canned fares (or FARE_FIXTURES_PATH to point it at your own file).
+
+const NYC_AIRPORTS = ['JFK', 'LGA', 'EWR'];
+const CABIN_CLASSES = ['economy', 'premium', 'business', 'first'];
+
+// Registered adapters, chosen with the FARE_PROVIDER environment variable
+const PROVIDERS = {
+    amadeus: require('./fare-providers/amadeus').createAmadeusProvider,
+    kiwi: require('./fare-providers/kiwi').createKiwiProvider,
+    fixture: require('./fare-providers/fixture').createFixtureProvider
+};
+
+function registerFareProvider(name, factory) {
+    PROVIDERS[name] = factory;
+}
+
+// Returns the configured provider, or null when fare monitoring is not set up.
+// `options` is { deadline }, passed through to the adapter.
+function getFareProvider(options = {}) {
+    const name = process.env.FARE_PROVIDER;
+    if (!name) return null;
+
+    const factory = PROVIDERS[name];
+    if (!factory) throw new Error(`Unknown fare provider: ${name}`);
+
+    return factory(options);
+}
+
+// Helper function to expand our departure_airport value into the NYC airports to search
+function getOriginAirports(departureAirport) {
+    return NYC_AIRPORTS.includes(departureAirport) ? [departureAirport] : NYC_AIRPORTS.slice();
+}
+
+module.exports = {
+    CABIN_CLASSES,
+    NYC_AIRPORTS,
+    getFareProvider,
+    getOriginAirports,
+    registerFareProvider
+};
@@ -0,0 +1,325 @@
+const crypto = require('crypto');
+const querystring = require('querystring');
+const { getSiteUrl } = require('./signing');
+const { getEmailErrorResponse } = require('./email-provider');
+const { installLogRedaction, runWithRequestId } = require('./log-redaction');
+
+// Request pipeline shared by the HTTP handlers:
+//
+//   exports.handler = createHandler({ name: 'Custom alert', methods: ['POST'] }, async (request, context) => { ... });
+//
+// The handler gets { event, method, query, headers, body, requestId, responseHeaders } where `headers`
+// are the request headers (lowercased), `body` is the parsed JSON or form body and `responseHeaders`
+// already carry Content-Type, CORS and X-Request-Id. Whatever it returns gets those headers too.
+//
+// Options:
+//   name          -> label for error logs
+//   methods       -> allowed methods; CORS endpoints answer OPTIONS on top of them
+//   cors          -> check Origin against the allowlist and send CORS headers (default true)
+//   bodyTypes     -> accepted request bodies, 'json' and/or 'form' (default both)
+//   maxBodyBytes  -> larger bodies get a 413 (default 16 KB)
+//   headers       -> extra response headers, e.g. an HTML Content-Type
+//   errorMessage  -> what an unexpected error says to the client (default 'Internal server error')
+//   renderError   -> (statusCode, message, request) => body, for endpoints that do not answer in JSON
+//   formRedirect  -> async (request, statusCode, data) => URL; when set, a native HTML form post gets
+//                    a 303 to that URL instead of the JSON answer (`data`), which scripts keep getting.
+//                    Answers the handler already renders as HTML are sent as they are.
+const DEFAULT_OPTIONS = {
+    name: 'Request',
+    methods: ['POST'],
+    cors: true,
+    bodyTypes: ['json', 'form'],
+    maxBodyBytes: 16 * 1024,
+    headers: {},
+    errorMessage: 'Internal server error',
+    renderError: null,
+    formRedirect: null
+};
+
+const BODY_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{6,100}$/;
+
+// Thrown anywhere in a handler to answer with a specific status
+class HttpError extends Error {
+    constructor(statusCode, message, { code, headers } = {}) {
+        super(message);
+        this.name = 'HttpError';
+        this.statusCode = statusCode;
+        this.code = code || null;
+        this.headers = headers || {};
+    }
+}
+
+// Wrap a handler in the full pipeline (see the top of this file)
+function createHandler(options, handler) {
+    installLogRedaction();
+
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+    const pipeline = compose(
+        withRequestId(),
+        withFormRedirect(settings),
+        withErrorMapping(settings),
+        withCors(settings),
+        withMethods(settings),
+        withBody(settings)
+    )(handler);
+
+    return (event, context) => pipeline(createRequest(event, settings), context);
+}
+
+// Chain middlewares of the form (next) => async (request, context) => response, outermost first
+function compose(...middlewares) {
+    return (handler) => middlewares.reduceRight((next, middleware) => middleware(next), handler);
+}
+
+// Reuse the caller's or Netlify's request ID when there is one; echo it in the response and every log line
+function withRequestId() {
+    return (next) => async (request, context) => {
+        const incoming = request.headers['x-request-id'] || request.headers['x-nf-request-id'];
+        request.requestId = REQUEST_ID_PATTERN.test(incoming || '')
+            ? incoming
+            : `req_${crypto.randomBytes(8).toString('hex')}`;
+        request.responseHeaders['X-Request-Id'] = request.requestId;
+
+        const response = await runWithRequestId(request.requestId, () => next(request, context));
+
+        return {
+            ...response,
+            headers: { ...request.responseHeaders, ...(response.headers || {}) }
+        };
+    };
+}
+
+// A browser submitting a <form> without our script sends a url-encoded body and asks for HTML.
+// It gets a 303 to a page for whatever the JSON answer was, errors included.
+function withFormRedirect(settings) {
+    return (next) => async (request, context) => {
+        const response = await next(request, context);
+        if (!settings.formRedirect || !isFormNavigation(request) || isHtmlResponse(response)) return response;
+
+        let location;
+        try {
+            location = await settings.formRedirect(request, response.statusCode, parseJsonBody(response.body));
+        } catch (error) {
+            console.error(`${settings.name} form redirect error:`, error);
+            return response;
+        }
+
+        return {
+            statusCode: 303,
+            headers: { 'Location': location, 'Content-Type': 'text/plain; charset=utf-8', 'Cache-Control': 'no-store' },
+            body: ''
+        };
+    };
+}
+
+// Turn anything thrown below into a response: HttpError keeps its status, email provider errors
+// get their usual mapping and everything else is a logged 500
+function withErrorMapping(settings) {
+    return (next) => async (request, context) => {
+        try {
+            return await next(request, context);
+        } catch (error) {
+            if (error instanceof HttpError) {
+                return errorResponse(settings, request, error.statusCode, error.message, {
+                    code: error.code,
+                    headers: error.headers
+                });
+            }
+
+            console.error(`${settings.name} error:`, error);
+
+            const providerError = getEmailErrorResponse(error);
+            if (providerError) {
+                return errorResponse(settings, request, providerError.statusCode, providerError.error, {
+                    headers: providerError.headers
+                });
+            }
+
+            return errorResponse(settings, request, 500, settings.errorMessage, {
+                message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+            });
+        }
+    };
+}
+
+// Origin allowlist plus preflight. Requests without an Origin header (same-origin GETs, curl,
+// server-to-server) are not CORS requests and pass straight through.
+function withCors(settings) {
+    return (next) => async (request, context) => {
+        if (!settings.cors) return next(request, context);
+
+        request.responseHeaders['Vary'] = 'Origin';
+
+        const origin = request.headers.origin;
+        if (origin) {
+            if (!isAllowedOrigin(origin)) {
+                throw new HttpError(403, 'Origin not allowed', { code: 'origin_not_allowed' });
+            }
+
+            Object.assign(request.responseHeaders, {
+                'Access-Control-Allow-Origin': origin,
+                'Access-Control-Allow-Headers': 'Content-Type, X-Request-Id',
+                'Access-Control-Allow-Methods': settings.methods.concat('OPTIONS').join(', '),
+                'Access-Control-Expose-Headers': 'X-Request-Id, Retry-After',
+                'Access-Control-Max-Age': '600'
+            });
+        }
+
+        if (request.method === 'OPTIONS') {
+            return { statusCode: 200, headers: {}, body: '' };
+        }
+
+        return next(request, context);
+    };
+}
+
+function withMethods(settings) {
+    return (next) => async (request, context) => {
+        if (!settings.methods.includes(request.method)) {
+            throw new HttpError(405, 'Method not allowed', {
+                code: 'method_not_allowed',
+                headers: { 'Allow': settings.methods.join(', ') }
+            });
+        }
+
+        return next(request, context);
+    };
+}
+
+// Parse the body by its Content-Type. A body without one is read as the first accepted type,
+// the way the handlers read every body as JSON before this pipeline existed.
+function withBody(settings) {
+    return (next) => async (request, context) => {
+        const { event } = request;
+        if (!BODY_METHODS.includes(request.method) || !event.body) return next(request, context);
+
+        const raw = Buffer.from(event.body, event.isBase64Encoded ? 'base64' : 'utf8');
+        if (raw.length > settings.maxBodyBytes) {
+            throw new HttpError(413, 'Request body too large', { code: 'body_too_large' });
+        }
+
+        const type = getBodyType(request.headers['content-type'], settings.bodyTypes);
+        if (!type) {
+            throw new HttpError(415, 'Unsupported content type', { code: 'unsupported_media_type' });
+        }
+
+        if (type === 'form') {
+            request.body = { ...querystring.parse(raw.toString('utf8')) };
+        } else {
+            try {
+                request.body = JSON.parse(raw.toString('utf8'));
+            } catch (error) {
+                throw new HttpError(400, 'Invalid JSON body', { code: 'invalid_json' });
+            }
+        }
+
+        return next(request, context);
+    };
+}
+
+function createRequest(event, settings) {
+    const headers = {};
+    Object.entries(event.headers || {}).forEach(([name, value]) => {
+        headers[name.toLowerCase()] = value;
+    });
+
+    return {
+        event,
+        method: event.httpMethod,
+        query: event.queryStringParameters || {},
+        headers,
+        body: {},
+        requestId: null,
+        responseHeaders: {
+            'Content-Type': 'application/json',
+            ...settings.headers
+        }
+    };
+}
+
+// Helper function to tell a native form submission from a script posting form data
+function isFormNavigation(request) {
+    const contentType = String(request.headers['content-type'] || '').toLowerCase();
+    const accept = String(request.headers.accept || '').toLowerCase();
+    return contentType.startsWith('application/x-www-form-urlencoded') &&
+        accept.includes('text/html') &&
+        !accept.includes('application/json');
+}
+
+function isHtmlResponse(response) {
+    const contentType = (response.headers && response.headers['Content-Type']) || '';
+    return contentType.startsWith('text/html');
+}
+
+function parseJsonBody(body) {
+    try {
+        return JSON.parse(body);
+    } catch (error) {
+        return {};
+    }
+}
+
+// Helper function to map a Content-Type header to 'json', 'form' or null when it is not accepted
+function getBodyType(contentType, bodyTypes) {
+    const mediaType = String(contentType || '').split(';')[0].trim().toLowerCase();
+
+    if (!mediaType) return bodyTypes[0];
+    if (mediaType === 'application/json' || mediaType.endsWith('+json')) {
+        return bodyTypes.includes('json') ? 'json' : null;
+    }
+    if (mediaType === 'application/x-www-form-urlencoded') {
+        return bodyTypes.includes('form') ? 'form' : null;
+    }
+    return null;
+}
+
+// ALLOWED_ORIGINS is a comma-separated list ("*" allows any origin). Without it only the site
+// itself, its deploy previews and netlify dev may call the functions from a browser.
+function getAllowedOrigins() {
+    const configured = (process.env.ALLOWED_ORIGINS || '').split(',');
+    const origins = configured.some((origin) => origin.trim())
+        ? configured
+        : [
+            getSiteUrl(),
+            process.env.DEPLOY_PRIME_URL,
+            process.env.DEPLOY_URL,
+            process.env.NETLIFY_DEV === 'true' ? 'http://localhost:8888' : null
+        ];
+
+    return origins
+        .filter(Boolean)
+        .map((origin) => origin.trim().replace(/\/$/, '').toLowerCase())
+        .filter(Boolean);
+}
+
+function isAllowedOrigin(origin) {
+    const allowed = getAllowedOrigins();
+    return allowed.includes('*') || allowed.includes(String(origin).replace(/\/$/, '').toLowerCase());
+}
+
+// Helper function to build an error response in the endpoint's format
+function errorResponse(settings, request, statusCode, message, { code, headers, ...extra } = {}) {
+    const body = settings.renderError
+        ? settings.renderError(statusCode, message, request)
+        : JSON.stringify({
+            error: message,
+            ...(code ? { code } : {}),
+            ...extra,
+            request_id: request.requestId
+        });
+
+    return {
+        statusCode,
+        headers: { ...request.responseHeaders, ...(headers || {}) },
+        body
+    };
+}
+
+module.exports = {
+    HttpError,
+    compose,
+    createHandler,
+    isAllowedOrigin,
+    isFormNavigation
+};
@@ -0,0 +1,208 @@
+const crypto = require('crypto');
+const { createApiClient, ApiValidationError } = require('./api-client');
+const { mergeProfileProperties } = require('./profile-merge');
+
+// Klaviyo API configuration
+const KLAVIYO_HOSTNAME = 'a.klaviyo.com';
+const KLAVIYO_REVISION = '2024-10-15';
+
+// Create a client bound to an API key and the Lambda context time budget
+function createKlaviyoClient(apiKey, options = {}) {
+    return createApiClient({
+        service: 'Klaviyo',
+        hostname: KLAVIYO_HOSTNAME,
+        headers: {
+            'Authorization': `Klaviyo-API-Key ${apiKey}`,
+            'revision': KLAVIYO_REVISION
+        },
+        context: options.context,
+        timeBudgetMs: options.timeBudgetMs,
+        getErrorDetail: (data) => (data && data.errors && data.errors[0] && data.errors[0].detail) || null
+    });
+}
+
+// Create a profile, or patch the existing one when Klaviyo reports it as a duplicate.
+// A returning subscriber's properties are merged with what the profile already holds
+// (see profile-merge.js) instead of overwriting them.
+async function upsertProfile(client, attributes) {
+    try {
+        const response = await client.request('POST', '/api/profiles/', {
+            data: {
+                type: 'profile',
+                attributes: { ...attributes, properties: mergeProfileProperties({}, attributes.properties) }
+            }
+        });
+        return response.data.data.id;
+    } catch (error) {
+        const duplicateId = getDuplicateProfileId(error);
+        if (!duplicateId) throw error;
+
+        const existing = await client.request('GET', `/api/profiles/${duplicateId}/`);
+        const existingAttributes = (existing.data && existing.data.data && existing.data.data.attributes) || {};
+
+        await client.request('PATCH', `/api/profiles/${duplicateId}/`, {
+            data: {
+                type: 'profile',
+                id: duplicateId,
+                attributes: {
+                    ...attributes,
+                    properties: mergeProfileProperties(existingAttributes.properties, attributes.properties)
+                }
+            }
+        });
+        return duplicateId;
+    }
+}
+
+// Subscribe a profile to email marketing and add it to a list in one bulk job
+async function subscribeProfile(client, { email, listId, source }) {
+    await client.request('POST', '/api/profile-subscription-bulk-create-jobs/', {
+        data: {
+            type: 'profile-subscription-bulk-create-job',
+            attributes: {
+                custom_source: source,
+                profiles: {
+                    data: [
+                        {
+                            type: 'profile',
+                            attributes: {
+                                email: email,
+                                subscriptions: {
+                                    email: { marketing: { consent: 'SUBSCRIBED' } }
+                                }
+                            }
+                        }
+                    ]
+                }
+            },
+            relationships: {
+                list: { data: { type: 'list', id: listId } }
+            }
+        }
+    });
+}
+
+// Subscribe a profile to SMS marketing (phone in E.164) and add it to the same list.
+// Klaviyo texts its own opt-in confirmation when SMS double opt-in is enabled in the account.
+async function subscribeProfileSms(client, { email, phone, listId, source }) {
+    await client.request('POST', '/api/profile-subscription-bulk-create-jobs/', {
+        data: {
+            type: 'profile-subscription-bulk-create-job',
+            attributes: {
+                custom_source: source,
+                profiles: {
+                    data: [
+                        {
+                            type: 'profile',
+                            attributes: {
+                                email: email,
+                                phone_number: phone,
+                                subscriptions: {
+                                    sms: { marketing: { consent: 'SUBSCRIBED' } }
+                                }
+                            }
+                        }
+                    ]
+                }
+            },
+            relationships: {
+                list: { data: { type: 'list', id: listId } }
+            }
+        }
+    });
+}
+
+// Withdraw email marketing consent and take the profile off the list
+async function unsubscribeProfile(client, { email, listId }) {
+    await client.request('POST', '/api/profile-subscription-bulk-delete-jobs/', {
+        data: {
+            type: 'profile-subscription-bulk-delete-job',
+            attributes: {
+                profiles: {
+                    data: [
+                        {
+                            type: 'profile',
+                            attributes: {
+                                email: email,
+                                subscriptions: {
+                                    email: { marketing: { consent: 'UNSUBSCRIBED' } }
+                                }
+                            }
+                        }
+                    ]
+                }
+            },
+            relationships: {
+                list: { data: { type: 'list', id: listId } }
+            }
+        }
+    });
+}
+
+// Record a metric event against the profile with this email. Events start flows, so the request
+// carries a unique_id: Klaviyo records only the first event with it, which makes the POST safe to retry.
+async function trackEvent(client, email, name, properties) {
+    const uniqueId = crypto.randomBytes(16).toString('hex');
+
+    await client.request('POST', '/api/events/', {
+        data: {
+            type: 'event',
+            attributes: {
+                profile: {
+                    email: email
+                },
+                metric: {
+                    name: name
+                },
+                properties: properties,
+                time: new Date().toISOString(),
+                unique_id: uniqueId
+            }
+        }
+    }, null, { idempotencyKey: uniqueId });
+}
+
+// Look a profile up by email (with its subscriptions); null when Klaviyo has none
+async function getProfileByEmail(client, email) {
+    const filter = encodeURIComponent(`equals(email,"${email.replace(/"/g, '')}")`);
+    const response = await client.request('GET', `/api/profiles/?filter=${filter}&additional-fields%5Bprofile%5D=subscriptions`);
+    const profiles = (response.data && response.data.data) || [];
+    return profiles[0] || null;
+}
+
+// Ask Klaviyo to delete the profile and all of its data (a data-privacy deletion job, processed async)
+async function requestProfileDeletion(client, email) {
+    await client.request('POST', '/api/data-privacy-deletion-jobs/', {
+        data: {
+            type: 'data-privacy-deletion-job',
+            attributes: {
+                profile: {
+                    data: {
+                        type: 'profile',
+                        attributes: { email: email }
+                    }
+                }
+            }
+        }
+    });
+}
+
+// Helper function to read the existing profile ID out of a 409 duplicate error
+function getDuplicateProfileId(error) {
+    if (!(error instanceof ApiValidationError) || error.statusCode !== 409) return null;
+
+    const errors = (error.data && error.data.errors) || [];
+    const duplicate = errors.find((item) => item.meta && item.meta.duplicate_profile_id);
+    return duplicate ? duplicate.meta.duplicate_profile_id : null;
+}
+
+module.exports = {
+    createKlaviyoClient,
+    getProfileByEmail,
+    requestProfileDeletion,
+    subscribeProfile,
+    subscribeProfileSms,
+    trackEvent,
+    unsubscribeProfile,
+    upsertProfile
+};
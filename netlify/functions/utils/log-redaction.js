@@ -0,0 +1,58 @@
+const util = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
+const { hashEmail } = require('./signing');
+
+// Function logs are kept by Netlify and readable by everyone on the team, so personal data is
+// scrubbed before anything is written. Emails become "[email:<hash prefix>]", which still matches
+// the store keys when debugging; phone numbers, IPs and signed link tokens are masked.
+const EMAIL_PATTERN = /[a-z0-9._%+-]+(?:@|%40)[a-z0-9.-]+\.[a-z]{2,}/gi;
+const PHONE_PATTERN = /\+\d{8,15}\b/g;
+const IPV4_PATTERN = /\b(?:\d{1,3}\.){3}\d{1,3}\b/g;
+const TOKEN_PATTERN = /([?&]token=)[^&\s"']+/g;
+
+const CONSOLE_METHODS = ['log', 'info', 'warn', 'error', 'debug'];
+const logContext = new AsyncLocalStorage();
+let installed = false;
+
+function redact(text) {
+    return String(text)
+        .replace(TOKEN_PATTERN, '$1[token]')
+        .replace(EMAIL_PATTERN, (match) => `[email:${hashEmail(decodeEmail(match)).substring(0, 8)}]`)
+        .replace(PHONE_PATTERN, (match) => `${match.substring(0, 2)}***${match.slice(-2)}`)
+        .replace(IPV4_PATTERN, '[ip]');
+}
+
+// Route every console method through redact(). Safe to call from every handler: it only patches once.
+// Lines logged inside runWithRequestId() are prefixed with the request ID.
+function installLogRedaction() {
+    if (installed) return;
+    installed = true;
+
+    CONSOLE_METHODS.forEach((method) => {
+        const original = console[method].bind(console);
+        console[method] = (...args) => {
+            const context = logContext.getStore();
+            const line = redact(util.format(...args));
+            original(context ? `[${context.requestId}] ${line}` : line);
+        };
+    });
+}
+
+// Run `fn` so that everything it logs, across awaits, carries the request ID
+function runWithRequestId(requestId, fn) {
+    return logContext.run({ requestId }, fn);
+}
+
+function decodeEmail(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch (error) {
+        return value;
+    }
+}
+
+module.exports = {
+    installLogRedaction,
+    redact,
+    runWithRequestId
+};
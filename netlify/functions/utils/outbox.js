@@ -0,0 +1,200 @@
+const crypto = require('crypto');
+const { getStore } = require('./store');
+
+// Durable outbox for email provider writes that failed during a request. Entries are keyed
+// "queued/<id>" until a replay succeeds, or "dead/<id>" once they are given up on.
+// Entry: { id, type, payload, attempts, next_attempt_at, last_error, created_at, updated_at }
+const OUTBOX_NAMESPACE = 'outbox';
+const MAX_ATTEMPTS = 12;
+const BASE_RETRY_SECONDS = 60;
+const MAX_RETRY_SECONDS = 6 * 60 * 60;
+
+// Dead letters are kept around long enough for someone to look at them
+const DEAD_LETTER_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+// Queue work for the replay job. With { deadLetter: true } the entry goes straight to the
+// dead-letter list (e.g. the provider rejected the data, so retrying would not help).
+async function enqueueOutbox(type, payload, options = {}) {
+    const now = new Date().toISOString();
+    const entry = {
+        id: `obx_${crypto.randomBytes(8).toString('hex')}`,
+        type,
+        payload,
+        attempts: 0,
+        next_attempt_at: now,
+        last_error: options.error ? describeError(options.error) : null,
+        created_at: now,
+        updated_at: now
+    };
+
+    if (options.deadLetter) {
+        await deadLetter(entry);
+    } else {
+        await getStore(OUTBOX_NAMESPACE).set(`queued/${entry.id}`, entry);
+    }
+
+    console.warn(`Queued ${type} ${entry.id} in the outbox${options.deadLetter ? ' (dead letter)' : ''}`);
+    return entry;
+}
+
+// Replay due entries. `handlers` maps an entry type to async (payload) => { payload } where the
+// returned payload is null when everything went through, or the part that still has to be retried.
+async function replayOutbox(handlers, { deadline } = {}) {
+    const store = getStore(OUTBOX_NAMESPACE);
+    const summary = { due: 0, delivered: 0, retried: 0, dead_lettered: 0, skipped: 0 };
+    const now = new Date().toISOString();
+
+    const entries = (await Promise.all((await store.list('queued/')).map((key) => store.get(key))))
+        .filter((entry) => entry && entry.next_attempt_at <= now)
+        .sort((a, b) => a.next_attempt_at.localeCompare(b.next_attempt_at));
+
+    summary.due = entries.length;
+
+    for (const entry of entries) {
+        if (deadline && Date.now() > deadline) {
+            summary.skipped = entries.length - summary.delivered - summary.retried - summary.dead_lettered;
+            break;
+        }
+
+        const handler = handlers[entry.type];
+        let remaining = entry.payload;
+        let failure = null;
+
+        if (!handler) {
+            failure = { error: new Error(`No outbox handler for type "${entry.type}"`), permanent: true };
+        } else {
+            try {
+                const result = await handler(entry.payload);
+                remaining = result.payload;
+                if (remaining) failure = { error: result.error, permanent: Boolean(result.permanent) };
+            } catch (error) {
+                failure = { error, permanent: false };
+            }
+        }
+
+        if (!failure) {
+            await store.delete(`queued/${entry.id}`);
+            summary.delivered++;
+            continue;
+        }
+
+        const attempts = entry.attempts + 1;
+        const updated = {
+            ...entry,
+            payload: remaining,
+            attempts,
+            last_error: describeError(failure.error),
+            updated_at: new Date().toISOString()
+        };
+
+        if (failure.permanent || attempts >= MAX_ATTEMPTS) {
+            await store.delete(`queued/${entry.id}`);
+            await deadLetter(updated);
+            summary.dead_lettered++;
+        } else {
+            updated.next_attempt_at = new Date(Date.now() + getRetryDelaySeconds(attempts) * 1000).toISOString();
+            await store.set(`queued/${entry.id}`, updated);
+            summary.retried++;
+        }
+    }
+
+    return summary;
+}
+
+// Entries still waiting for a replay, oldest first
+async function listQueued() {
+    return listByPrefix('queued/');
+}
+
+async function listDeadLetters() {
+    return listByPrefix('dead/');
+}
+
+async function getDeadLetter(id) {
+    return getStore(OUTBOX_NAMESPACE).get(`dead/${id}`);
+}
+
+// Drop one dead letter, or all of them when no id is given; returns how many were removed
+async function purgeDeadLetters(id) {
+    const store = getStore(OUTBOX_NAMESPACE);
+    const keys = id ? [`dead/${id}`] : await store.list('dead/');
+    let purged = 0;
+
+    for (const key of keys) {
+        if (await store.get(key)) {
+            await store.delete(key);
+            purged++;
+        }
+    }
+
+    return purged;
+}
+
+// The subscriber an entry is about, whatever its type
+function getEntryEmail(entry) {
+    const payload = (entry && entry.payload) || {};
+    if (payload.signup) return payload.signup.email;
+    return (payload.event || payload.input || payload).email || null;
+}
+
+// Queued and dead-lettered entries about one email (for data exports)
+async function listEntriesForEmail(email) {
+    const normalized = String(email).trim().toLowerCase();
+    const entries = (await listQueued()).concat(await listDeadLetters());
+    return entries.filter((entry) => String(getEntryEmail(entry) || '').toLowerCase() === normalized);
+}
+
+// Drop every entry about one email, so a replay cannot write a deleted subscriber back
+async function purgeEntriesForEmail(email) {
+    const store = getStore(OUTBOX_NAMESPACE);
+    const entries = await listEntriesForEmail(email);
+
+    for (const entry of entries) {
+        await store.delete(`queued/${entry.id}`);
+        await store.delete(`dead/${entry.id}`);
+    }
+
+    return entries.length;
+}
+
+async function deadLetter(entry) {
+    await getStore(OUTBOX_NAMESPACE).set(`dead/${entry.id}`, {
+        ...entry,
+        dead_lettered_at: new Date().toISOString()
+    }, { ttlSeconds: DEAD_LETTER_TTL_SECONDS });
+}
+
+async function listByPrefix(prefix) {
+    const store = getStore(OUTBOX_NAMESPACE);
+    const entries = await Promise.all((await store.list(prefix)).map((key) => store.get(key)));
+    return entries
+        .filter(Boolean)
+        .sort((a, b) => a.created_at.localeCompare(b.created_at));
+}
+
+// Helper function for exponential backoff between replays: 1m, 2m, 4m... capped at 6h
+function getRetryDelaySeconds(attempts) {
+    return Math.min(MAX_RETRY_SECONDS, BASE_RETRY_SECONDS * Math.pow(2, attempts - 1));
+}
+
+function describeError(error) {
+    if (!error) return null;
+    return {
+        name: error.name,
+        message: error.message,
+        status_code: error.statusCode || null
+    };
+}
+
+module.exports = {
+    MAX_ATTEMPTS,
+    enqueueOutbox,
+    getDeadLetter,
+    getEntryEmail,
+    listDeadLetters,
+    listEntriesForEmail,
+    listQueued,
+    purgeDeadLetters,
+    purgeEntriesForEmail,
+    replayOutbox
+};
@@ -0,0 +1,47 @@
+// Phone numbers are stored and sent to providers in E.164 ("+12125551234").
+// Numbers typed without a country code are read as US/Canada (NANP), like most of our visitors use.
+const MAX_PHONE_INPUT_LENGTH = 30;
+
+// Normalize free-form input to E.164; returns null when it is not a plausible phone number
+function normalizePhone(value) {
+    if (typeof value !== 'string' && typeof value !== 'number') return null;
+
+    const text = String(value).trim();
+    if (!text || text.length > MAX_PHONE_INPUT_LENGTH) return null;
+    if (!/^\+?[\d\s().-]+$/.test(text)) return null;
+
+    let digits = text.replace(/\D/g, '');
+
+    if (!text.startsWith('+')) {
+        if (digits.length === 10) {
+            digits = `1${digits}`;
+        } else if (digits.length !== 11 || digits[0] !== '1') {
+            return null;
+        }
+    }
+
+    // E.164 allows at most 15 digits and country codes never start with 0
+    if (digits.length < 8 || digits.length > 15 || digits[0] === '0') return null;
+    if (digits[0] === '1' && !isValidNanpNumber(digits.substring(1))) return null;
+
+    return `+${digits}`;
+}
+
+// Helper function to check a 10-digit US/Canada number: area code and exchange can't start
+// with 0 or 1, and N11 codes (211, 311, 911...) are service numbers, not area codes
+function isValidNanpNumber(national) {
+    return /^[2-9]\d{2}[2-9]\d{6}$/.test(national) && national.substring(1, 3) !== '11';
+}
+
+// "+12125551234" -> "(212) 555-1234"; other countries keep the E.164 form
+function formatPhone(e164) {
+    if (!e164) return '';
+    const match = /^\+1(\d{3})(\d{3})(\d{4})$/.exec(e164);
+    return match ? `(${match[1]}) ${match[2]}-${match[3]}` : e164;
+}
+
+module.exports = {
+    MAX_PHONE_INPUT_LENGTH,
+    formatPhone,
+    normalizePhone
+};
@@ -0,0 +1,179 @@
+const { createSignedToken, getSiteUrl } = require('./signing');
+const { deleteAlert, getAlert, getAlertProfileProperties, listAlerts, updateAlert } = require('./alerts');
+const { enqueueOutbox } = require('./outbox');
+const { isPermanentError } = require('./email-provider');
+const { getSubscriber, updateSubscriber } = require('./subscribers');
+const { resolveTravelDates } = require('./travel-dates');
+const { deletePushSubscriptions } = require('./push');
+
+// Preference center links are emailed with every signup and price-drop email, so a fresh one is
+// never far away; the page itself can email a new one when an old link has expired.
+const PREFERENCES_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+function createPreferencesUrl(email) {
+    const token = createSignedToken('preferences', { email: String(email).trim().toLowerCase() }, PREFERENCES_TTL_SECONDS);
+    return `${getSiteUrl()}/.netlify/functions/preferences?token=${encodeURIComponent(token)}`;
+}
+
+// What the preference center shows: the subscriber record and their confirmed alerts
+async function getPreferences(email) {
+    const subscriber = await getSubscriber(email);
+    const alerts = (await listAlerts(email)).filter((alert) => alert.status !== 'pending_confirmation');
+
+    return {
+        subscriber,
+        alerts,
+        language: (subscriber && subscriber.language) || (alerts[0] && alerts[0].language) || 'es',
+        newsletter: Boolean(subscriber) && subscriber.newsletter !== false && !subscriber.unsubscribed_at,
+        unsubscribed: Boolean(subscriber && subscriber.unsubscribed_at)
+    };
+}
+
+// Apply the edit form to one alert. `changes` is the validated
+// { target_price, departure_airport, travel_class, timeframe }; a missing timeframe keeps the dates.
+// Returns the updated alert, null when it does not exist, or { error } for an invalid timeframe.
+async function updateAlertSettings(email, alertId, changes) {
+    const alert = await getAlert(email, alertId);
+    if (!alert || alert.status === 'pending_confirmation') return null;
+
+    const updates = {
+        target_price: changes.target_price,
+        departure_airport: changes.departure_airport,
+        travel_class: changes.travel_class
+    };
+
+    // A new timeframe replaces the travel window (exact dates included), like a new signup would
+    if (changes.timeframe && (changes.timeframe !== alert.timeframe || !alert.travel_dates)) {
+        const travel = resolveTravelDates({ timeframe: changes.timeframe });
+        if (travel.error) return { error: travel.error };
+
+        updates.timeframe = travel.timeframe;
+        updates.travel_dates = {
+            ...travel.travelDates,
+            min_nights: alert.travel_dates ? alert.travel_dates.min_nights : null,
+            max_nights: alert.travel_dates ? alert.travel_dates.max_nights : null
+        };
+    }
+
+    return updateAlert(email, alertId, updates);
+}
+
+async function setAlertStatus(email, alertId, status) {
+    const alert = await getAlert(email, alertId);
+    if (!alert || alert.status === 'pending_confirmation') return null;
+    return updateAlert(email, alertId, { status });
+}
+
+async function removeAlert(email, alertId) {
+    const alert = await getAlert(email, alertId);
+    if (!alert) return false;
+    await deleteAlert(email, alertId);
+    return true;
+}
+
+// The language for emails, on the subscriber and on every alert (price-drop events read it there)
+async function setLanguage(email, language) {
+    await updateSubscriber(email, { language });
+
+    for (const alert of await listAlerts(email)) {
+        await updateAlert(email, alert.id, { language });
+    }
+}
+
+async function setNewsletter(email, subscribed) {
+    return updateSubscriber(email, {
+        newsletter: subscribed,
+        newsletter_unsubscribed_at: subscribed ? null : new Date().toISOString()
+    });
+}
+
+// Withdraw email consent at the provider, pause every alert so the monitor stops too and
+// forget the browsers that got push notifications
+async function unsubscribeEverything(emailProvider, email) {
+    for (const alert of await listAlerts(email)) {
+        if (alert.status === 'active') await updateAlert(email, alert.id, { status: 'paused' });
+    }
+    await deletePushSubscriptions(email);
+
+    await updateSubscriber(email, {
+        newsletter: false,
+        unsubscribed_at: new Date().toISOString()
+    });
+
+    // The unsubscribe must reach the provider eventually, whatever happens on this request
+    try {
+        if (!emailProvider) throw new Error('Email provider is not configured');
+        await emailProvider.unsubscribe({ email });
+    } catch (error) {
+        console.warn(`Warning: Unsubscribe failed: ${error.message}`);
+        await enqueueOutbox('unsubscribe', { email }, { error });
+        return { queued: true };
+    }
+
+    return { queued: false };
+}
+
+// Push the subscriber's current alerts and preferences to the provider's contact.
+// Failures are queued and replayed with whatever the state is at that point.
+async function syncSubscriberProfile(emailProvider, email) {
+    try {
+        if (!emailProvider) throw new Error('Email provider is not configured');
+        await emailProvider.upsertContact({ email, properties: await getProfileProperties(email) });
+    } catch (error) {
+        console.warn(`Warning: Profile sync failed: ${error.message}`);
+        await enqueueOutbox('profile-sync', { email }, {
+            error,
+            deadLetter: isPermanentError(error)
+        });
+        return { queued: true };
+    }
+
+    return { queued: false };
+}
+
+// Replay a profile sync from the outbox
+async function resumeProfileSync(emailProvider, payload) {
+    try {
+        await emailProvider.upsertContact({ email: payload.email, properties: await getProfileProperties(payload.email) });
+        return { payload: null };
+    } catch (error) {
+        return { payload, error, permanent: isPermanentError(error) };
+    }
+}
+
+// Replay an unsubscribe from the outbox (never dead-lettered on the first rejection: it has to land)
+async function resumeUnsubscribe(emailProvider, payload) {
+    try {
+        await emailProvider.unsubscribe({ email: payload.email });
+        return { payload: null };
+    } catch (error) {
+        return { payload, error, permanent: false };
+    }
+}
+
+// Helper function to build the contact properties the preference center owns
+async function getProfileProperties(email) {
+    const preferences = await getPreferences(email);
+
+    return {
+        ...(await getAlertProfileProperties(email)),
+        language: preferences.language,
+        newsletter_subscriber: preferences.newsletter,
+        last_updated: new Date().toISOString()
+    };
+}
+
+module.exports = {
+    PREFERENCES_TTL_SECONDS,
+    createPreferencesUrl,
+    getPreferences,
+    removeAlert,
+    resumeProfileSync,
+    resumeUnsubscribe,
+    setAlertStatus,
+    setLanguage,
+    setNewsletter,
+    syncSubscriberProfile,
+    unsubscribeEverything,
+    updateAlertSettings
+};
@@ -0,0 +1,130 @@
+const { createSignedToken, getSiteUrl, hashEmail } = require('./signing');
+const { deleteAlert, listAlerts } = require('./alerts');
+const { deleteSubscriber, getSubscriber } = require('./subscribers');
+const { deletePendingSignup, findPendingSignups } = require('./signup');
+const { deleteNotifications, listNotifications } = require('./fare-monitor');
+const { enqueueOutbox, listEntriesForEmail, purgeEntriesForEmail } = require('./outbox');
+const { listConsentRecords, recordConsent } = require('./consent');
+const { CHANNELS } = require('./channels');
+const { PUSH_CHANNEL, deletePushSubscriptions, listPushSubscriptions } = require('./push');
+const { deleteQuarantinedSubmissions, listQuarantinedSubmissions } = require('./bot-protection');
+
+// Data-subject requests: a subscriber asks for an export or a deletion, we email a signed link
+// to the address, and only a click on that link (plus a button press) carries the request out.
+const PRIVACY_TTL_SECONDS = 24 * 60 * 60;
+const PRIVACY_REQUESTS = ['export', 'delete'];
+
+function createPrivacyUrl(email, request) {
+    const token = createSignedToken('privacy', {
+        email: String(email).trim().toLowerCase(),
+        request
+    }, PRIVACY_TTL_SECONDS);
+
+    return `${getSiteUrl()}/.netlify/functions/privacy?token=${encodeURIComponent(token)}`;
+}
+
+// Everything we hold on one email, from our store and the email provider, as one JSON document
+async function collectPersonalData(emailProvider, email) {
+    let providerContact = null;
+    let providerError = null;
+
+    try {
+        if (!emailProvider) throw new Error('Email provider is not configured');
+        providerContact = await emailProvider.getContact({ email });
+    } catch (error) {
+        // The store data is still worth handing over; say which part is missing
+        console.warn(`Warning: Email provider export failed: ${error.message}`);
+        providerError = 'The email provider could not be reached. Please request a new export later for that part.';
+    }
+
+    return {
+        generated_at: new Date().toISOString(),
+        email,
+        subscriber: await getSubscriber(email),
+        alerts: await listAlerts(email),
+        pending_signups: (await findPendingSignups(email)).map(({ signup }) => signup),
+        price_drop_notifications: await listNotifications(email),
+        push_subscriptions: await listPushSubscriptions(email),
+        quarantined_submissions: await listQuarantinedSubmissions(email),
+        queued_provider_writes: (await listEntriesForEmail(email)).map((entry) => ({
+            type: entry.type,
+            payload: entry.payload,
+            created_at: entry.created_at
+        })),
+        consent_records: await listConsentRecords(email),
+        email_provider: {
+            name: emailProvider ? emailProvider.name : null,
+            contact: providerContact,
+            error: providerError
+        }
+    };
+}
+
+// Erase one email from our store and ask the email provider to delete the contact.
+// The consent ledger only holds hashes and stays, with the withdrawal appended to it.
+// Returns { deleted: { ...counts }, provider: 'requested' | 'queued' }.
+async function deletePersonalData(emailProvider, email, event) {
+    const alerts = await listAlerts(email);
+    for (const alert of alerts) {
+        await deleteAlert(email, alert.id);
+    }
+
+    const subscriber = await getSubscriber(email);
+    const pending = await findPendingSignups(email);
+    for (const { id } of pending) {
+        await deletePendingSignup(id);
+    }
+
+    const deleted = {
+        alerts: alerts.length,
+        pending_signups: pending.length,
+        price_drop_notifications: await deleteNotifications(email),
+        push_subscriptions: await deletePushSubscriptions(email),
+        quarantined_submissions: await deleteQuarantinedSubmissions(email),
+        // Before the provider call, so a replay cannot write the contact back afterwards
+        queued_provider_writes: await purgeEntriesForEmail(email),
+        subscriber: Boolean(subscriber)
+    };
+    await deleteSubscriber(email);
+    await recordConsent(email, {
+        action: 'withdrawn',
+        channels: CHANNELS.concat(PUSH_CHANNEL),
+        scope: 'all',
+        change: 'privacy_deletion',
+        endpoint: 'privacy',
+        form: 'privacy_request',
+        language: subscriber && subscriber.language
+    }, event);
+
+    console.log(`Deleted personal data for ${hashEmail(email).substring(0, 8)}:`, JSON.stringify(deleted));
+
+    try {
+        if (!emailProvider) throw new Error('Email provider is not configured');
+        await emailProvider.deleteContact({ email });
+    } catch (error) {
+        console.warn(`Warning: Email provider deletion failed: ${error.message}`);
+        await enqueueOutbox('privacy-deletion', { email }, { error });
+        return { deleted, provider: 'queued' };
+    }
+
+    return { deleted, provider: 'requested' };
+}
+
+// Replay a provider deletion from the outbox. It is never given up on after one rejection.
+async function resumePrivacyDeletion(emailProvider, payload) {
+    try {
+        await emailProvider.deleteContact({ email: payload.email });
+        return { payload: null };
+    } catch (error) {
+        return { payload, error, permanent: false };
+    }
+}
+
+module.exports = {
+    PRIVACY_REQUESTS,
+    PRIVACY_TTL_SECONDS,
+    collectPersonalData,
+    createPrivacyUrl,
+    deletePersonalData,
+    resumePrivacyDeletion
+};
@@ -0,0 +1,60 @@
+// Merge rules for contact properties when a returning subscriber signs up again or their
+// profile is synced. Providers update only the properties they are sent, so the result is the
+// patch to send: the new values, corrected by these rules against what the contact already has.
+//   keep_first      -> the value from the first signup stays
+//   union           -> list values accumulate (lists stored as "a, b" strings are read back too)
+//   never_downgrade -> once true, a flag stays true
+//   now             -> always set to the time of the write
+// Properties without a rule take the new value.
+const PROFILE_MERGE_RULES = {
+    signup_date: 'keep_first',
+    interested_regions: 'union',
+    has_custom_alert: 'never_downgrade',
+    has_quick_alert: 'never_downgrade',
+    last_updated: 'now'
+};
+
+// `existing` is the contact's current properties ({} for a new contact)
+function mergeProfileProperties(existing, incoming, now = new Date()) {
+    const current = existing || {};
+    const merged = { ...(incoming || {}) };
+
+    Object.entries(PROFILE_MERGE_RULES).forEach(([key, rule]) => {
+        if (rule === 'now') {
+            merged[key] = now.toISOString();
+            return;
+        }
+
+        if (!(key in merged) || isEmpty(current[key])) return;
+
+        if (rule === 'keep_first') {
+            merged[key] = current[key];
+        } else if (rule === 'union') {
+            merged[key] = Array.from(new Set(toList(current[key]).concat(toList(merged[key]))));
+        } else if (rule === 'never_downgrade') {
+            merged[key] = isTrue(current[key]) || isTrue(merged[key]);
+        }
+    });
+
+    return merged;
+}
+
+function isEmpty(value) {
+    return value === undefined || value === null || value === '';
+}
+
+// Helper function to read a flag that may have come back from a provider as a string
+function isTrue(value) {
+    return value === true || value === 'true' || value === 1 || value === '1';
+}
+
+function toList(value) {
+    if (Array.isArray(value)) return value;
+    if (isEmpty(value)) return [];
+    return String(value).split(',').map((item) => item.trim()).filter(Boolean);
+}
+
+module.exports = {
+    PROFILE_MERGE_RULES,
+    mergeProfileProperties
+};
@@ -0,0 +1,169 @@
+const crypto = require('crypto');
+const { getStore } = require('./store');
+const { createSignedToken, getSiteUrl, hashEmail } = require('./signing');
+const { isVapidConfigured, sendWebPush } = require('./web-push');
+
+// Browser push subscriptions for deal alerts, on top of email. One record per subscriber and
+// browser, keyed "<email hash>/<endpoint hash>":
+// { id, email, endpoint, keys: { p256dh, auth }, alert_ids, language, created_at, updated_at, last_sent_at }
+// A browser only gets pushes for the alerts in alert_ids, i.e. the ones created from it.
+const PUSH_NAMESPACE = 'push-subscriptions';
+const PUSH_CHANNEL = 'push';
+
+// How long after a signup the browser may still turn on notifications for its alert
+const PUSH_TOKEN_TTL_SECONDS = 24 * 60 * 60;
+
+// The token a signup response hands to the page so it can subscribe the browser to those alerts
+// (null when push is not configured, so the page does not offer it)
+function createPushToken(email, alertIds) {
+    const ids = (alertIds || []).filter(Boolean);
+    if (!isVapidConfigured() || !ids.length) return null;
+
+    return createSignedToken('push', {
+        email: String(email).trim().toLowerCase(),
+        alert_ids: ids
+    }, PUSH_TOKEN_TTL_SECONDS);
+}
+
+function getEndpointId(endpoint) {
+    return crypto.createHash('sha256').update(endpoint).digest('hex').substring(0, 32);
+}
+
+// Store a browser subscription, adding the alerts to the ones it already follows
+async function savePushSubscription(email, subscription, { alertIds, language }) {
+    const store = getStore(PUSH_NAMESPACE);
+    const id = getEndpointId(subscription.endpoint);
+    const key = `${hashEmail(email)}/${id}`;
+    const existing = await store.get(key);
+    const now = new Date().toISOString();
+
+    const record = {
+        ...(existing || {}),
+        id,
+        email: String(email).trim().toLowerCase(),
+        endpoint: subscription.endpoint,
+        keys: { p256dh: subscription.keys.p256dh, auth: subscription.keys.auth },
+        alert_ids: Array.from(new Set(((existing && existing.alert_ids) || []).concat(alertIds || []))),
+        language: language || (existing && existing.language) || 'es',
+        created_at: existing ? existing.created_at : now,
+        updated_at: now
+    };
+
+    await store.set(key, record);
+    return record;
+}
+
+async function listPushSubscriptions(email) {
+    const store = getStore(PUSH_NAMESPACE);
+    const keys = await store.list(`${hashEmail(email)}/`);
+    return (await Promise.all(keys.map((key) => store.get(key)))).filter(Boolean);
+}
+
+async function deletePushSubscriptions(email) {
+    const store = getStore(PUSH_NAMESPACE);
+    const keys = await store.list(`${hashEmail(email)}/`);
+    await Promise.all(keys.map((key) => store.delete(key)));
+    return keys.length;
+}
+
+// Forget a browser for every subscriber it was linked to (the browser unsubscribed, or the
+// push service said it is gone). Returns the removed records.
+async function removePushEndpoint(endpoint) {
+    const store = getStore(PUSH_NAMESPACE);
+    const suffix = `/${getEndpointId(endpoint)}`;
+    const keys = (await store.list()).filter((key) => key.endsWith(suffix));
+    const removed = [];
+
+    for (const key of keys) {
+        const record = await store.get(key);
+        await store.delete(key);
+        if (record) removed.push(record);
+    }
+
+    return removed;
+}
+
+// The browser replaced its subscription (pushsubscriptionchange): move every record to the new one.
+// Knowing the old endpoint is the proof, the same way it is for unsubscribing.
+async function renewPushSubscription(oldEndpoint, subscription) {
+    const removed = await removePushEndpoint(oldEndpoint);
+    const renewed = [];
+
+    for (const record of removed) {
+        renewed.push(await savePushSubscription(record.email, subscription, {
+            alertIds: record.alert_ids,
+            language: record.language
+        }));
+    }
+
+    return renewed;
+}
+
+// Push a message to every browser following this alert. Subscriptions the push service reports
+// as gone (404/410) are deleted; other failures are logged and left for the next deal.
+// Returns { sent, removed, failed }.
+async function sendPushToAlert(alert, message) {
+    const result = { sent: 0, removed: 0, failed: 0 };
+    if (!isVapidConfigured()) return result;
+
+    const subscriptions = (await listPushSubscriptions(alert.email))
+        .filter((subscription) => (subscription.alert_ids || []).includes(alert.id));
+
+    for (const subscription of subscriptions) {
+        try {
+            const response = await sendWebPush(subscription, message, {
+                topic: alert.id.replace(/[^A-Za-z0-9_-]/g, '').substring(0, 32),
+                urgency: 'high'
+            });
+
+            if (response.gone) {
+                await getStore(PUSH_NAMESPACE).delete(`${hashEmail(alert.email)}/${subscription.id}`);
+                result.removed++;
+            } else if (response.statusCode >= 200 && response.statusCode < 300) {
+                await getStore(PUSH_NAMESPACE).set(`${hashEmail(alert.email)}/${subscription.id}`, {
+                    ...subscription,
+                    last_sent_at: new Date().toISOString()
+                });
+                result.sent++;
+            } else {
+                console.warn(`Warning: Push service answered ${response.statusCode} for subscription ${subscription.id}`);
+                result.failed++;
+            }
+        } catch (error) {
+            console.warn(`Warning: Push to subscription ${subscription.id} failed: ${error.message}`);
+            result.failed++;
+        }
+    }
+
+    return result;
+}
+
+// Helper function to build the notification for a fare at or under the alert's target
+function buildPriceDropPush(alert, fare) {
+    const english = alert.language === 'en';
+    const price = `$${Math.round(fare.price)}`;
+
+    return {
+        title: english
+            ? `${alert.destination.name} for ${price}`
+            : `${alert.destination.name} por ${price}`,
+        body: english
+            ? `${fare.origin} → ${fare.destination} on ${fare.departure_date}, under your $${alert.target_price} target.`
+            : `${fare.origin} → ${fare.destination} el ${fare.departure_date}, por debajo de tu precio objetivo de $${alert.target_price}.`,
+        url: fare.deep_link || getSiteUrl(),
+        tag: `price-drop-${alert.id}`,
+        lang: english ? 'en' : 'es'
+    };
+}
+
+module.exports = {
+    PUSH_CHANNEL,
+    buildPriceDropPush,
+    createPushToken,
+    deletePushSubscriptions,
+    listPushSubscriptions,
+    removePushEndpoint,
+    renewPushSubscription,
+    savePushSubscription,
+    sendPushToAlert
+};
@@ -0,0 +1,118 @@
+const { getStore } = require('./store');
+const { hashEmail } = require('./signing');
+
+const RATE_LIMIT_NAMESPACE = 'rate-limits';
+
+// Per-endpoint limits: { limit, windowSeconds } for each key type
+const RATE_LIMITS = {
+    'custom-alert': {
+        ip: { limit: 10, windowSeconds: 10 * 60 },
+        email: { limit: 5, windowSeconds: 60 * 60 }
+    },
+    'quick-alert': {
+        ip: { limit: 15, windowSeconds: 10 * 60 },
+        email: { limit: 8, windowSeconds: 60 * 60 }
+    },
+    newsletter: {
+        ip: { limit: 5, windowSeconds: 10 * 60 },
+        email: { limit: 3, windowSeconds: 60 * 60 }
+    },
+    // "Email me a new preferences link"
+    preferences: {
+        ip: { limit: 10, windowSeconds: 10 * 60 },
+        email: { limit: 3, windowSeconds: 60 * 60 }
+    },
+    // Export/deletion verification emails
+    privacy: {
+        ip: { limit: 5, windowSeconds: 10 * 60 },
+        email: { limit: 3, windowSeconds: 24 * 60 * 60 }
+    },
+    // Browser push subscribe/unsubscribe
+    'push-subscription': {
+        ip: { limit: 20, windowSeconds: 10 * 60 },
+        email: { limit: 10, windowSeconds: 60 * 60 }
+    }
+};
+
+// Best guess at the caller's IP behind Netlify's edge
+function getClientIp(event) {
+    const headers = event.headers || {};
+    const forwarded = headers['x-nf-client-connection-ip'] ||
+        headers['x-forwarded-for'] ||
+        headers['x-real-ip'] ||
+        '';
+    return forwarded.split(',')[0].trim() || 'unknown';
+}
+
+// Lowercase, trim and drop "+tag" so alias variations share one bucket
+function normalizeEmail(email) {
+    const [localPart, domain] = String(email || '').trim().toLowerCase().split('@');
+    if (!domain) return localPart || '';
+    return `${localPart.split('+')[0]}@${domain}`;
+}
+
+// Sliding-window log: keep the timestamps of recent hits and count those inside the window.
+// Read-modify-write is not atomic, which is fine for abuse protection (a burst may slip one extra hit).
+async function hit(key, { limit, windowSeconds }) {
+    const store = getStore(RATE_LIMIT_NAMESPACE);
+    const now = Date.now();
+    const windowStart = now - windowSeconds * 1000;
+
+    const hits = ((await store.get(key)) || []).filter((timestamp) => timestamp > windowStart);
+
+    if (hits.length >= limit) {
+        const retryAfterSeconds = Math.max(1, Math.ceil((hits[0] + windowSeconds * 1000 - now) / 1000));
+        return { limited: true, retryAfterSeconds };
+    }
+
+    hits.push(now);
+    await store.set(key, hits, { ttlSeconds: windowSeconds });
+
+    return { limited: false, remaining: limit - hits.length };
+}
+
+// Check the IP and email buckets for an endpoint; returns { limited, retryAfterSeconds }
+async function checkRateLimit(endpoint, { ip, email }) {
+    const limits = RATE_LIMITS[endpoint];
+    const checks = [];
+
+    if (ip && ip !== 'unknown') checks.push(hit(`${endpoint}:ip:${ip}`, limits.ip));
+    if (email) checks.push(hit(`${endpoint}:email:${hashEmail(normalizeEmail(email))}`, limits.email));
+
+    const results = await Promise.all(checks);
+    const limited = results.filter((result) => result.limited);
+
+    if (!limited.length) return { limited: false };
+
+    return {
+        limited: true,
+        retryAfterSeconds: Math.max(...limited.map((result) => result.retryAfterSeconds))
+    };
+}
+
+// Helper function to build the 429 response returned to the browser
+function getRateLimitResponse(headers, retryAfterSeconds) {
+    const minutes = Math.ceil(retryAfterSeconds / 60);
+
+    return {
+        statusCode: 429,
+        headers: {
+            ...headers,
+            'Retry-After': String(retryAfterSeconds)
+        },
+        body: JSON.stringify({
+            error: 'Too many requests',
+            code: 'rate_limited',
+            retry_after: retryAfterSeconds,
+            message: `Demasiados intentos. Por favor espera ${minutes} ${minutes === 1 ? 'minuto' : 'minutos'} antes de intentarlo de nuevo.`
+        })
+    };
+}
+
+module.exports = {
+    RATE_LIMITS,
+    checkRateLimit,
+    getClientIp,
+    getRateLimitResponse,
+    normalizeEmail
+};
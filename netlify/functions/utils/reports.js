@@ -0,0 +1,129 @@
+const { getPriceRange } = require('./alerts');
+const { formatCsv } = require('./csv');
+
+// Signup report for the operators, built from the alert records in our store (quick and custom
+// alerts) and the consent ledger (newsletter signups, which hold no route and count under "none"
+// for every dimension but the signup source). Only confirmed signups count as signups; the ones
+// whose double opt-in link was not clicked (yet) are reported apart. For every value of every dimension:
+//   signups              -> confirmed alerts created and newsletter signups made in the date range, whatever their status now
+//   pending_signups      -> alerts and newsletter signups of the date range whose address is not confirmed
+//   active_alerts        -> alerts active today that were created by the end of the range
+//   median_target_price  -> median target price of those active alerts
+const REPORT_DIMENSIONS = {
+    destination_code: (alert) => alert.destination && alert.destination.code,
+    region: (alert) => alert.destination && alert.destination.region,
+    departure_airport: (alert) => alert.departure_airport,
+    travel_class: (alert) => alert.travel_class,
+    price_band: (alert) => getPriceRange(alert.target_price),
+    signup_source: (alert) => alert.signup_source
+};
+
+const NO_ROUTE = 'none';
+
+const CSV_COLUMNS = ['dimension', 'value', 'signups', 'pending_signups', 'active_alerts', 'median_target_price'];
+
+// The range as [start, end) ISO timestamps; `from` and `to` are inclusive YYYY-MM-DD days (UTC)
+function getReportRange(from, to) {
+    return {
+        start: `${from}T00:00:00.000Z`,
+        end: new Date(Date.parse(`${to}T00:00:00.000Z`) + 24 * 60 * 60 * 1000).toISOString()
+    };
+}
+
+// `consentRecords` are the ledger records of the range (see listConsentRecordsBetween) and
+// `confirmedEmailHashes` the subscribers who completed the double opt-in (see listConfirmedEmailHashes);
+// `dimensions` defaults to all of them
+function buildSignupReport(alerts, consentRecords, {
+    from,
+    to,
+    confirmedEmailHashes = [],
+    dimensions = Object.keys(REPORT_DIMENSIONS)
+}) {
+    const { start, end } = getReportRange(from, to);
+    const confirmed = new Set(confirmedEmailHashes);
+
+    const created = alerts.filter((alert) => alert.created_at >= start && alert.created_at < end);
+    const signups = created.filter((alert) => alert.status !== 'pending_confirmation');
+    const pendingSignups = created.filter((alert) => alert.status === 'pending_confirmation');
+    const active = alerts.filter((alert) => alert.status === 'active' && alert.created_at < end);
+
+    // The ledger has no status; a newsletter signup is confirmed once its address is
+    const newsletterRecords = consentRecords.filter((record) => record.endpoint === 'newsletter' &&
+        record.action === 'granted' && record.recorded_at >= start && record.recorded_at < end);
+    const newsletterSignups = newsletterRecords.filter((record) => confirmed.has(record.email_hash));
+    const pendingNewsletterSignups = newsletterRecords.filter((record) => !confirmed.has(record.email_hash));
+
+    const groups = {};
+    dimensions.forEach((dimension) => {
+        const rows = {};
+        const rowFor = (dimensionValue) => {
+            const value = dimensionValue || 'unknown';
+            if (!rows[value]) rows[value] = { value, signups: 0, pending_signups: 0, active_alerts: 0, prices: [] };
+            return rows[value];
+        };
+
+        signups.forEach((alert) => {
+            rowFor(REPORT_DIMENSIONS[dimension](alert)).signups += 1;
+        });
+        pendingSignups.forEach((alert) => {
+            rowFor(REPORT_DIMENSIONS[dimension](alert)).pending_signups += 1;
+        });
+        newsletterSignups.forEach((record) => {
+            rowFor(dimension === 'signup_source' ? record.form : NO_ROUTE).signups += 1;
+        });
+        pendingNewsletterSignups.forEach((record) => {
+            rowFor(dimension === 'signup_source' ? record.form : NO_ROUTE).pending_signups += 1;
+        });
+        active.forEach((alert) => {
+            const row = rowFor(REPORT_DIMENSIONS[dimension](alert));
+            row.active_alerts += 1;
+            if (Number.isFinite(alert.target_price)) row.prices.push(alert.target_price);
+        });
+
+        groups[dimension] = Object.values(rows)
+            .map(({ prices, ...row }) => ({ ...row, median_target_price: median(prices) }))
+            .sort((a, b) => b.signups - a.signups || b.active_alerts - a.active_alerts || a.value.localeCompare(b.value));
+    });
+
+    return {
+        from,
+        to,
+        generated_at: new Date().toISOString(),
+        totals: {
+            signups: signups.length + newsletterSignups.length,
+            alert_signups: signups.length,
+            newsletter_signups: newsletterSignups.length,
+            pending_signups: pendingSignups.length + pendingNewsletterSignups.length,
+            active_alerts: active.length
+        },
+        groups
+    };
+}
+
+// One row per dimension value, for spreadsheets
+function formatReportCsv(report) {
+    const rows = [CSV_COLUMNS];
+
+    Object.entries(report.groups).forEach(([dimension, groupRows]) => {
+        groupRows.forEach((row) => {
+            rows.push([dimension, row.value, row.signups, row.pending_signups, row.active_alerts, row.median_target_price]);
+        });
+    });
+
+    return formatCsv(rows);
+}
+
+function median(values) {
+    if (!values.length) return null;
+
+    const sorted = values.slice().sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+module.exports = {
+    REPORT_DIMENSIONS,
+    buildSignupReport,
+    formatReportCsv,
+    getReportRange
+};
@@ -0,0 +1,74 @@
+const crypto = require('crypto');
+
+// HMAC-signed, expiring tokens for links we email to subscribers.
+// Format: base64url(JSON payload) + "." + base64url(HMAC-SHA256 of the payload part)
+
+function getSecret() {
+    const secret = process.env.SIGNING_SECRET;
+    if (!secret) throw new Error('Missing SIGNING_SECRET configuration');
+    return secret;
+}
+
+function sign(encodedPayload) {
+    return crypto.createHmac('sha256', getSecret()).update(encodedPayload).digest('base64url');
+}
+
+// Create a token for one purpose ("confirm", "preferences", ...) valid for ttlSeconds
+function createSignedToken(purpose, data, ttlSeconds) {
+    const payload = {
+        ...data,
+        purpose: purpose,
+        exp: Math.floor(Date.now() / 1000) + ttlSeconds
+    };
+    const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+    return `${encodedPayload}.${sign(encodedPayload)}`;
+}
+
+// Returns the token payload, or null when the token is malformed, tampered, expired or for another purpose
+function verifySignedToken(purpose, token) {
+    if (typeof token !== 'string' || !token.includes('.')) return null;
+
+    const [encodedPayload, signature] = token.split('.');
+    const expected = Buffer.from(sign(encodedPayload));
+    const received = Buffer.from(signature || '');
+
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        return null;
+    }
+
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+    } catch (error) {
+        return null;
+    }
+
+    if (payload.purpose !== purpose) return null;
+    if (!payload.exp || payload.exp < Math.floor(Date.now() / 1000)) return null;
+
+    return payload;
+}
+
+// Base URL for the links we email (Netlify sets URL to the site's main address)
+function getSiteUrl() {
+    return (process.env.SITE_URL || process.env.URL || 'https://vuelosbaratosnyc.netlify.app').replace(/\/$/, '');
+}
+
+// Stable, non-reversible key for an email address (store keys, logs)
+function hashEmail(email) {
+    return crypto.createHash('sha256').update(String(email).trim().toLowerCase()).digest('hex');
+}
+
+// Keyed hash for values with few enough possibilities to brute-force a plain hash (IPs, phone numbers)
+function hashIdentifier(value) {
+    return crypto.createHmac('sha256', getSecret()).update(`id:${String(value).trim().toLowerCase()}`).digest('hex');
+}
+
+module.exports = {
+    createSignedToken,
+    getSiteUrl,
+    verifySignedToken,
+    hashEmail,
+    hashIdentifier
+};
@@ -0,0 +1,58 @@
+const { createSignedToken } = require('./signing');
+const { getAlert, summarizeAlert } = require('./alerts');
+const { LANGUAGES } = require('./validation');
+
+// Result pages for the signup forms when they are posted without JavaScript. The JSON answer is
+// squeezed into a short-lived signed token so the page can show it (and nobody can forge a
+// "you are subscribed" page) without putting the email address in the URL.
+const RESULT_TTL_SECONDS = 60 * 60;
+const RESULT_PATH = '/.netlify/functions/signup-result';
+const SIGNUP_STATUSES = ['subscribed', 'pending_confirmation', 'received'];
+
+// The formRedirect option for createHandler() on one signup endpoint
+function createSignupRedirect(signupType) {
+    return async (request, statusCode, data) => {
+        const body = request.body || {};
+        const language = LANGUAGES.includes(body.language) ? body.language : 'es';
+        const result = {
+            type: signupType,
+            language,
+            status: getResultStatus(statusCode, data)
+        };
+
+        if (result.status === 'invalid') {
+            // Only the messages travel; the page cannot refill the form anyway
+            result.errors = (data.errors || []).map((error) => ({
+                field: error.field,
+                message: (error.messages && error.messages[language]) || error.message
+            }));
+        }
+
+        if (result.status === 'rate_limited') {
+            result.retry_after = data.retry_after || null;
+        }
+
+        if (SIGNUP_STATUSES.includes(result.status)) {
+            result.expires_at = data.expires_at || null;
+
+            const alert = data.alert_id && body.email ? await getAlert(body.email, data.alert_id) : null;
+            if (alert) result.alert = summarizeAlert(alert);
+        }
+
+        const token = createSignedToken('signup-result', result, RESULT_TTL_SECONDS);
+        return `${RESULT_PATH}?token=${encodeURIComponent(token)}`;
+    };
+}
+
+// Helper function to reduce a JSON answer to the page we show for it
+function getResultStatus(statusCode, data) {
+    if (statusCode < 300 && SIGNUP_STATUSES.includes(data.status)) return data.status;
+    if (statusCode === 400 && data.errors) return 'invalid';
+    if (statusCode === 429) return 'rate_limited';
+    return 'error';
+}
+
+module.exports = {
+    RESULT_PATH,
+    createSignupRedirect
+};
@@ -0,0 +1,252 @@
+const crypto = require('crypto');
+const { getStore } = require('./store');
+const { createSignedToken, getSiteUrl } = require('./signing');
+const { activateAlerts, getAlertProfileProperties, saveAlert } = require('./alerts');
+const { enqueueOutbox } = require('./outbox');
+const { isPermanentError } = require('./email-provider');
+const { createPreferencesUrl } = require('./preferences');
+const { getSubscriber, updateSubscriber } = require('./subscribers');
+const { CONSENT_TEXT_VERSION } = require('./channels');
+
+// Double opt-in: unconfirmed addresses are parked here until the subscriber clicks the emailed link
+const CONFIRMATION_TTL_SECONDS = 48 * 60 * 60;
+const PENDING_NAMESPACE = 'pending-signups';
+
+// Park a signup as pending and emit the event whose automation emails the confirmation link.
+// `signup` is { email, phone, channels, signupType, source, language, properties, events: [{ name, properties }], alertIds, alertChanges }
+// where phone (E.164) and channels (['email', 'sms', 'whatsapp']) come from channels.js and
+// alertChanges holds the submitted fields of alerts that only change once the signup is confirmed.
+async function requestConfirmation(emailProvider, signup) {
+    const pendingId = crypto.randomBytes(16).toString('hex');
+    const expiresAt = new Date(Date.now() + CONFIRMATION_TTL_SECONDS * 1000).toISOString();
+
+    await getStore(PENDING_NAMESPACE).set(pendingId, {
+        ...signup,
+        requested_at: new Date().toISOString(),
+        expires_at: expiresAt,
+        // The confirmation is recorded against the consent text the visitor actually saw
+        // (imports set their own, since those people never saw the site's)
+        consent_text_version: signup.consent_text_version || CONSENT_TEXT_VERSION
+    }, { ttlSeconds: CONFIRMATION_TTL_SECONDS });
+
+    const token = createSignedToken('confirm', { id: pendingId }, CONFIRMATION_TTL_SECONDS);
+    const confirmationUrl = `${getSiteUrl()}/.netlify/functions/confirm?token=${encodeURIComponent(token)}`;
+
+    const event = {
+        email: signup.email,
+        name: 'Signup Confirmation Requested',
+        properties: {
+            confirmation_url: confirmationUrl,
+            signup_type: signup.signupType,
+            signup_source: signup.source,
+            language: signup.language,
+            destination: signup.properties.destination || null,
+            expires_at: expiresAt
+        }
+    };
+
+    try {
+        await emailProvider.trackEvent(event);
+    } catch (error) {
+        // A rejected email address is the visitor's to fix; anything else is replayed later
+        if (isPermanentError(error)) throw error;
+        await enqueueOutbox('confirmation', { event }, { error });
+        return { expiresAt, queued: true };
+    }
+
+    return { expiresAt, queued: false };
+}
+
+// Replay a confirmation email that could not be sent during the request
+async function resumeConfirmation(emailProvider, payload) {
+    try {
+        await emailProvider.trackEvent(payload.event);
+        return { payload: null };
+    } catch (error) {
+        return { payload, error, permanent: isPermanentError(error) };
+    }
+}
+
+// Load a pending signup (null when it expired or was already confirmed)
+async function getPendingSignup(pendingId) {
+    return getStore(PENDING_NAMESPACE).get(pendingId);
+}
+
+async function deletePendingSignup(pendingId) {
+    await getStore(PENDING_NAMESPACE).delete(pendingId);
+}
+
+// Pending signups for one email as [{ id, signup }]. Keys are random, so this walks them all;
+// there are only ever a couple of days' worth.
+async function findPendingSignups(email) {
+    const store = getStore(PENDING_NAMESPACE);
+    const normalized = String(email).trim().toLowerCase();
+    const found = [];
+
+    for (const id of await store.list()) {
+        const signup = await store.get(id);
+        if (signup && signup.email === normalized) found.push({ id, signup });
+    }
+
+    return found;
+}
+
+// Write a confirmed signup to the email provider: contact, list subscription, SMS consent, then events.
+// Steps the provider did not accept go to the outbox and are replayed by replay-outbox, so the
+// signup is never lost; `queued` tells the caller some of it is still on its way.
+async function completeSignup(emailProvider, signup) {
+    // Alerts created or changed before the confirmation go live now; the provider gets the full list of them
+    await activateAlerts(signup.email, signup.alertIds, signup.alertChanges);
+
+    // Signing up again undoes an earlier "unsubscribe from everything" in the preference center
+    await updateSubscriber(signup.email, {
+        unsubscribed_at: null,
+        ...(signup.signupType === 'newsletter' ? { newsletter: true, newsletter_unsubscribed_at: null } : {})
+    });
+
+    const job = {
+        signup,
+        confirmedAt: new Date().toISOString(),
+        steps: ['profile', 'subscription']
+            .concat(signup.phone && (signup.channels || []).includes('sms') ? ['sms'] : [])
+            .concat((signup.events || []).map((event, index) => `event:${index}`))
+    };
+
+    const result = await runSignupSteps(emailProvider, job);
+
+    if (result.remaining.length) {
+        // The visitor can still fix an address the provider rejects, as long as nothing was written yet
+        if (result.permanent && result.remaining[0] === 'profile') throw result.error;
+
+        await enqueueOutbox('signup', { ...job, steps: result.remaining }, {
+            error: result.error,
+            deadLetter: result.permanent
+        });
+    }
+
+    return { profileId: result.profileId, queued: result.remaining.length > 0 };
+}
+
+// Replay the steps of a signup that are still missing at the email provider
+async function resumeSignup(emailProvider, job) {
+    const result = await runSignupSteps(emailProvider, job);
+    return {
+        payload: result.remaining.length ? { ...job, steps: result.remaining } : null,
+        error: result.error,
+        permanent: result.permanent
+    };
+}
+
+// Helper function to run signup steps. Nothing else is attempted without a profile;
+// after that every step stands on its own. Returns { profileId, remaining, error, permanent }.
+async function runSignupSteps(emailProvider, job) {
+    const { signup } = job;
+    const remaining = [];
+    let profileId = null;
+    let lastError = null;
+    let permanent = true;
+
+    for (const step of job.steps) {
+        try {
+            if (step === 'profile') {
+                // Recomputed on every attempt so a replay carries the subscriber's current alerts
+                const alertProperties = await getAlertProfileProperties(signup.email);
+                profileId = await emailProvider.upsertContact({
+                    email: signup.email,
+                    phone: signup.phone || null,
+                    properties: {
+                        ...signup.properties,
+                        ...alertProperties,
+                        marketing_consent: true,
+                        consent_confirmed_at: job.confirmedAt,
+                        consent_text_version: signup.consent_text_version || CONSENT_TEXT_VERSION,
+                        last_updated: new Date().toISOString()
+                    }
+                });
+            } else if (step === 'subscription') {
+                await emailProvider.addToList({ email: signup.email, source: signup.source });
+            } else if (step === 'sms') {
+                await emailProvider.subscribeSms({ email: signup.email, phone: signup.phone, source: signup.source });
+            } else {
+                // Every signup email carries a fresh link to the preference center
+                const event = signup.events[Number(step.split(':')[1])];
+                await emailProvider.trackEvent({
+                    email: signup.email,
+                    name: event.name,
+                    properties: {
+                        ...event.properties,
+                        preferences_url: createPreferencesUrl(signup.email)
+                    }
+                });
+            }
+        } catch (error) {
+            console.warn(`Warning: Signup step "${step}" failed: ${error.message}`);
+            lastError = error;
+            // Only worth dead-lettering when every failure is one the provider will keep rejecting
+            permanent = permanent && isPermanentError(error);
+
+            if (step === 'profile') {
+                return { profileId: null, remaining: job.steps.slice(), error, permanent };
+            }
+            remaining.push(step);
+        }
+    }
+
+    return { profileId, remaining, error: lastError, permanent: Boolean(lastError) && permanent };
+}
+
+// Confirmed subscribers go straight to the email provider, everyone else gets a confirmation email first.
+// So does anyone who unsubscribed from everything, or from the newsletter they sign up for again:
+// only the owner of the mailbox may undo that.
+// When `signup.alert` is set the alert record is saved first and its ID is attached to the events.
+async function processSignup(emailProvider, signup) {
+    const subscriber = await getSubscriber(signup.email);
+    const confirmed = Boolean(subscriber) && !subscriber.unsubscribed_at &&
+        !(signup.signupType === 'newsletter' && subscriber.newsletter_unsubscribed_at);
+    const { alert: alertFields, ...rest } = signup;
+    let alert = null;
+    let pendingSignup = rest;
+
+    if (alertFields) {
+        alert = await saveAlert(signup.email, alertFields, {
+            status: confirmed ? 'active' : 'pending_confirmation',
+            pendingTtlSeconds: CONFIRMATION_TTL_SECONDS
+        });
+
+        pendingSignup = {
+            ...rest,
+            alertIds: [alert.id],
+            ...(confirmed ? {} : { alertChanges: { [alert.id]: alertFields } }),
+            events: (rest.events || []).map((event) => ({
+                ...event,
+                properties: { alert_id: alert.id, ...event.properties }
+            }))
+        };
+    }
+
+    const alertId = alert ? alert.id : null;
+
+    if (confirmed) {
+        const { profileId, queued } = await completeSignup(emailProvider, pendingSignup);
+
+        // Without a contact nothing reached the provider yet; the outbox finishes the job
+        if (!profileId) return { status: 'received', alertId };
+        return { status: 'subscribed', profileId, alertId, queued };
+    }
+
+    const { expiresAt, queued } = await requestConfirmation(emailProvider, pendingSignup);
+    return { status: 'pending_confirmation', expiresAt, alertId, queued };
+}
+
+module.exports = {
+    CONFIRMATION_TTL_SECONDS,
+    PENDING_NAMESPACE,
+    completeSignup,
+    deletePendingSignup,
+    findPendingSignups,
+    getPendingSignup,
+    processSignup,
+    requestConfirmation,
+    resumeConfirmation,
+    resumeSignup
+};
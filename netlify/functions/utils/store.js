@@ -0,0 +1,141 @@
+// Small key/value store used by the handlers for state the email provider cannot hold for us.
+// STORE_BACKEND=memory keeps everything in the function instance (local dev only);
+// anything else uses Netlify Blobs, which persists across instances and deploys.
+
+const memoryNamespaces = new Map();
+let blobsModule = null;
+let blobsCredentials = null;
+
+// Netlify Blobs needs the Lambda event to find its credentials in Lambda-compatible functions
+function connectStore(event) {
+    if (getBackendName() !== 'blobs' || !event || !event.blobs) return;
+    getBlobsModule().connectLambda(event);
+}
+
+// Scripts run outside Netlify pass the site ID and a personal access token instead
+function connectStoreWithToken(siteID, token) {
+    blobsCredentials = { siteID, token };
+}
+
+// Get a namespaced store ({ get, set, delete, list, purgeExpired })
+function getStore(namespace) {
+    return getBackendName() === 'memory'
+        ? createMemoryStore(namespace)
+        : createBlobsStore(namespace);
+}
+
+function getBackendName() {
+    if (process.env.STORE_BACKEND) return process.env.STORE_BACKEND;
+    return process.env.NETLIFY_DEV === 'true' ? 'memory' : 'blobs';
+}
+
+function getBlobsModule() {
+    if (!blobsModule) blobsModule = require('@netlify/blobs');
+    return blobsModule;
+}
+
+// Helper function to wrap a value with its optional expiry
+function wrap(value, options = {}) {
+    return {
+        value: value,
+        expiresAt: options.ttlSeconds ? Date.now() + options.ttlSeconds * 1000 : null
+    };
+}
+
+function isExpired(entry) {
+    return Boolean(entry && entry.expiresAt && entry.expiresAt <= Date.now());
+}
+
+// In-memory backend: a Map per namespace, shared by every call in this function instance
+function createMemoryStore(namespace) {
+    if (!memoryNamespaces.has(namespace)) memoryNamespaces.set(namespace, new Map());
+    const entries = memoryNamespaces.get(namespace);
+
+    return {
+        async get(key) {
+            const entry = entries.get(key);
+            if (!entry) return null;
+            if (isExpired(entry)) {
+                entries.delete(key);
+                return null;
+            }
+            return entry.value;
+        },
+
+        async set(key, value, options) {
+            entries.set(key, wrap(value, options));
+        },
+
+        async delete(key) {
+            entries.delete(key);
+        },
+
+        async list(prefix = '') {
+            return Array.from(entries.keys()).filter((key) => key.startsWith(prefix));
+        },
+
+        async purgeExpired() {
+            let purged = 0;
+            entries.forEach((entry, key) => {
+                if (isExpired(entry)) {
+                    entries.delete(key);
+                    purged++;
+                }
+            });
+            return purged;
+        }
+    };
+}
+
+// Netlify Blobs backend: one blob store per namespace, JSON values
+function createBlobsStore(namespace) {
+    const store = getBlobsModule().getStore(blobsCredentials
+        ? { name: namespace, ...blobsCredentials }
+        : namespace);
+
+    return {
+        async get(key) {
+            const entry = await store.get(key, { type: 'json' });
+            if (!entry) return null;
+            if (isExpired(entry)) {
+                await store.delete(key);
+                return null;
+            }
+            return entry.value;
+        },
+
+        async set(key, value, options) {
+            await store.setJSON(key, wrap(value, options));
+        },
+
+        async delete(key) {
+            await store.delete(key);
+        },
+
+        async list(prefix = '') {
+            const { blobs } = await store.list(prefix ? { prefix } : {});
+            return blobs.map((blob) => blob.key);
+        },
+
+        async purgeExpired() {
+            const { blobs } = await store.list();
+            let purged = 0;
+
+            for (const blob of blobs) {
+                const entry = await store.get(blob.key, { type: 'json' });
+                if (isExpired(entry)) {
+                    await store.delete(blob.key);
+                    purged++;
+                }
+            }
+
+            return purged;
+        }
+    };
+}
+
+module.exports = {
+    connectStore,
+    connectStoreWithToken,
+    getStore
+};
@@ -0,0 +1,63 @@
+const { getStore } = require('./store');
+const { hashEmail } = require('./signing');
+
+// One record per email that completed the double opt-in, keyed by the email hash:
+// { email, confirmed_at, language, newsletter, newsletter_unsubscribed_at, unsubscribed_at, updated_at }
+// Everything but confirmed_at is set from the preference center.
+const SUBSCRIBERS_NAMESPACE = 'confirmed-subscribers';
+
+async function getSubscriber(email) {
+    return getStore(SUBSCRIBERS_NAMESPACE).get(hashEmail(email));
+}
+
+// Whether this email has already confirmed a signup once
+async function isConfirmedSubscriber(email) {
+    const record = await getSubscriber(email);
+    return Boolean(record);
+}
+
+async function markConfirmedSubscriber(email) {
+    const existing = await getSubscriber(email);
+
+    await getStore(SUBSCRIBERS_NAMESPACE).set(hashEmail(email), {
+        ...(existing || {}),
+        email: String(email).trim().toLowerCase(),
+        confirmed_at: new Date().toISOString()
+    });
+}
+
+// Apply changes to a confirmed subscriber; returns the updated record or null when there is none
+async function updateSubscriber(email, changes) {
+    const existing = await getSubscriber(email);
+    if (!existing) return null;
+
+    const updated = {
+        ...existing,
+        ...changes,
+        email: String(email).trim().toLowerCase(),
+        confirmed_at: existing.confirmed_at,
+        updated_at: new Date().toISOString()
+    };
+
+    await getStore(SUBSCRIBERS_NAMESPACE).set(hashEmail(email), updated);
+    return updated;
+}
+
+// Email hashes of everyone who completed the double opt-in (the store keys), for reports
+async function listConfirmedEmailHashes() {
+    return getStore(SUBSCRIBERS_NAMESPACE).list();
+}
+
+async function deleteSubscriber(email) {
+    await getStore(SUBSCRIBERS_NAMESPACE).delete(hashEmail(email));
+}
+
+module.exports = {
+    SUBSCRIBERS_NAMESPACE,
+    deleteSubscriber,
+    getSubscriber,
+    isConfirmedSubscriber,
+    listConfirmedEmailHashes,
+    markConfirmedSubscriber,
+    updateSubscriber
+};
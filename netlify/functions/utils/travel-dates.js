@@ -0,0 +1,195 @@
+// Concrete travel windows for alerts.
+//
+// Every alert stores `travel_dates`:
+//   { departure_from, departure_to, return_from, return_to, min_nights, max_nights, source, rolling }
+// with ISO dates (YYYY-MM-DD). `source` is 'timeframe' when resolved from a bucket at signup and
+// 'exact' when the subscriber picked dates. 'flexible' windows are `rolling`: the monitor keeps
+// moving them forward instead of letting them run out.
+
+const TIMEFRAMES = ['1month', '3months', '6months', '1year', 'flexible'];
+
+// Days ahead covered by each timeframe bucket
+const TIMEFRAME_DAYS = {
+    '1month': 30,
+    '3months': 90,
+    '6months': 180,
+    '1year': 365,
+    flexible: 180
+};
+
+// Nobody books a deal leaving tomorrow, and airlines rarely publish fares further out than a year
+const MIN_DAYS_AHEAD = 3;
+const MAX_DAYS_AHEAD = 365;
+const MAX_TRIP_NIGHTS = 60;
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Resolve the submitted dates into a travel window.
+// Returns { travelDates, timeframe } or { error: { field, code, params } } for a 400 response.
+function resolveTravelDates(data, now = new Date()) {
+    const hasExactDates = Boolean(data.departure_date_from || data.departure_date_to);
+    const hasReturnDates = Boolean(data.return_date_from || data.return_date_to);
+    const hasTripLength = Boolean(data.trip_length_min || data.trip_length_max);
+
+    if (!hasExactDates && hasReturnDates) {
+        return { error: { field: 'departure_date_from', code: 'required' } };
+    }
+
+    let window;
+    if (hasExactDates) {
+        window = resolveExactWindow(data, now);
+        if (window.error) return window;
+    } else {
+        const timeframe = TIMEFRAMES.includes(data.timeframe) ? data.timeframe : 'flexible';
+        window = {
+            timeframe,
+            travelDates: {
+                ...getTimeframeWindow(timeframe, now),
+                return_from: null,
+                return_to: null,
+                source: 'timeframe',
+                rolling: timeframe === 'flexible'
+            }
+        };
+    }
+
+    const tripLength = hasTripLength ? parseTripLength(data) : { minNights: null, maxNights: null };
+    if (tripLength.error) return tripLength;
+
+    return {
+        timeframe: window.timeframe,
+        travelDates: {
+            ...window.travelDates,
+            min_nights: tripLength.minNights,
+            max_nights: tripLength.maxNights
+        }
+    };
+}
+
+// Departure window for a bucket, starting a few days from `now`
+function getTimeframeWindow(timeframe, now = new Date()) {
+    const days = TIMEFRAME_DAYS[timeframe] || TIMEFRAME_DAYS.flexible;
+    return {
+        departure_from: formatDate(addDays(now, MIN_DAYS_AHEAD)),
+        departure_to: formatDate(addDays(now, days))
+    };
+}
+
+// The window the fare monitor should search today, or null once the travel dates have passed.
+// Alerts created before travel_dates existed fall back to their timeframe bucket.
+function getSearchWindow(alert, now = new Date()) {
+    const stored = alert.travel_dates;
+    if (!stored || stored.rolling) {
+        return {
+            ...getTimeframeWindow(stored ? 'flexible' : alert.timeframe, now),
+            return_from: null,
+            return_to: null,
+            min_nights: stored ? stored.min_nights : null,
+            max_nights: stored ? stored.max_nights : null
+        };
+    }
+
+    const earliest = formatDate(addDays(now, MIN_DAYS_AHEAD));
+    if (stored.departure_to < earliest) return null;
+
+    return {
+        ...stored,
+        departure_from: stored.departure_from < earliest ? earliest : stored.departure_from
+    };
+}
+
+// Helper function to validate a user-picked departure (and optional return) range
+function resolveExactWindow(data, now) {
+    const departureFrom = data.departure_date_from || data.departure_date_to;
+    const departureTo = data.departure_date_to || data.departure_date_from;
+    const earliest = formatDate(addDays(now, MIN_DAYS_AHEAD));
+    const latest = formatDate(addDays(now, MAX_DAYS_AHEAD));
+
+    if (!isIsoDate(departureFrom)) {
+        return { error: { field: 'departure_date_from', code: 'invalid_date' } };
+    }
+    if (!isIsoDate(departureTo)) {
+        return { error: { field: 'departure_date_to', code: 'invalid_date' } };
+    }
+    if (departureFrom > departureTo) {
+        return { error: { field: 'departure_date_to', code: 'range_reversed' } };
+    }
+    if (departureFrom < earliest) {
+        return { error: { field: 'departure_date_from', code: 'date_too_soon', params: { days: MIN_DAYS_AHEAD } } };
+    }
+    if (departureTo > latest) {
+        return { error: { field: 'departure_date_to', code: 'date_too_far', params: { days: MAX_DAYS_AHEAD } } };
+    }
+
+    let returnFrom = null;
+    let returnTo = null;
+    if (data.return_date_from || data.return_date_to) {
+        returnFrom = data.return_date_from || data.return_date_to;
+        returnTo = data.return_date_to || data.return_date_from;
+
+        if (!isIsoDate(returnFrom)) {
+            return { error: { field: 'return_date_from', code: 'invalid_date' } };
+        }
+        if (!isIsoDate(returnTo)) {
+            return { error: { field: 'return_date_to', code: 'invalid_date' } };
+        }
+        if (returnFrom > returnTo) {
+            return { error: { field: 'return_date_to', code: 'range_reversed' } };
+        }
+        if (returnFrom < departureFrom) {
+            return { error: { field: 'return_date_from', code: 'return_before_departure' } };
+        }
+    }
+
+    return {
+        timeframe: 'custom',
+        travelDates: {
+            departure_from: departureFrom,
+            departure_to: departureTo,
+            return_from: returnFrom,
+            return_to: returnTo,
+            source: 'exact',
+            rolling: false
+        }
+    };
+}
+
+// Helper function to validate the trip length (nights at the destination)
+function parseTripLength(data) {
+    const minNights = parseInt(data.trip_length_min || data.trip_length_max, 10);
+    const maxNights = parseInt(data.trip_length_max || data.trip_length_min, 10);
+
+    if (!Number.isInteger(minNights) || !Number.isInteger(maxNights) ||
+        minNights < 1 || maxNights > MAX_TRIP_NIGHTS || minNights > maxNights) {
+        return { error: { field: 'trip_length_max', code: 'invalid_trip_length', params: { max: MAX_TRIP_NIGHTS } } };
+    }
+
+    return { minNights, maxNights };
+}
+
+function isIsoDate(value) {
+    if (typeof value !== 'string' || !ISO_DATE.test(value)) return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !Number.isNaN(date.getTime()) && formatDate(date) === value;
+}
+
+function addDays(date, days) {
+    const result = new Date(date);
+    result.setUTCDate(result.getUTCDate() + days);
+    return result;
+}
+
+function formatDate(date) {
+    return date.toISOString().substring(0, 10);
+}
+
+module.exports = {
+    MAX_DAYS_AHEAD,
+    MAX_TRIP_NIGHTS,
+    MIN_DAYS_AHEAD,
+    TIMEFRAMES,
+    TIMEFRAME_DAYS,
+    getSearchWindow,
+    getTimeframeWindow,
+    resolveTravelDates
+};
@@ -0,0 +1,394 @@
+const { CABIN_CLASSES, NYC_AIRPORTS } = require('./fares');
+const { MAX_TRIP_NIGHTS, TIMEFRAMES } = require('./travel-dates');
+const { MAX_PHONE_INPUT_LENGTH, normalizePhone } = require('./phone');
+const { REPORT_DIMENSIONS } = require('./reports');
+const { REGIONS } = require('./destinations');
+
+// Request schemas per endpoint. Each field is { type, required, default, ... } where type is
+// 'string' (maxLength, pattern, uppercase), 'email', 'enum' (values, uppercase), 'number'
+// (min, max, integer), 'date' (YYYY-MM-DD), 'datetime' (ISO 8601 with a time zone, normalized to
+// UTC), 'phone' (normalized to E.164), 'url' (http/https, maxLength) or 'boolean'.
+// Fields not listed in the schema are dropped.
+const LANGUAGES = ['es', 'en'];
+const DEPARTURE_AIRPORTS = NYC_AIRPORTS.concat('ALL');
+const MAX_TEXT_LENGTH = 255;
+
+const TRACKING_FIELDS = {
+    language: { type: 'enum', values: LANGUAGES, default: 'es' },
+    alert_type: { type: 'string', maxLength: 50 },
+    signup_source: { type: 'string', maxLength: 100 },
+    location: { type: 'string', maxLength: 50 }
+};
+
+// Optional phone for SMS/WhatsApp alerts; channels.js checks it against the consent boxes
+const PHONE_FIELDS = {
+    phone: { type: 'phone' },
+    sms_consent: { type: 'boolean', default: false },
+    whatsapp_consent: { type: 'boolean', default: false }
+};
+
+const SCHEMAS = {
+    'custom-alert': {
+        email: { type: 'email', required: true },
+        destination: { type: 'string', required: true, maxLength: 100 },
+        destination_code: { type: 'string', maxLength: 3, pattern: /^[A-Z]{3}$/, uppercase: true },
+        departure_airport: { type: 'enum', required: true, values: DEPARTURE_AIRPORTS, uppercase: true },
+        timeframe: { type: 'enum', values: TIMEFRAMES },
+        departure_date_from: { type: 'date' },
+        departure_date_to: { type: 'date' },
+        return_date_from: { type: 'date' },
+        return_date_to: { type: 'date' },
+        trip_length_min: { type: 'number', integer: true, min: 1, max: MAX_TRIP_NIGHTS },
+        trip_length_max: { type: 'number', integer: true, min: 1, max: MAX_TRIP_NIGHTS },
+        travel_class: { type: 'enum', values: CABIN_CLASSES, default: 'economy' },
+        target_price: { type: 'number', required: true, min: 50, max: 20000 },
+        ...PHONE_FIELDS,
+        ...TRACKING_FIELDS
+    },
+    'quick-alert': {
+        email: { type: 'email', required: true },
+        destination: { type: 'string', required: true, maxLength: 100 },
+        departure_airport: { type: 'enum', values: DEPARTURE_AIRPORTS, uppercase: true, default: 'ALL' },
+        timeframe: { type: 'enum', values: TIMEFRAMES, default: 'flexible' },
+        travel_class: { type: 'enum', values: CABIN_CLASSES, default: 'economy' },
+        target_price: { type: 'number', required: true, min: 50, max: 20000 },
+        ...PHONE_FIELDS,
+        ...TRACKING_FIELDS
+    },
+    newsletter: {
+        email: { type: 'email', required: true },
+        ...TRACKING_FIELDS
+    },
+    // Preference center forms (the subscriber comes from the signed link, not the body)
+    'preferences-alert': {
+        alert_id: { type: 'string', required: true, maxLength: 20, pattern: /^alt_[a-f0-9]{16}$/ },
+        target_price: { type: 'number', required: true, min: 50, max: 20000 },
+        departure_airport: { type: 'enum', required: true, values: DEPARTURE_AIRPORTS, uppercase: true },
+        travel_class: { type: 'enum', required: true, values: CABIN_CLASSES },
+        timeframe: { type: 'enum', values: TIMEFRAMES }
+    },
+    'preferences-language': {
+        language: { type: 'enum', required: true, values: LANGUAGES }
+    },
+    'preferences-link': {
+        email: { type: 'email', required: true },
+        language: { type: 'enum', values: LANGUAGES, default: 'es' }
+    },
+    'privacy-request': {
+        email: { type: 'email', required: true },
+        request: { type: 'enum', required: true, values: ['export', 'delete'] },
+        language: { type: 'enum', values: LANGUAGES, default: 'es' }
+    },
+    // Browser push subscriptions, flattened from PushSubscription.toJSON(). The signup's push token
+    // says which subscriber and alerts; a renewal proves itself with the old endpoint instead.
+    'push-subscription': {
+        endpoint: { type: 'url', required: true, maxLength: 1000 },
+        p256dh: { type: 'string', required: true, maxLength: 100, pattern: /^[A-Za-z0-9_-]+=*$/ },
+        auth: { type: 'string', required: true, maxLength: 40, pattern: /^[A-Za-z0-9_-]+=*$/ },
+        old_endpoint: { type: 'url', maxLength: 1000 },
+        language: { type: 'enum', values: LANGUAGES, default: 'es' }
+    },
+    'push-unsubscribe': {
+        endpoint: { type: 'url', required: true, maxLength: 1000 }
+    },
+    // Operator lookup on the consent ledger
+    'consent-lookup': {
+        email: { type: 'email', required: true }
+    },
+    'signup-report': {
+        from: { type: 'date' },
+        to: { type: 'date' },
+        group_by: { type: 'enum', values: Object.keys(REPORT_DIMENSIONS) },
+        format: { type: 'enum', values: ['json', 'csv'], default: 'json' }
+    },
+    // Curated deals, written by the operators (id only when updating an existing deal)
+    deal: {
+        id: { type: 'string', maxLength: 21, pattern: /^deal_[a-f0-9]{16}$/ },
+        origin_airport: { type: 'enum', required: true, values: NYC_AIRPORTS, uppercase: true },
+        destination: { type: 'string', required: true, maxLength: 100 },
+        destination_code: { type: 'string', maxLength: 3, pattern: /^[A-Z]{3}$/, uppercase: true },
+        price: { type: 'number', required: true, min: 1, max: 20000 },
+        travel_class: { type: 'enum', values: CABIN_CLASSES, default: 'economy' },
+        travel_from: { type: 'date', required: true },
+        travel_to: { type: 'date' },
+        airline: { type: 'string', maxLength: 60 },
+        expires_at: { type: 'datetime', required: true },
+        title: { type: 'string', maxLength: 140 },
+        blurb: { type: 'string', required: true, maxLength: 600 },
+        url: { type: 'url', maxLength: 1000 }
+    },
+    'deals-feed': {
+        format: { type: 'enum', values: ['json', 'rss', 'atom'], default: 'json' },
+        region: { type: 'enum', values: REGIONS },
+        departure_airport: { type: 'enum', values: NYC_AIRPORTS, uppercase: true },
+        limit: { type: 'number', integer: true, min: 1, max: 100 }
+    }
+};
+
+// Error codes to user-facing messages
+const MESSAGES = {
+    required: {
+        es: () => 'Este campo es obligatorio',
+        en: () => 'This field is required'
+    },
+    invalid_type: {
+        es: () => 'El valor no es válido',
+        en: () => 'The value is not valid'
+    },
+    invalid_email: {
+        es: () => 'Ingresa un email válido, por ejemplo tu@email.com',
+        en: () => 'Enter a valid email, for example you@email.com'
+    },
+    invalid_option: {
+        es: () => 'Selecciona una de las opciones disponibles',
+        en: () => 'Choose one of the available options'
+    },
+    invalid_phone: {
+        es: () => 'Ingresa un teléfono válido, por ejemplo (212) 555-1234 o +1 212 555 1234',
+        en: () => 'Enter a valid phone number, for example (212) 555-1234 or +1 212 555 1234'
+    },
+    phone_required: {
+        es: () => 'Ingresa tu teléfono para recibir alertas por SMS o WhatsApp',
+        en: () => 'Enter your phone number to get SMS or WhatsApp alerts'
+    },
+    consent_required: {
+        es: () => 'Marca SMS o WhatsApp para autorizar los mensajes a tu teléfono, o deja el teléfono vacío',
+        en: () => 'Tick SMS or WhatsApp to allow messages to your phone, or leave the phone empty'
+    },
+    invalid_format: {
+        es: () => 'El formato no es válido',
+        en: () => 'The format is not valid'
+    },
+    too_long: {
+        es: ({ max }) => `Usa como máximo ${max} caracteres`,
+        en: ({ max }) => `Use at most ${max} characters`
+    },
+    too_small: {
+        es: ({ min }) => `Debe ser al menos ${min}`,
+        en: ({ min }) => `Must be at least ${min}`
+    },
+    too_large: {
+        es: ({ max }) => `Debe ser como máximo ${max}`,
+        en: ({ max }) => `Must be at most ${max}`
+    },
+    not_integer: {
+        es: () => 'Debe ser un número entero',
+        en: () => 'Must be a whole number'
+    },
+    invalid_date: {
+        es: () => 'Ingresa una fecha válida',
+        en: () => 'Enter a valid date'
+    },
+    date_too_soon: {
+        es: ({ days }) => `La fecha debe ser al menos ${days} días a partir de hoy`,
+        en: ({ days }) => `The date must be at least ${days} days from today`
+    },
+    date_too_far: {
+        es: ({ days }) => `La fecha debe estar dentro de los próximos ${days} días`,
+        en: ({ days }) => `The date must be within the next ${days} days`
+    },
+    date_in_past: {
+        es: () => 'La fecha ya pasó',
+        en: () => 'The date has already passed'
+    },
+    range_reversed: {
+        es: () => 'La fecha final es anterior a la fecha inicial',
+        en: () => 'The end date is before the start date'
+    },
+    return_before_departure: {
+        es: () => 'El regreso debe ser después de la salida',
+        en: () => 'The return must be after the departure'
+    },
+    invalid_trip_length: {
+        es: ({ max }) => `La duración debe estar entre 1 y ${max} noches, con el mínimo menor que el máximo`,
+        en: ({ max }) => `Trip length must be between 1 and ${max} nights, with the minimum below the maximum`
+    },
+    disposable_email: {
+        es: () => 'Usa un email permanente; no aceptamos direcciones temporales',
+        en: () => 'Use a permanent email; temporary addresses are not accepted'
+    },
+    email_domain_no_mx: {
+        es: () => 'Ese dominio no puede recibir emails, revisa que esté bien escrito',
+        en: () => 'That domain cannot receive email, check that it is spelled correctly'
+    },
+    captcha_required: {
+        es: () => 'Completa la verificación de seguridad',
+        en: () => 'Complete the security check'
+    },
+    captcha_failed: {
+        es: () => 'No pudimos completar la verificación de seguridad, inténtalo de nuevo',
+        en: () => 'We could not complete the security check, please try again'
+    }
+};
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const ISO_DATETIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/;
+
+// Validate and normalize a request body against an endpoint schema.
+// Returns { value, errors } where errors is [{ field, code, params }].
+function validateRequest(endpoint, data) {
+    const schema = SCHEMAS[endpoint];
+    if (!schema) throw new Error(`No validation schema for endpoint: ${endpoint}`);
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return { value: {}, errors: [{ field: 'body', code: 'invalid_type' }] };
+    }
+
+    const value = {};
+    const errors = [];
+
+    Object.entries(schema).forEach(([field, rule]) => {
+        const raw = data[field];
+        const missing = raw === undefined || raw === null || (typeof raw === 'string' && raw.trim() === '');
+
+        if (missing) {
+            if (rule.required) {
+                errors.push({ field, code: 'required' });
+            } else if (rule.default !== undefined) {
+                value[field] = rule.default;
+            }
+            return;
+        }
+
+        const result = validateField(raw, rule);
+        if (result.error) {
+            errors.push({ field, ...result.error });
+        } else {
+            value[field] = result.value;
+        }
+    });
+
+    return { value, errors };
+}
+
+// Helper function to check one value against its rule
+function validateField(raw, rule) {
+    if (rule.type === 'number') {
+        const number = typeof raw === 'number' ? raw : (typeof raw === 'string' ? Number(raw.trim()) : NaN);
+        if (!Number.isFinite(number)) return { error: { code: 'invalid_type' } };
+        if (rule.integer && !Number.isInteger(number)) return { error: { code: 'not_integer' } };
+        if (rule.min !== undefined && number < rule.min) return { error: { code: 'too_small', params: { min: rule.min } } };
+        if (rule.max !== undefined && number > rule.max) return { error: { code: 'too_large', params: { max: rule.max } } };
+        return { value: number };
+    }
+
+    if (rule.type === 'boolean') {
+        if (raw === true || raw === 'true' || raw === 'on' || raw === '1' || raw === 1) return { value: true };
+        if (raw === false || raw === 'false' || raw === 'off' || raw === '0' || raw === 0) return { value: false };
+        return { error: { code: 'invalid_type' } };
+    }
+
+    if (typeof raw !== 'string' && typeof raw !== 'number') return { error: { code: 'invalid_type' } };
+
+    let text = String(raw).trim();
+    if (rule.uppercase) text = text.toUpperCase();
+
+    switch (rule.type) {
+        case 'email':
+            text = text.toLowerCase();
+            if (text.length > 254) return { error: { code: 'too_long', params: { max: 254 } } };
+            if (!EMAIL_REGEX.test(text)) return { error: { code: 'invalid_email' } };
+            return { value: text };
+
+        case 'enum':
+            if (!rule.values.includes(text)) return { error: { code: 'invalid_option' } };
+            return { value: text };
+
+        case 'date':
+            if (!isIsoDate(text)) return { error: { code: 'invalid_date' } };
+            return { value: text };
+
+        case 'datetime': {
+            const time = ISO_DATETIME.test(text) ? Date.parse(text) : NaN;
+            if (Number.isNaN(time)) return { error: { code: 'invalid_date' } };
+            return { value: new Date(time).toISOString() };
+        }
+
+        case 'url': {
+            const maxLength = rule.maxLength || MAX_TEXT_LENGTH;
+            if (text.length > maxLength) return { error: { code: 'too_long', params: { max: maxLength } } };
+            if (!isHttpUrl(text)) return { error: { code: 'invalid_format' } };
+            return { value: text };
+        }
+
+        case 'phone': {
+            if (text.length > MAX_PHONE_INPUT_LENGTH) return { error: { code: 'too_long', params: { max: MAX_PHONE_INPUT_LENGTH } } };
+            const phone = normalizePhone(text);
+            if (!phone) return { error: { code: 'invalid_phone' } };
+            return { value: phone };
+        }
+
+        default: {
+            const maxLength = rule.maxLength || MAX_TEXT_LENGTH;
+            if (text.length > maxLength) return { error: { code: 'too_long', params: { max: maxLength } } };
+            if (rule.pattern && !rule.pattern.test(text)) return { error: { code: 'invalid_format' } };
+            return { value: sanitizeInput(text, maxLength) };
+        }
+    }
+}
+
+// Build the 400 response for field errors, with messages in the visitor's language
+function getValidationErrorResponse(headers, errors, language) {
+    const lang = LANGUAGES.includes(language) ? language : 'es';
+    const fieldErrors = errors.map((error) => ({
+        field: error.field,
+        code: error.code,
+        message: formatMessage(error, lang),
+        messages: {
+            es: formatMessage(error, 'es'),
+            en: formatMessage(error, 'en')
+        }
+    }));
+
+    return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+            error: 'Validation failed',
+            code: 'validation_failed',
+            message: lang === 'en'
+                ? 'Please check the highlighted fields'
+                : 'Revisa los campos marcados',
+            errors: fieldErrors
+        })
+    };
+}
+
+function formatMessage(error, lang) {
+    const template = MESSAGES[error.code] || MESSAGES.invalid_type;
+    return template[lang](error.params || {});
+}
+
+// Helper function to validate and sanitize free text
+function sanitizeInput(input, maxLength = MAX_TEXT_LENGTH) {
+    if (typeof input !== 'string') return '';
+    return input
+        .replace(/[\u0000-\u001f\u007f<>]/g, '') // Control characters and markup
+        .trim()
+        .substring(0, maxLength); // Limit length and trim whitespace
+}
+
+function isHttpUrl(value) {
+    try {
+        const url = new URL(value);
+        return url.protocol === 'https:' || url.protocol === 'http:';
+    } catch (error) {
+        return false;
+    }
+}
+
+function isIsoDate(value) {
+    if (!ISO_DATE.test(value)) return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !Number.isNaN(date.getTime()) && date.toISOString().substring(0, 10) === value;
+}
+
+module.exports = {
+    LANGUAGES,
+    SCHEMAS,
+    formatMessage,
+    getValidationErrorResponse,
+    sanitizeInput,
+    validateRequest
+};
@@ -0,0 +1,190 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+
+// Web Push delivery (RFC 8030) with VAPID authentication (RFC 8292) and aes128gcm payload
+// encryption (RFC 8291), on Node's crypto so no extra dependency is needed.
+//
+// Configuration:
+//   VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY -> base64url P-256 key pair, created once with
+//       node -e "console.log(require('./netlify/functions/utils/web-push').generateVapidKeys())"
+//   VAPID_SUBJECT -> contact for the push services, a mailto: or https: URL
+//   PUSH_ALLOW_INSECURE_ENDPOINTS=true -> accept http:// endpoints on any host, for a local stand-in push service
+const DEFAULT_TTL_SECONDS = 24 * 60 * 60;
+const DEFAULT_TIMEOUT_MS = 8000;
+const JWT_TTL_SECONDS = 12 * 60 * 60;
+const RECORD_SIZE = 4096;
+const URGENCIES = ['very-low', 'low', 'normal', 'high'];
+
+// The push services browsers hand out endpoints for (Chrome/Edge/Opera, Firefox, legacy Edge, Safari).
+// Anything else is a URL the visitor made up, and we would be POSTing to it on their behalf.
+const PUSH_SERVICE_HOSTS = [
+    'fcm.googleapis.com',
+    'android.googleapis.com',
+    'updates.push.services.mozilla.com',
+    '.notify.windows.com',
+    '.push.apple.com'
+];
+
+function getVapidPublicKey() {
+    return process.env.VAPID_PUBLIC_KEY || null;
+}
+
+function isVapidConfigured() {
+    return Boolean(process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY);
+}
+
+function generateVapidKeys() {
+    const ecdh = crypto.createECDH('prime256v1');
+    ecdh.generateKeys();
+
+    return {
+        publicKey: ecdh.getPublicKey().toString('base64url'),
+        privateKey: ecdh.getPrivateKey().toString('base64url')
+    };
+}
+
+// Whether an endpoint URL is one we are willing to POST to
+function isValidEndpoint(endpoint) {
+    let url;
+    try {
+        url = new URL(endpoint);
+    } catch (error) {
+        return false;
+    }
+
+    if (url.protocol === 'http:') return process.env.PUSH_ALLOW_INSECURE_ENDPOINTS === 'true';
+    return url.protocol === 'https:' && isPushServiceHost(url.hostname);
+}
+
+// Entries starting with a dot match any subdomain (wns2-bl2p.notify.windows.com, web.push.apple.com)
+function isPushServiceHost(hostname) {
+    return PUSH_SERVICE_HOSTS.some((host) => host.startsWith('.')
+        ? hostname.endsWith(host)
+        : hostname === host);
+}
+
+// Whether the browser's keys have the right shape: an uncompressed P-256 point and a 16-byte secret
+function isValidSubscriptionKeys(keys) {
+    if (!keys || typeof keys.p256dh !== 'string' || typeof keys.auth !== 'string') return false;
+
+    const publicKey = Buffer.from(keys.p256dh, 'base64url');
+    const authSecret = Buffer.from(keys.auth, 'base64url');
+    return publicKey.length === 65 && publicKey[0] === 0x04 && authSecret.length === 16;
+}
+
+// Send one message. `subscription` is what PushSubscription.toJSON() gives in the browser:
+// { endpoint, keys: { p256dh, auth } }. Resolves { statusCode, gone } where gone means the push
+// service no longer knows the subscription (404/410) and it should be forgotten.
+// Rejects on network errors and timeouts.
+async function sendWebPush(subscription, payload, options = {}) {
+    if (!isVapidConfigured()) throw new Error('Missing VAPID_PUBLIC_KEY/VAPID_PRIVATE_KEY configuration');
+
+    const endpoint = new URL(subscription.endpoint);
+    const body = payload === undefined || payload === null
+        ? null
+        : encryptPayload(subscription.keys, Buffer.from(typeof payload === 'string' ? payload : JSON.stringify(payload)));
+
+    const headers = {
+        'TTL': String(options.ttlSeconds || DEFAULT_TTL_SECONDS),
+        'Urgency': URGENCIES.includes(options.urgency) ? options.urgency : 'normal',
+        'Authorization': `vapid t=${createVapidJwt(endpoint.origin)}, k=${getVapidPublicKey()}`,
+        'Content-Length': body ? body.length : 0
+    };
+    if (options.topic) headers['Topic'] = options.topic;
+    if (body) {
+        headers['Content-Type'] = 'application/octet-stream';
+        headers['Content-Encoding'] = 'aes128gcm';
+    }
+
+    const statusCode = await postToEndpoint(endpoint, headers, body, options.timeoutMs || DEFAULT_TIMEOUT_MS);
+    return { statusCode, gone: statusCode === 404 || statusCode === 410 };
+}
+
+// Helper function to sign the VAPID JWT that proves the message comes from our application server
+function createVapidJwt(audience) {
+    const publicKey = Buffer.from(getVapidPublicKey(), 'base64url');
+    const privateKey = crypto.createPrivateKey({
+        key: {
+            kty: 'EC',
+            crv: 'P-256',
+            d: process.env.VAPID_PRIVATE_KEY,
+            x: publicKey.subarray(1, 33).toString('base64url'),
+            y: publicKey.subarray(33, 65).toString('base64url')
+        },
+        format: 'jwk'
+    });
+
+    const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const unsigned = `${encode({ typ: 'JWT', alg: 'ES256' })}.${encode({
+        aud: audience,
+        exp: Math.floor(Date.now() / 1000) + JWT_TTL_SECONDS,
+        sub: process.env.VAPID_SUBJECT || 'mailto:alertas@vuelosbaratosnyc.com'
+    })}`;
+    const signature = crypto.sign('sha256', Buffer.from(unsigned), { key: privateKey, dsaEncoding: 'ieee-p1363' });
+
+    return `${unsigned}.${signature.toString('base64url')}`;
+}
+
+// Helper function to encrypt a payload for one browser as a single aes128gcm record (RFC 8291)
+function encryptPayload(keys, plaintext) {
+    const userAgentPublicKey = Buffer.from(keys.p256dh, 'base64url');
+    const authSecret = Buffer.from(keys.auth, 'base64url');
+
+    const ecdh = crypto.createECDH('prime256v1');
+    const serverPublicKey = ecdh.generateKeys();
+    const sharedSecret = ecdh.computeSecret(userAgentPublicKey);
+    const salt = crypto.randomBytes(16);
+
+    const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), userAgentPublicKey, serverPublicKey]);
+    const inputKey = hkdf(sharedSecret, authSecret, keyInfo, 32);
+    const contentKey = hkdf(inputKey, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16);
+    const nonce = hkdf(inputKey, salt, Buffer.from('Content-Encoding: nonce\0'), 12);
+
+    if (plaintext.length + 17 > RECORD_SIZE) throw new Error('Push payload too large');
+
+    // 0x02 marks the last (and only) record
+    const cipher = crypto.createCipheriv('aes-128-gcm', contentKey, nonce);
+    const ciphertext = Buffer.concat([cipher.update(Buffer.concat([plaintext, Buffer.from([0x02])])), cipher.final(), cipher.getAuthTag()]);
+
+    const header = Buffer.alloc(21);
+    salt.copy(header, 0);
+    header.writeUInt32BE(RECORD_SIZE, 16);
+    header.writeUInt8(serverPublicKey.length, 20);
+
+    return Buffer.concat([header, serverPublicKey, ciphertext]);
+}
+
+function hkdf(key, salt, info, length) {
+    return Buffer.from(crypto.hkdfSync('sha256', key, salt, info, length));
+}
+
+// Helper function to POST to the push service and resolve its status code
+function postToEndpoint(endpoint, headers, body, timeoutMs) {
+    return new Promise((resolve, reject) => {
+        const transport = endpoint.protocol === 'http:' ? http : https;
+        const req = transport.request(endpoint, { method: 'POST', headers }, (res) => {
+            // Push services answer with an empty or short body; only the status matters
+            res.resume();
+            res.on('end', () => resolve(res.statusCode));
+        });
+
+        req.setTimeout(timeoutMs, () => {
+            req.destroy(new Error(`Socket timeout after ${timeoutMs}ms`));
+        });
+
+        req.on('error', reject);
+
+        if (body) req.write(body);
+        req.end();
+    });
+}
+
+module.exports = {
+    generateVapidKeys,
+    getVapidPublicKey,
+    isValidEndpoint,
+    isValidSubscriptionKeys,
+    isVapidConfigured,
+    sendWebPush
+};
@@ -0,0 +1,282 @@
+#!/usr/bin/env node
+// Bulk subscriber import and export, run locally with node:
+//   node scripts/subscribers.js import <file.csv> [--dry-run] [--source <signup_source>] [--batch-size 10] [--pause-ms 2000]
+//   node scripts/subscribers.js export [--out <file.csv>] [--status active|paused|pending_confirmation]
+//
+// Imported rows go through the same validation and normalization as the custom-alert function and
+// then through the normal signup: emails that never confirmed with us get the double opt-in email,
+// and their alerts only start once they click it. Rows are sent in batches with a pause in between
+// to stay under the email provider's rate limits.
+//
+// The CSV needs a header row. Columns: email, destination, departure_airport (or airport),
+// target_price (or price), language, plus optionally destination_code, travel_class, timeframe,
+// departure_date_from/to, return_date_from/to, trip_length_min/max, signup_source. The export
+// writes the same columns, so its output can be imported again.
+//
+// Environment: NETLIFY_SITE_ID and NETLIFY_AUTH_TOKEN for the store (STORE_BACKEND=memory for a
+// throwaway run), and the email provider variables the functions use (EMAIL_PROVIDER, KLAVIYO_API_KEY, ...).
+const fs = require('fs');
+const path = require('path');
+
+const FUNCTIONS_DIR = path.join(__dirname, '..', 'netlify', 'functions');
+const { connectStoreWithToken } = require(path.join(FUNCTIONS_DIR, 'utils', 'store'));
+const { listAllAlerts } = require(path.join(FUNCTIONS_DIR, 'utils', 'alerts'));
+const { createEmailProvider } = require(path.join(FUNCTIONS_DIR, 'utils', 'email-provider'));
+const { processSignup } = require(path.join(FUNCTIONS_DIR, 'utils', 'signup'));
+const { recordConsent } = require(path.join(FUNCTIONS_DIR, 'utils', 'consent'));
+const { prepareCustomAlert } = require(path.join(FUNCTIONS_DIR, 'utils', 'custom-alert'));
+const { formatMessage, validateRequest } = require(path.join(FUNCTIONS_DIR, 'utils', 'validation'));
+const { formatCsv, parseCsv } = require(path.join(FUNCTIONS_DIR, 'utils', 'csv'));
+
+const DEFAULT_SOURCE = 'import';
+
+// Imported people agreed to the wording of whoever collected the list, never to ours. Their consent
+// records carry this instead of the site's consent text version, and the list name as the form.
+const IMPORT_TEXT_VERSION = 'import';
+const DEFAULT_BATCH_SIZE = 10;
+const DEFAULT_PAUSE_MS = 2000;
+
+// Each batch gets a fresh provider client, so its retries have a full time budget
+const BATCH_BUDGET_MS = 60000;
+
+// Spreadsheet headings we accept for the schema fields
+const COLUMN_ALIASES = {
+    airport: 'departure_airport',
+    departure: 'departure_airport',
+    price: 'target_price',
+    lang: 'language',
+    class: 'travel_class',
+    source: 'signup_source'
+};
+
+const EXPORT_COLUMNS = [
+    'email', 'destination', 'destination_code', 'departure_airport', 'travel_class', 'target_price',
+    'language', 'timeframe', 'departure_date_from', 'departure_date_to', 'return_date_from', 'return_date_to',
+    'trip_length_min', 'trip_length_max', 'signup_source', 'status', 'region', 'channels', 'alert_id', 'created_at'
+];
+
+async function main(argv) {
+    const [command, ...rest] = argv;
+    const options = parseOptions(rest);
+
+    if (process.env.NETLIFY_SITE_ID && process.env.NETLIFY_AUTH_TOKEN) {
+        connectStoreWithToken(process.env.NETLIFY_SITE_ID, process.env.NETLIFY_AUTH_TOKEN);
+    }
+
+    if (command === 'import' && options.file) return importSubscribers(options);
+    if (command === 'export') return exportAlerts(options);
+
+    console.error('Usage:\n' +
+        '  node scripts/subscribers.js import <file.csv> [--dry-run] [--source <name>] [--batch-size 10] [--pause-ms 2000]\n' +
+        '  node scripts/subscribers.js export [--out <file.csv>] [--status <status>]');
+    return 2;
+}
+
+async function importSubscribers(options) {
+    const rows = readRows(options.file);
+    const source = options.source || DEFAULT_SOURCE;
+    const batchSize = toInteger(options['batch-size'], DEFAULT_BATCH_SIZE, 1);
+    const pauseMs = toInteger(options['pause-ms'], DEFAULT_PAUSE_MS, 0);
+
+    const summary = { rows: rows.length, valid: 0, invalid: 0, failed: 0, statuses: {} };
+    const ready = [];
+
+    // Validate everything first, so a dry run reports every problem without writing anything
+    rows.forEach(({ line, fields }) => {
+        const validation = validateRequest('custom-alert', { signup_source: source, ...fields });
+        const prepared = validation.errors.length ? null : prepareCustomAlert(validation.value);
+        const errors = validation.errors.length ? validation.errors : (prepared.error ? [prepared.error] : []);
+
+        if (errors.length) {
+            summary.invalid += 1;
+            errors.forEach((error) => {
+                console.error(`Line ${line} (${fields.email || 'no email'}): ${error.field}: ${formatMessage(error, 'en')}`);
+            });
+            return;
+        }
+
+        summary.valid += 1;
+        ready.push({ line, data: validation.value, prepared });
+    });
+
+    if (options['dry-run']) {
+        console.log(`Dry run: ${summary.valid} of ${summary.rows} rows would be imported, ${summary.invalid} have errors`);
+        return summary.invalid ? 1 : 0;
+    }
+
+    for (let start = 0; start < ready.length; start += batchSize) {
+        if (start > 0) await sleep(pauseMs);
+
+        const emailProvider = createEmailProvider({ timeBudgetMs: BATCH_BUDGET_MS });
+        if (!emailProvider) throw new Error('Email provider is not configured');
+
+        for (const item of ready.slice(start, start + batchSize)) {
+            try {
+                const status = await importRow(emailProvider, item);
+                summary.statuses[status] = (summary.statuses[status] || 0) + 1;
+            } catch (error) {
+                summary.failed += 1;
+                console.error(`Line ${item.line} (${item.data.email}): ${error.message}`);
+            }
+        }
+
+        console.log(`Imported ${Math.min(start + batchSize, ready.length)} of ${ready.length} valid rows`);
+    }
+
+    console.log('Import summary:', JSON.stringify(summary));
+    return summary.invalid || summary.failed ? 1 : 0;
+}
+
+// Helper function to sign one row up the way custom-alert.js does
+async function importRow(emailProvider, { data, prepared }) {
+    const { alert, properties, events, contact } = prepared;
+
+    const result = await processSignup(emailProvider, {
+        email: data.email,
+        phone: contact.phone,
+        channels: contact.channels,
+        signupType: 'custom_alert',
+        source: properties.signup_source,
+        language: properties.language,
+        properties,
+        events,
+        alert,
+        consent_text_version: IMPORT_TEXT_VERSION
+    });
+
+    // Emails still to confirm get their only record from confirm.js once they click the link,
+    // under the same import text version
+    if (result.status === 'pending_confirmation') return result.status;
+
+    await recordConsent(data.email, {
+        action: 'granted',
+        channels: contact.channels,
+        scope: 'custom_alert',
+        endpoint: 'import',
+        form: properties.signup_source,
+        language: properties.language,
+        phone: contact.phone,
+        textVersion: IMPORT_TEXT_VERSION
+    });
+
+    return result.status;
+}
+
+async function exportAlerts(options) {
+    const alerts = (await listAllAlerts())
+        .filter((alert) => !options.status || alert.status === options.status)
+        .sort((a, b) => a.created_at.localeCompare(b.created_at));
+
+    const csv = formatCsv([EXPORT_COLUMNS].concat(alerts.map((alert) => {
+        const row = toExportRow(alert);
+        return EXPORT_COLUMNS.map((column) => row[column]);
+    })));
+
+    if (options.out) {
+        fs.writeFileSync(options.out, csv);
+        console.error(`Exported ${alerts.length} alerts to ${options.out}`);
+    } else {
+        process.stdout.write(csv);
+    }
+    return 0;
+}
+
+// Helper function to flatten an alert into the import columns (exact dates only for alerts that had them)
+function toExportRow(alert) {
+    const dates = alert.travel_dates || {};
+    const exact = dates.source === 'exact';
+
+    return {
+        email: alert.email,
+        destination: alert.destination.input || alert.destination.name,
+        destination_code: alert.destination.code !== 'OTHER' ? alert.destination.code : '',
+        departure_airport: alert.departure_airport,
+        travel_class: alert.travel_class,
+        target_price: alert.target_price,
+        language: alert.language,
+        timeframe: exact ? '' : alert.timeframe,
+        departure_date_from: exact ? dates.departure_from : '',
+        departure_date_to: exact ? dates.departure_to : '',
+        return_date_from: exact ? dates.return_from : '',
+        return_date_to: exact ? dates.return_to : '',
+        trip_length_min: dates.min_nights,
+        trip_length_max: dates.max_nights,
+        signup_source: alert.signup_source,
+        status: alert.status,
+        region: alert.destination.region,
+        channels: (alert.channels || ['email']).join(' '),
+        alert_id: alert.id,
+        created_at: alert.created_at
+    };
+}
+
+// Helper function to read the CSV into { line, fields } objects keyed by schema field name
+function readRows(file) {
+    const [header, ...rows] = parseCsv(fs.readFileSync(file, 'utf8'));
+    if (!header) return [];
+
+    const columns = header.map((name) => {
+        const key = name.trim().toLowerCase().replace(/[\s-]+/g, '_');
+        return COLUMN_ALIASES[key] || key;
+    });
+
+    return rows.map((cells, index) => {
+        const fields = {};
+        columns.forEach((column, position) => {
+            const value = (cells[position] || '').trim();
+            if (column && value) fields[column] = value;
+        });
+        return { line: index + 2, fields };
+    });
+}
+
+// Helper function to read "--flag value" pairs and bare "--flag" switches; the first plain argument is the file
+function parseOptions(args) {
+    const options = {};
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (!arg.startsWith('--')) {
+            if (!options.file) options.file = arg;
+            continue;
+        }
+
+        const name = arg.substring(2);
+        if (name === 'dry-run') {
+            options[name] = true;
+        } else {
+            options[name] = args[i + 1];
+            i++;
+        }
+    }
+
+    return options;
+}
+
+function toInteger(value, fallback, min) {
+    const number = parseInt(value, 10);
+    return Number.isInteger(number) && number >= min ? number : fallback;
+}
+
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2))
+        .then((code) => {
+            process.exitCode = code;
+        })
+        .catch((error) => {
+            console.error('Error:', error.message);
+            process.exitCode = 1;
+        });
+}
+
+module.exports = {
+    IMPORT_TEXT_VERSION,
+    importRow,
+    parseOptions,
+    readRows,
+    toExportRow
+};
@@ -0,0 +1,60 @@
+// Service worker for deal alert notifications. The fare monitor sends an encrypted JSON payload
+// { title, body, url, tag, lang } through the browser's push service (see push-subscription.js).
+const PUSH_SUBSCRIPTION_URL = '/.netlify/functions/push-subscription';
+const DEFAULT_ICON = '/images/vuelosbaratos-logo.png';
+
+self.addEventListener('install', () => {
+    self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener('push', (event) => {
+    let data = {};
+    try {
+        data = event.data ? event.data.json() : {};
+    } catch (error) {
+        data = { body: event.data.text() };
+    }
+
+    event.waitUntil(self.registration.showNotification(data.title || 'VuelosBaratos NYC', {
+        body: data.body || '',
+        icon: DEFAULT_ICON,
+        badge: DEFAULT_ICON,
+        tag: data.tag,
+        renotify: Boolean(data.tag),
+        lang: data.lang || 'es',
+        data: { url: data.url || '/' }
+    }));
+});
+
+// Open the deal, reusing a tab that already shows it
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const url = new URL(event.notification.data && event.notification.data.url || '/', self.location.origin).href;
+
+    event.waitUntil(self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+        const open = windows.find((client) => client.url === url);
+        return open ? open.focus() : self.clients.openWindow(url);
+    }));
+});
+
+// The push service rotated the subscription; hand the new one to the server under the old endpoint
+self.addEventListener('pushsubscriptionchange', (event) => {
+    const oldSubscription = event.oldSubscription;
+    if (!oldSubscription) return;
+
+    event.waitUntil((event.newSubscription
+        ? Promise.resolve(event.newSubscription)
+        : self.registration.pushManager.subscribe(oldSubscription.options)
+    ).then((subscription) => fetch(PUSH_SUBSCRIPTION_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            old_endpoint: oldSubscription.endpoint,
+            subscription: subscription.toJSON()
+        })
+    })));
+});
@@ -0,0 +1,44 @@
+const { uniqueEmail } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const { activateAlerts, getAlert, saveAlert } = require('../netlify/functions/utils/alerts');
+const { setLanguage } = require('../netlify/functions/utils/preferences');
+
+const ALERT = {
+    destination: { code: 'BOG', name: 'Bogotá, Colombia' },
+    departure_airport: 'JFK',
+    travel_class: 'economy',
+    target_price: 400
+};
+
+// Run `fn` with the clock moved forward, so store entries past their TTL read as expired
+async function later(seconds, fn) {
+    const realNow = Date.now;
+    Date.now = () => realNow() + seconds * 1000;
+    try {
+        return await fn();
+    } finally {
+        Date.now = realNow;
+    }
+}
+
+test('an unconfirmed alert still expires after it is changed', async () => {
+    const email = uniqueEmail();
+    const alert = await saveAlert(email, ALERT, { status: 'pending_confirmation', pendingTtlSeconds: 60 });
+
+    await setLanguage(email, 'en');
+
+    assert.strictEqual((await getAlert(email, alert.id)).language, 'en');
+    assert.strictEqual(await later(61, () => getAlert(email, alert.id)), null);
+});
+
+test('an alert no longer expires once it is activated', async () => {
+    const email = uniqueEmail();
+    const alert = await saveAlert(email, ALERT, { status: 'pending_confirmation', pendingTtlSeconds: 60 });
+
+    await activateAlerts(email, [alert.id]);
+
+    const activated = await later(61, () => getAlert(email, alert.id));
+    assert.strictEqual(activated.status, 'active');
+    assert.strictEqual(activated.expires_at, undefined);
+});
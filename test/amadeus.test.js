@@ -0,0 +1,61 @@
+const { stubHttps } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const { createAmadeusProvider } = require('../netlify/functions/utils/fare-providers/amadeus');
+
+process.env.AMADEUS_CLIENT_ID = 'client';
+process.env.AMADEUS_CLIENT_SECRET = 'secret';
+
+const requests = stubHttps((request) => request.method === 'POST'
+    ? { status: 200, body: { access_token: 'token', expires_in: 1800 } }
+    : { status: 200, body: { data: [] } });
+
+const RUN_INTERVAL_MS = 30 * 60 * 1000;
+
+// London from every NYC airport: 3 x 4 = 12 routes, more than one search makes calls
+const QUERY = {
+    origins: ['JFK', 'LGA', 'EWR'],
+    destinations: ['LHR', 'LGW', 'STN', 'LTN'],
+    departureFrom: '2026-12-01',
+    departureTo: '2026-12-15',
+    cabin: 'economy'
+};
+
+async function searchedRoutesAt(now) {
+    const realNow = Date.now;
+    Date.now = () => now;
+    requests.length = 0;
+    try {
+        await createAmadeusProvider().searchFares(QUERY);
+    } finally {
+        Date.now = realNow;
+    }
+
+    return requests
+        .filter((request) => request.method === 'GET')
+        .map((request) => {
+            const params = new URLSearchParams(request.path.split('?')[1]);
+            return `${params.get('originLocationCode')}-${params.get('destinationLocationCode')}`;
+        });
+}
+
+test('routes that do not fit in one search are covered by the following runs', async () => {
+    const base = Math.floor(Date.now() / RUN_INTERVAL_MS) * RUN_INTERVAL_MS;
+    const first = await searchedRoutesAt(base);
+    const second = await searchedRoutesAt(base + RUN_INTERVAL_MS);
+
+    assert.strictEqual(first.length, 6);
+    assert.strictEqual(second.length, 6);
+    assert.strictEqual(new Set(first.concat(second)).size, 12);
+});
+
+test('a search whose routes fit is not split', async () => {
+    requests.length = 0;
+
+    await createAmadeusProvider().searchFares({ ...QUERY, destinations: ['LHR'] });
+
+    const routes = new Set(requests
+        .filter((request) => request.method === 'GET')
+        .map((request) => new URLSearchParams(request.path.split('?')[1]).get('originLocationCode')));
+    assert.deepStrictEqual(Array.from(routes).sort(), ['EWR', 'JFK', 'LGA']);
+});
@@ -0,0 +1,72 @@
+const { context, klaviyoResponse, stubHttps, uniqueEmail } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const newsletter = require('../netlify/functions/newsletter').handler;
+const { listQuarantinedSubmissions } = require('../netlify/functions/utils/bot-protection');
+
+process.env.BOT_MIN_FILL_SECONDS = '3';
+stubHttps(klaviyoResponse);
+
+let ipCounter = 0;
+
+// The newsletter form posted by a browser without JavaScript
+function formPost(fields) {
+    ipCounter++;
+    return {
+        httpMethod: 'POST',
+        headers: {
+            'content-type': 'application/x-www-form-urlencoded',
+            accept: 'text/html,application/xhtml+xml',
+            'x-nf-client-connection-ip': `198.51.100.${ipCounter}`
+        },
+        body: new URLSearchParams(fields).toString()
+    };
+}
+
+function getStepToken(response) {
+    return /name="form_token" value="([^"]+)"/.exec(response.body)[1];
+}
+
+async function afterSeconds(seconds, fn) {
+    const realNow = Date.now;
+    Date.now = () => realNow() + seconds * 1000;
+    try {
+        return await fn();
+    } finally {
+        Date.now = realNow;
+    }
+}
+
+test('a form posted without JavaScript gets the step page with a token', async () => {
+    const response = await newsletter(formPost({ email: uniqueEmail(), language: 'es' }), context);
+
+    assert.strictEqual(response.statusCode, 200);
+    assert.match(response.headers['Content-Type'], /^text\/html/);
+    assert.ok(getStepToken(response));
+});
+
+test('answering the step page sooner than the usual fill time is quarantined', async () => {
+    const email = uniqueEmail();
+    const step = await newsletter(formPost({ email, language: 'es' }), context);
+
+    const token = getStepToken(step);
+
+    // Enough for a click on a page with nothing to fill in, not for a form
+    await afterSeconds(2, () => newsletter(formPost({ email, language: 'es', form_token: token }), context));
+
+    const quarantined = await listQuarantinedSubmissions(email);
+    assert.deepStrictEqual(quarantined.map((record) => record.reasons), [['too_fast']]);
+});
+
+test('answering the step page after the usual fill time signs up, once per token', async () => {
+    const email = uniqueEmail();
+    const step = await newsletter(formPost({ email, language: 'es' }), context);
+    const token = getStepToken(step);
+
+    await afterSeconds(4, () => newsletter(formPost({ email, language: 'es', form_token: token }), context));
+    assert.deepStrictEqual(await listQuarantinedSubmissions(email), []);
+
+    await afterSeconds(5, () => newsletter(formPost({ email, language: 'es', form_token: token }), context));
+    const quarantined = await listQuarantinedSubmissions(email);
+    assert.deepStrictEqual(quarantined.map((record) => record.reasons), [['reused_form_token']]);
+});
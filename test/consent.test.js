@@ -0,0 +1,90 @@
+const { context, createFakeEmailProvider, klaviyoResponse, stubHttps, uniqueEmail } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const confirm = require('../netlify/functions/confirm').handler;
+const { CONSENT_TEXT_VERSION } = require('../netlify/functions/utils/channels');
+const { listConsentRecords } = require('../netlify/functions/utils/consent');
+const { prepareCustomAlert } = require('../netlify/functions/utils/custom-alert');
+const { createSignedToken } = require('../netlify/functions/utils/signing');
+const { findPendingSignups, requestConfirmation } = require('../netlify/functions/utils/signup');
+const { markConfirmedSubscriber } = require('../netlify/functions/utils/subscribers');
+const { validateRequest } = require('../netlify/functions/utils/validation');
+const { IMPORT_TEXT_VERSION, importRow } = require('../scripts/subscribers');
+
+stubHttps(klaviyoResponse);
+
+// Click the button on the page the emailed confirmation link opens
+async function confirmPendingSignups(email) {
+    for (const { id } of await findPendingSignups(email)) {
+        const token = createSignedToken('confirm', { id }, 3600);
+        const response = await confirm({
+            httpMethod: 'POST',
+            headers: { 'content-type': 'application/x-www-form-urlencoded' },
+            body: `token=${encodeURIComponent(token)}`
+        }, context);
+        assert.strictEqual(response.statusCode, 200);
+    }
+}
+
+// A CSV row as the import script has it after validation
+function importItem(email) {
+    const validation = validateRequest('custom-alert', {
+        email,
+        destination: 'Madrid, España',
+        departure_airport: 'JFK',
+        target_price: 500,
+        language: 'es',
+        signup_source: 'partner_list_2026'
+    });
+    assert.deepStrictEqual(validation.errors, []);
+    return { line: 2, data: validation.value, prepared: prepareCustomAlert(validation.value) };
+}
+
+test('confirming a signup records the consent text the visitor saw', async () => {
+    const email = uniqueEmail();
+    await requestConfirmation(createFakeEmailProvider(), {
+        email,
+        channels: ['email'],
+        signupType: 'newsletter',
+        source: 'newsletter_form',
+        language: 'es',
+        properties: {},
+        events: []
+    });
+
+    await confirmPendingSignups(email);
+
+    const records = await listConsentRecords(email);
+    assert.deepStrictEqual(records.map((record) => [record.action, record.endpoint, record.text_version]), [
+        ['confirmed', 'confirm', CONSENT_TEXT_VERSION]
+    ]);
+});
+
+test('an imported row for a confirmed subscriber is recorded under the import text version', async () => {
+    const email = uniqueEmail();
+    await markConfirmedSubscriber(email);
+
+    const status = await importRow(createFakeEmailProvider(), importItem(email));
+
+    assert.strictEqual(status, 'subscribed');
+    const records = await listConsentRecords(email);
+    assert.deepStrictEqual(records.map((record) => [record.action, record.endpoint, record.form, record.text_version]), [
+        ['granted', 'import', 'partner_list_2026', IMPORT_TEXT_VERSION]
+    ]);
+});
+
+test('an imported row for a new address is only recorded once it is confirmed', async () => {
+    const email = uniqueEmail();
+
+    const status = await importRow(createFakeEmailProvider(), importItem(email));
+
+    assert.strictEqual(status, 'pending_confirmation');
+    assert.deepStrictEqual(await listConsentRecords(email), []);
+
+    await confirmPendingSignups(email);
+
+    const records = await listConsentRecords(email);
+    assert.deepStrictEqual(records.map((record) => [record.action, record.text_version]), [
+        ['confirmed', IMPORT_TEXT_VERSION]
+    ]);
+});
@@ -0,0 +1,116 @@
+const https = require('https');
+const { EventEmitter } = require('events');
+
+// Shared setup for the tests: everything runs against the in-memory store, and the email
+// provider is a fake that records what it was asked to do. Handler tests talk to Klaviyo
+// through stubHttps instead.
+process.env.STORE_BACKEND = 'memory';
+process.env.SIGNING_SECRET = process.env.SIGNING_SECRET || 'test-secret';
+process.env.EMAIL_MX_CHECK = 'false';
+process.env.BOT_MIN_FILL_SECONDS = '0';
+process.env.EMAIL_PROVIDER = 'klaviyo';
+process.env.KLAVIYO_API_KEY = 'test-key';
+process.env.KLAVIYO_LIST_ID = 'LIST1';
+
+let emailCounter = 0;
+
+// A fresh address per test, so tests sharing the in-memory store never see each other's records
+function uniqueEmail(label = 'subscriber') {
+    emailCounter++;
+    return `${label}.${emailCounter}.${Date.now()}@example.com`;
+}
+
+function createFakeEmailProvider() {
+    const calls = [];
+    const record = (method) => async (payload) => {
+        calls.push({ method, payload });
+        return method === 'upsertContact' ? 'profile_1' : undefined;
+    };
+
+    return {
+        calls,
+        upsertContact: record('upsertContact'),
+        addToList: record('addToList'),
+        subscribeSms: record('subscribeSms'),
+        trackEvent: record('trackEvent'),
+        unsubscribe: record('unsubscribe'),
+        eventNames() {
+            return calls.filter((call) => call.method === 'trackEvent').map((call) => call.payload.name);
+        }
+    };
+}
+
+// Answer every outgoing HTTPS request with respond({ method, hostname, path, body }) -> { status, body }
+// instead of the network. Returns the list of requests made.
+function stubHttps(respond = () => ({ status: 202, body: {} })) {
+    const requests = [];
+
+    https.request = (options, callback) => {
+        const req = new EventEmitter();
+        let payload = '';
+
+        req.setTimeout = () => req;
+        req.destroy = () => {};
+        req.write = (chunk) => {
+            payload += chunk;
+        };
+        req.end = () => {
+            const sent = {
+                method: options.method,
+                hostname: options.hostname,
+                path: options.path,
+                body: parseBody(payload)
+            };
+            requests.push(sent);
+
+            const answer = respond(sent);
+            const res = new EventEmitter();
+            res.statusCode = answer.status;
+            res.headers = answer.headers || {};
+            callback(res);
+            res.emit('data', JSON.stringify(answer.body || {}));
+            res.emit('end');
+        };
+
+        return req;
+    };
+
+    return requests;
+}
+
+// JSON bodies parsed, form-encoded ones (OAuth, captcha) left as they are
+function parseBody(payload) {
+    if (!payload) return null;
+    try {
+        return JSON.parse(payload);
+    } catch (error) {
+        return payload;
+    }
+}
+
+// Klaviyo answers: a profile ID for profile writes, accepted for everything else
+function klaviyoResponse(request) {
+    if (request.method === 'GET') return { status: 200, body: { data: [] } };
+    if (request.path.startsWith('/api/profiles')) return { status: 201, body: { data: { id: 'PROFILE1' } } };
+    return { status: 202, body: {} };
+}
+
+// The Lambda-style event a function handler receives for a JSON POST from the page
+function jsonPost(body, ip = '203.0.113.1') {
+    return {
+        httpMethod: 'POST',
+        headers: { 'content-type': 'application/json', 'x-nf-client-connection-ip': ip },
+        body: JSON.stringify(body)
+    };
+}
+
+const context = { getRemainingTimeInMillis: () => 10000 };
+
+module.exports = {
+    context,
+    createFakeEmailProvider,
+    jsonPost,
+    klaviyoResponse,
+    stubHttps,
+    uniqueEmail
+};
@@ -0,0 +1,58 @@
+const { context, jsonPost, klaviyoResponse, stubHttps, uniqueEmail } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const { generateVapidKeys, isValidEndpoint } = require('../netlify/functions/utils/web-push');
+const { createFormToken } = require('../netlify/functions/utils/bot-protection');
+const { markConfirmedSubscriber } = require('../netlify/functions/utils/subscribers');
+
+const keys = generateVapidKeys();
+process.env.VAPID_PUBLIC_KEY = keys.publicKey;
+process.env.VAPID_PRIVATE_KEY = keys.privateKey;
+
+const quickAlert = require('../netlify/functions/quick-alert').handler;
+
+stubHttps(klaviyoResponse);
+
+function quickAlertRequest(email, ip) {
+    return jsonPost({
+        email,
+        destination: 'Bogotá, Colombia',
+        target_price: 400,
+        form_token: createFormToken()
+    }, ip);
+}
+
+test('endpoints of the browser push services are accepted', () => {
+    assert.ok(isValidEndpoint('https://fcm.googleapis.com/fcm/send/abc'));
+    assert.ok(isValidEndpoint('https://updates.push.services.mozilla.com/wpush/v2/abc'));
+    assert.ok(isValidEndpoint('https://wns2-bl2p.notify.windows.com/w/?token=abc'));
+    assert.ok(isValidEndpoint('https://web.push.apple.com/abc'));
+});
+
+test('endpoints on any other host are rejected', () => {
+    assert.ok(!isValidEndpoint('https://example.com/push'));
+    assert.ok(!isValidEndpoint('https://fcm.googleapis.com.example.com/fcm/send/abc'));
+    assert.ok(!isValidEndpoint('https://notify.windows.com.example.com/abc'));
+    assert.ok(!isValidEndpoint('https://169.254.169.254/latest/meta-data'));
+    assert.ok(!isValidEndpoint('http://fcm.googleapis.com/fcm/send/abc'));
+    assert.ok(!isValidEndpoint('not a url'));
+});
+
+test('a signup waiting on its confirmation gets no push token', async () => {
+    const response = await quickAlert(quickAlertRequest(uniqueEmail(), '203.0.113.10'), context);
+    const body = JSON.parse(response.body);
+
+    assert.strictEqual(body.status, 'pending_confirmation');
+    assert.strictEqual(body.push_token, undefined);
+});
+
+test('a confirmed subscriber gets a push token for the new alert', async () => {
+    const email = uniqueEmail();
+    await markConfirmedSubscriber(email);
+
+    const response = await quickAlert(quickAlertRequest(email, '203.0.113.11'), context);
+    const body = JSON.parse(response.body);
+
+    assert.strictEqual(body.status, 'subscribed');
+    assert.ok(body.push_token);
+});
@@ -0,0 +1,72 @@
+require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildSignupReport, formatReportCsv } = require('../netlify/functions/utils/reports');
+
+function alert(status, code, createdAt = '2026-10-05T12:00:00.000Z') {
+    return {
+        status,
+        destination: { code, region: 'europe' },
+        departure_airport: 'JFK',
+        travel_class: 'economy',
+        target_price: 500,
+        signup_source: 'custom_alert_form',
+        created_at: createdAt
+    };
+}
+
+function newsletterRecord(emailHash) {
+    return {
+        email_hash: emailHash,
+        action: 'granted',
+        endpoint: 'newsletter',
+        form: 'newsletter_form',
+        recorded_at: '2026-10-06T08:00:00.000Z'
+    };
+}
+
+const ALERTS = [
+    alert('active', 'MAD'),
+    alert('paused', 'MAD'),
+    alert('pending_confirmation', 'MAD'),
+    alert('active', 'BCN', '2026-09-01T12:00:00.000Z')
+];
+const RECORDS = [newsletterRecord('confirmed_hash'), newsletterRecord('unconfirmed_hash')];
+
+test('only confirmed signups count as signups; the others are reported apart', () => {
+    const report = buildSignupReport(ALERTS, RECORDS, {
+        from: '2026-10-01',
+        to: '2026-10-07',
+        confirmedEmailHashes: ['confirmed_hash']
+    });
+
+    assert.deepStrictEqual(report.totals, {
+        signups: 3,
+        alert_signups: 2,
+        newsletter_signups: 1,
+        pending_signups: 2,
+        active_alerts: 2
+    });
+
+    const byCode = Object.fromEntries(report.groups.destination_code.map((row) => [row.value, row]));
+    assert.strictEqual(byCode.MAD.signups, 2);
+    assert.strictEqual(byCode.MAD.pending_signups, 1);
+    assert.strictEqual(byCode.none.signups, 1);
+    assert.strictEqual(byCode.none.pending_signups, 1);
+    assert.strictEqual(byCode.BCN.signups, 0);
+    assert.strictEqual(byCode.BCN.active_alerts, 1);
+});
+
+test('the CSV carries the pending signups column', () => {
+    const report = buildSignupReport(ALERTS, RECORDS, {
+        from: '2026-10-01',
+        to: '2026-10-07',
+        dimensions: ['travel_class']
+    });
+
+    assert.deepStrictEqual(formatReportCsv(report).trim().split(/\r?\n/), [
+        'dimension,value,signups,pending_signups,active_alerts,median_target_price',
+        'travel_class,economy,2,1,2,500',
+        'travel_class,none,0,2,0,'
+    ]);
+});
@@ -0,0 +1,138 @@
+const { createFakeEmailProvider, uniqueEmail } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const { getAlert } = require('../netlify/functions/utils/alerts');
+const { unsubscribeEverything } = require('../netlify/functions/utils/preferences');
+const {
+    completeSignup,
+    deletePendingSignup,
+    findPendingSignups,
+    processSignup
+} = require('../netlify/functions/utils/signup');
+const { getSubscriber, markConfirmedSubscriber, updateSubscriber } = require('../netlify/functions/utils/subscribers');
+
+function newsletterSignup(email) {
+    return {
+        email,
+        channels: ['email'],
+        signupType: 'newsletter',
+        source: 'newsletter_form',
+        language: 'es',
+        properties: {},
+        events: [{ name: 'Newsletter Signup', properties: {} }]
+    };
+}
+
+test('a confirmed subscriber signing up for the newsletter is subscribed straight away', async () => {
+    const email = uniqueEmail();
+    await markConfirmedSubscriber(email);
+    const provider = createFakeEmailProvider();
+
+    const result = await processSignup(provider, newsletterSignup(email));
+
+    assert.strictEqual(result.status, 'subscribed');
+    assert.deepStrictEqual(provider.eventNames(), ['Newsletter Signup']);
+});
+
+test('a newsletter signup after unsubscribing from the newsletter goes through double opt-in', async () => {
+    const email = uniqueEmail();
+    await markConfirmedSubscriber(email);
+    await updateSubscriber(email, { newsletter: false, newsletter_unsubscribed_at: new Date().toISOString() });
+    const provider = createFakeEmailProvider();
+
+    const result = await processSignup(provider, newsletterSignup(email));
+
+    assert.strictEqual(result.status, 'pending_confirmation');
+    assert.deepStrictEqual(provider.eventNames(), ['Signup Confirmation Requested']);
+    assert.ok(!provider.calls.some((call) => call.method === 'addToList'));
+});
+
+test('a signup after unsubscribing from everything goes through double opt-in', async () => {
+    const email = uniqueEmail();
+    await markConfirmedSubscriber(email);
+    await updateSubscriber(email, { unsubscribed_at: new Date().toISOString() });
+    const provider = createFakeEmailProvider();
+
+    const result = await processSignup(provider, newsletterSignup(email));
+
+    assert.strictEqual(result.status, 'pending_confirmation');
+});
+
+function alertSignup(email, alert) {
+    return {
+        email,
+        channels: ['email'],
+        signupType: 'custom_alert',
+        source: 'custom_alert_form',
+        language: 'es',
+        properties: {},
+        events: [{ name: 'Custom Alert Created', properties: {} }],
+        alert: {
+            destination: { code: 'MAD', name: 'Madrid, España' },
+            departure_airport: 'JFK',
+            travel_class: 'economy',
+            target_price: 500,
+            ...alert
+        }
+    };
+}
+
+// What confirm.js does once the emailed link is clicked
+async function confirmPendingSignups(provider, email) {
+    for (const { id, signup } of await findPendingSignups(email)) {
+        await markConfirmedSubscriber(signup.email);
+        await completeSignup(provider, signup);
+        await deletePendingSignup(id);
+    }
+}
+
+test('an unconfirmed signup only changes a live alert once it is confirmed', async () => {
+    const email = uniqueEmail();
+    await markConfirmedSubscriber(email);
+    const provider = createFakeEmailProvider();
+    const first = await processSignup(provider, alertSignup(email, { target_price: 500 }));
+
+    // Anyone can type this address in; the alert must not move until the owner confirms
+    await updateSubscriber(email, { unsubscribed_at: new Date().toISOString() });
+    const second = await processSignup(provider, alertSignup(email, { target_price: 200 }));
+
+    assert.strictEqual(second.status, 'pending_confirmation');
+    assert.strictEqual(second.alertId, first.alertId);
+    assert.strictEqual((await getAlert(email, first.alertId)).target_price, 500);
+
+    await confirmPendingSignups(provider, email);
+
+    const alert = await getAlert(email, first.alertId);
+    assert.strictEqual(alert.target_price, 200);
+    assert.strictEqual(alert.status, 'active');
+});
+
+test('signing up again for a route after unsubscribing from everything resumes its alert', async () => {
+    const email = uniqueEmail();
+    await markConfirmedSubscriber(email);
+    const provider = createFakeEmailProvider();
+    const first = await processSignup(provider, alertSignup(email));
+
+    await unsubscribeEverything(provider, email);
+    assert.strictEqual((await getAlert(email, first.alertId)).status, 'paused');
+
+    const second = await processSignup(provider, alertSignup(email));
+    assert.strictEqual(second.status, 'pending_confirmation');
+    assert.strictEqual((await getAlert(email, first.alertId)).status, 'paused');
+
+    await confirmPendingSignups(provider, email);
+
+    assert.strictEqual((await getAlert(email, first.alertId)).status, 'active');
+    assert.strictEqual((await getSubscriber(email)).unsubscribed_at, null);
+});
+
+test('an alert for a new address stays pending until the signup is confirmed', async () => {
+    const email = uniqueEmail();
+    const provider = createFakeEmailProvider();
+
+    const result = await processSignup(provider, alertSignup(email));
+    assert.strictEqual((await getAlert(email, result.alertId)).status, 'pending_confirmation');
+
+    await confirmPendingSignups(provider, email);
+    assert.strictEqual((await getAlert(email, result.alertId)).status, 'active');
+});